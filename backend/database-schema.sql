@@ -4,6 +4,96 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Create suppliers table (lead times and ordering rules used for replenishment)
+CREATE TABLE IF NOT EXISTS suppliers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    name VARCHAR(255) NOT NULL,
+    contact_email VARCHAR(255),
+    lead_time_days DECIMAL(6,2) NOT NULL DEFAULT 7, -- Mean days from order to receipt
+    lead_time_std_days DECIMAL(6,2) NOT NULL DEFAULT 0, -- Standard deviation of the lead time
+    moq INTEGER NOT NULL DEFAULT 0, -- Minimum order quantity
+    case_pack INTEGER NOT NULL DEFAULT 1, -- Orders are placed in multiples of this
+    order_cost DECIMAL(10,2) NOT NULL DEFAULT 0, -- Fixed cost of placing one order
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT suppliers_name_not_empty CHECK (length(trim(name)) > 0),
+    CONSTRAINT suppliers_lead_time_non_negative CHECK (lead_time_days >= 0),
+    CONSTRAINT suppliers_lead_time_std_non_negative CHECK (lead_time_std_days >= 0),
+    CONSTRAINT suppliers_moq_non_negative CHECK (moq >= 0),
+    CONSTRAINT suppliers_case_pack_positive CHECK (case_pack >= 1),
+    CONSTRAINT suppliers_order_cost_non_negative CHECK (order_cost >= 0),
+    CONSTRAINT suppliers_user_id_not_empty CHECK (length(trim(user_id)) > 0),
+    UNIQUE(user_id, name) -- Supplier names are unique per user
+);
+
+-- Create locations table (warehouses and stores holding stock)
+CREATE TABLE IF NOT EXISTS locations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    name VARCHAR(255) NOT NULL,
+    code VARCHAR(50) NOT NULL, -- Short code used to tag uploaded sales
+    type VARCHAR(20) NOT NULL DEFAULT 'warehouse',
+    address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT locations_name_not_empty CHECK (length(trim(name)) > 0),
+    CONSTRAINT locations_code_not_empty CHECK (length(trim(code)) > 0),
+    CONSTRAINT locations_type_valid CHECK (type IN ('warehouse', 'store')),
+    CONSTRAINT locations_user_id_not_empty CHECK (length(trim(user_id)) > 0),
+    UNIQUE(user_id, code) -- Location codes are unique per user
+);
+
+-- Create import_profiles table (saved column mappings for sales files exported by other systems)
+CREATE TABLE IF NOT EXISTS import_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    name VARCHAR(255) NOT NULL,
+    column_mapping JSONB NOT NULL, -- Field name -> column header in the file
+    transforms JSONB NOT NULL DEFAULT '{}'::jsonb, -- units_multiplier, sku_strip_prefix
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT import_profiles_name_not_empty CHECK (length(trim(name)) > 0),
+    CONSTRAINT import_profiles_user_id_not_empty CHECK (length(trim(user_id)) > 0),
+    UNIQUE(user_id, name) -- Profile names are unique per user
+);
+
+-- Create upload_batches table (one row per sales file uploaded, for provenance and rollback)
+CREATE TABLE IF NOT EXISTS upload_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID of the uploader
+    filename VARCHAR(255) NOT NULL,
+    file_size INTEGER,
+    merge_mode VARCHAR(20) NOT NULL DEFAULT 'skip',
+    location_id UUID REFERENCES locations(id) ON DELETE SET NULL, -- Location selected for the whole file
+    profile_id UUID REFERENCES import_profiles(id) ON DELETE SET NULL, -- Import profile the file was read with
+    status VARCHAR(20) NOT NULL DEFAULT 'processing',
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    valid_rows INTEGER NOT NULL DEFAULT 0,
+    inserted_rows INTEGER NOT NULL DEFAULT 0,
+    updated_rows INTEGER NOT NULL DEFAULT 0,
+    skipped_rows INTEGER NOT NULL DEFAULT 0,
+    error_count INTEGER NOT NULL DEFAULT 0,
+    errors JSONB NOT NULL DEFAULT '[]'::jsonb,
+    replaced_records JSONB NOT NULL DEFAULT '[]'::jsonb, -- Sales records as they were before this upload updated them
+    completed_at TIMESTAMP WITH TIME ZONE,
+    rolled_back_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT upload_batches_filename_not_empty CHECK (length(trim(filename)) > 0),
+    CONSTRAINT upload_batches_merge_mode_valid CHECK (merge_mode IN ('skip', 'overwrite', 'add')),
+    CONSTRAINT upload_batches_status_valid CHECK (status IN ('processing', 'completed', 'failed', 'rolled_back')),
+    CONSTRAINT upload_batches_user_id_not_empty CHECK (length(trim(user_id)) > 0)
+);
+
 -- Create inventory table
 CREATE TABLE IF NOT EXISTS inventory (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -12,6 +102,13 @@ CREATE TABLE IF NOT EXISTS inventory (
     sku VARCHAR(100) NOT NULL,
     quantity INTEGER NOT NULL DEFAULT 0,
     reorder_level INTEGER NOT NULL DEFAULT 0,
+    service_level DECIMAL(5,2) NOT NULL DEFAULT 95.00, -- Target cycle service level (percent)
+    lead_time_days INTEGER NOT NULL DEFAULT 7, -- Supplier lead time
+    supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL, -- Primary supplier
+    backorder_quantity INTEGER NOT NULL DEFAULT 0, -- Customer demand waiting for stock
+    unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0, -- Purchase cost per unit
+    order_cost DECIMAL(10,2), -- Cost of placing an order for this SKU, supplier's order cost when empty
+    holding_cost_rate DECIMAL(5,2) NOT NULL DEFAULT 25.00, -- Annual holding cost (percent of unit cost)
     last_updated TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
@@ -20,10 +117,36 @@ CREATE TABLE IF NOT EXISTS inventory (
     CONSTRAINT inventory_sku_not_empty CHECK (length(trim(sku)) > 0),
     CONSTRAINT inventory_quantity_non_negative CHECK (quantity >= 0),
     CONSTRAINT inventory_reorder_level_non_negative CHECK (reorder_level >= 0),
+    CONSTRAINT inventory_service_level_range CHECK (service_level >= 50 AND service_level < 100),
+    CONSTRAINT inventory_lead_time_non_negative CHECK (lead_time_days >= 0),
+    CONSTRAINT inventory_backorder_quantity_non_negative CHECK (backorder_quantity >= 0),
+    CONSTRAINT inventory_unit_cost_non_negative CHECK (unit_cost >= 0),
+    CONSTRAINT inventory_order_cost_non_negative CHECK (order_cost IS NULL OR order_cost >= 0),
+    CONSTRAINT inventory_holding_cost_rate_range CHECK (holding_cost_rate >= 0 AND holding_cost_rate <= 100),
     CONSTRAINT inventory_user_id_not_empty CHECK (length(trim(user_id)) > 0),
     UNIQUE(user_id, sku) -- Each user can have unique SKUs
 );
 
+-- Create inventory_levels table (stock of each SKU at each location; inventory holds the SKU totals)
+CREATE TABLE IF NOT EXISTS inventory_levels (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+    location_id UUID NOT NULL REFERENCES locations(id) ON DELETE RESTRICT,
+    quantity INTEGER NOT NULL DEFAULT 0,
+    reorder_level INTEGER NOT NULL DEFAULT 0,
+    backorder_quantity INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT inventory_levels_quantity_non_negative CHECK (quantity >= 0),
+    CONSTRAINT inventory_levels_reorder_level_non_negative CHECK (reorder_level >= 0),
+    CONSTRAINT inventory_levels_backorder_quantity_non_negative CHECK (backorder_quantity >= 0),
+    CONSTRAINT inventory_levels_user_id_not_empty CHECK (length(trim(user_id)) > 0),
+    UNIQUE(inventory_id, location_id) -- One stock level per SKU per location
+);
+
 -- Create sales_data table
 CREATE TABLE IF NOT EXISTS sales_data (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -31,13 +154,18 @@ CREATE TABLE IF NOT EXISTS sales_data (
     sku VARCHAR(100) NOT NULL,
     date DATE NOT NULL,
     units_sold INTEGER NOT NULL DEFAULT 0,
+    stock_on_hand INTEGER, -- Closing stock for the day, when known
+    stockout BOOLEAN NOT NULL DEFAULT FALSE, -- Explicit out-of-stock flag
+    location_id UUID REFERENCES locations(id) ON DELETE RESTRICT, -- Selling location, NULL when not tagged
+    batch_id UUID REFERENCES upload_batches(id) ON DELETE SET NULL, -- Upload that last wrote the record
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     -- Constraints
     CONSTRAINT sales_data_sku_not_empty CHECK (length(trim(sku)) > 0),
     CONSTRAINT sales_data_units_sold_non_negative CHECK (units_sold >= 0),
     CONSTRAINT sales_data_user_id_not_empty CHECK (length(trim(user_id)) > 0),
-    UNIQUE(user_id, sku, date) -- Each user can have one sales record per SKU per date
+    -- Each user can have one sales record per SKU per date per location (untagged counting as one location)
+    CONSTRAINT sales_data_user_sku_date_location_unique UNIQUE NULLS NOT DISTINCT (user_id, sku, date, location_id)
 );
 
 -- Create forecasts table (optional - for caching forecast results)
@@ -49,6 +177,8 @@ CREATE TABLE IF NOT EXISTS forecasts (
     predicted_date DATE NOT NULL,
     predicted_demand DECIMAL(10,2) NOT NULL DEFAULT 0,
     confidence_score DECIMAL(3,2) DEFAULT 0.5,
+    prediction_intervals JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ level, lower, upper }] per coverage level
+    location_id UUID REFERENCES locations(id) ON DELETE CASCADE, -- Location forecasted, NULL for the SKU total
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     -- Constraints
@@ -56,9 +186,158 @@ CREATE TABLE IF NOT EXISTS forecasts (
     CONSTRAINT forecasts_predicted_demand_non_negative CHECK (predicted_demand >= 0),
     CONSTRAINT forecasts_confidence_score_range CHECK (confidence_score >= 0 AND confidence_score <= 1),
     CONSTRAINT forecasts_user_id_not_empty CHECK (length(trim(user_id)) > 0),
-    UNIQUE(user_id, sku, predicted_date) -- Each user can have one forecast per SKU per date
+    -- Each user can have one forecast per SKU per date per location (the SKU total counting as one location)
+    CONSTRAINT forecasts_user_sku_date_location_unique UNIQUE NULLS NOT DISTINCT (user_id, sku, predicted_date, location_id)
+);
+
+-- Create events table (holidays, promotions and other demand events used as forecast regressors)
+CREATE TABLE IF NOT EXISTS events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    name VARCHAR(255) NOT NULL,
+    sku VARCHAR(100), -- NULL applies the event to every SKU
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    uplift_mode VARCHAR(10) NOT NULL DEFAULT 'fixed',
+    expected_uplift DECIMAL(7,2), -- Percent change in demand, used when uplift_mode is 'fixed'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT events_name_not_empty CHECK (length(trim(name)) > 0),
+    CONSTRAINT events_date_range_valid CHECK (end_date >= start_date),
+    CONSTRAINT events_uplift_mode_valid CHECK (uplift_mode IN ('fixed', 'learn')),
+    CONSTRAINT events_expected_uplift_required CHECK (uplift_mode = 'learn' OR expected_uplift IS NOT NULL),
+    CONSTRAINT events_expected_uplift_range CHECK (expected_uplift IS NULL OR expected_uplift > -100),
+    CONSTRAINT events_user_id_not_empty CHECK (length(trim(user_id)) > 0)
+);
+
+-- Create outlier_decisions table (user review of outliers flagged in sales history)
+CREATE TABLE IF NOT EXISTS outlier_decisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    sku VARCHAR(100) NOT NULL,
+    date DATE NOT NULL,
+    decision VARCHAR(10) NOT NULL,
+    override_value DECIMAL(10,2), -- Demand to use instead of the recorded sales, when decision is 'override'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT outlier_decisions_sku_not_empty CHECK (length(trim(sku)) > 0),
+    CONSTRAINT outlier_decisions_decision_valid CHECK (decision IN ('accept', 'reject', 'override')),
+    CONSTRAINT outlier_decisions_override_value_required CHECK (decision <> 'override' OR override_value IS NOT NULL),
+    CONSTRAINT outlier_decisions_override_value_non_negative CHECK (override_value IS NULL OR override_value >= 0),
+    CONSTRAINT outlier_decisions_user_id_not_empty CHECK (length(trim(user_id)) > 0),
+    UNIQUE(user_id, sku, date) -- One decision per SKU per date
+);
+
+-- Create purchase_orders table (orders placed with suppliers, received into inventory)
+CREATE TABLE IF NOT EXISTS purchase_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    po_number VARCHAR(50) NOT NULL,
+    supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL,
+    location_id UUID REFERENCES locations(id) ON DELETE SET NULL, -- Deliver-to location
+    status VARCHAR(20) NOT NULL DEFAULT 'draft',
+    order_date DATE, -- Set when the order is sent
+    expected_date DATE, -- Expected arrival
+    received_date DATE, -- Set when the last line is fully received
+    notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT purchase_orders_status_valid CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+    CONSTRAINT purchase_orders_user_id_not_empty CHECK (length(trim(user_id)) > 0),
+    UNIQUE(user_id, po_number) -- PO numbers are unique per user
+);
+
+-- Create purchase_order_lines table (one line per SKU on a purchase order)
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_order_id UUID NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    sku VARCHAR(100) NOT NULL,
+    quantity_ordered INTEGER NOT NULL,
+    quantity_received INTEGER NOT NULL DEFAULT 0,
+    unit_cost DECIMAL(10,2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT purchase_order_lines_sku_not_empty CHECK (length(trim(sku)) > 0),
+    CONSTRAINT purchase_order_lines_quantity_ordered_positive CHECK (quantity_ordered > 0),
+    CONSTRAINT purchase_order_lines_quantity_received_range CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+    CONSTRAINT purchase_order_lines_unit_cost_non_negative CHECK (unit_cost IS NULL OR unit_cost >= 0),
+    CONSTRAINT purchase_order_lines_user_id_not_empty CHECK (length(trim(user_id)) > 0),
+    UNIQUE(purchase_order_id, sku) -- One line per SKU per order
+);
+
+-- Create inbound_shipments table (stock on its way that was ordered outside purchase orders)
+CREATE TABLE IF NOT EXISTS inbound_shipments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID for data isolation
+    inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+    location_id UUID REFERENCES locations(id) ON DELETE SET NULL, -- Receiving location
+    quantity INTEGER NOT NULL,
+    expected_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    reference VARCHAR(255), -- Carrier tracking number, supplier order number, etc.
+    received_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT inbound_shipments_quantity_positive CHECK (quantity > 0),
+    CONSTRAINT inbound_shipments_status_valid CHECK (status IN ('pending', 'in_transit', 'received', 'cancelled')),
+    CONSTRAINT inbound_shipments_user_id_not_empty CHECK (length(trim(user_id)) > 0)
+);
+
+-- Create stock_movements table (append-only ledger of every change to inventory quantities)
+CREATE TABLE IF NOT EXISTS stock_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id VARCHAR(255) NOT NULL, -- Clerk user ID of the user who moved the stock
+    inventory_id UUID NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+    location_id UUID REFERENCES locations(id) ON DELETE SET NULL, -- Location whose stock changed, if any
+    quantity_change INTEGER NOT NULL,
+    quantity_after INTEGER NOT NULL,
+    reason VARCHAR(30) NOT NULL,
+    reference VARCHAR(255), -- Purchase order number, shipment reference, count sheet, etc.
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT stock_movements_quantity_change_not_zero CHECK (quantity_change <> 0),
+    CONSTRAINT stock_movements_quantity_after_non_negative CHECK (quantity_after >= 0),
+    CONSTRAINT stock_movements_reason_valid CHECK (reason IN ('initial', 'receipt', 'sale', 'return', 'damage', 'count_correction', 'transfer', 'adjustment')),
+    CONSTRAINT stock_movements_user_id_not_empty CHECK (length(trim(user_id)) > 0)
 );
 
+-- Columns added after the initial release (for databases created from an older schema)
+ALTER TABLE forecasts ADD COLUMN IF NOT EXISTS prediction_intervals JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS stock_on_hand INTEGER;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS service_level DECIMAL(5,2) NOT NULL DEFAULT 95.00;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS lead_time_days INTEGER NOT NULL DEFAULT 7;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS stockout BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS supplier_id UUID REFERENCES suppliers(id) ON DELETE SET NULL;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS backorder_quantity INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS order_cost DECIMAL(10,2);
+ALTER TABLE inventory ADD COLUMN IF NOT EXISTS holding_cost_rate DECIMAL(5,2) NOT NULL DEFAULT 25.00;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE RESTRICT;
+ALTER TABLE sales_data DROP CONSTRAINT IF EXISTS sales_data_user_id_sku_date_key;
+ALTER TABLE sales_data DROP CONSTRAINT IF EXISTS sales_data_user_sku_date_location_unique;
+ALTER TABLE sales_data ADD CONSTRAINT sales_data_user_sku_date_location_unique UNIQUE NULLS NOT DISTINCT (user_id, sku, date, location_id);
+ALTER TABLE purchase_orders ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE inbound_shipments ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE SET NULL;
+ALTER TABLE sales_data ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES upload_batches(id) ON DELETE SET NULL;
+ALTER TABLE upload_batches ADD COLUMN IF NOT EXISTS profile_id UUID REFERENCES import_profiles(id) ON DELETE SET NULL;
+ALTER TABLE forecasts ADD COLUMN IF NOT EXISTS location_id UUID REFERENCES locations(id) ON DELETE CASCADE;
+ALTER TABLE forecasts DROP CONSTRAINT IF EXISTS forecasts_user_id_sku_predicted_date_key;
+ALTER TABLE forecasts DROP CONSTRAINT IF EXISTS forecasts_user_sku_date_location_unique;
+ALTER TABLE forecasts ADD CONSTRAINT forecasts_user_sku_date_location_unique UNIQUE NULLS NOT DISTINCT (user_id, sku, predicted_date, location_id);
+
 -- Create users table (optional - for storing additional user metadata)
 CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -82,16 +361,45 @@ CREATE INDEX IF NOT EXISTS idx_inventory_user_id ON inventory(user_id);
 CREATE INDEX IF NOT EXISTS idx_inventory_user_sku ON inventory(user_id, sku);
 CREATE INDEX IF NOT EXISTS idx_inventory_quantity_reorder ON inventory(quantity, reorder_level);
 CREATE INDEX IF NOT EXISTS idx_inventory_last_updated ON inventory(last_updated);
+CREATE INDEX IF NOT EXISTS idx_inventory_supplier_id ON inventory(supplier_id);
 
 CREATE INDEX IF NOT EXISTS idx_sales_data_user_id ON sales_data(user_id);
 CREATE INDEX IF NOT EXISTS idx_sales_data_user_sku ON sales_data(user_id, sku);
 CREATE INDEX IF NOT EXISTS idx_sales_data_date ON sales_data(date);
 CREATE INDEX IF NOT EXISTS idx_sales_data_user_sku_date ON sales_data(user_id, sku, date);
+CREATE INDEX IF NOT EXISTS idx_sales_data_location_id ON sales_data(location_id);
+CREATE INDEX IF NOT EXISTS idx_sales_data_batch_id ON sales_data(batch_id);
 
 CREATE INDEX IF NOT EXISTS idx_forecasts_user_id ON forecasts(user_id);
 CREATE INDEX IF NOT EXISTS idx_forecasts_user_sku ON forecasts(user_id, sku);
 CREATE INDEX IF NOT EXISTS idx_forecasts_predicted_date ON forecasts(predicted_date);
 CREATE INDEX IF NOT EXISTS idx_forecasts_user_sku_predicted_date ON forecasts(user_id, sku, predicted_date);
+CREATE INDEX IF NOT EXISTS idx_forecasts_location_id ON forecasts(location_id);
+
+CREATE INDEX IF NOT EXISTS idx_events_user_id ON events(user_id);
+CREATE INDEX IF NOT EXISTS idx_events_user_dates ON events(user_id, start_date, end_date);
+
+CREATE INDEX IF NOT EXISTS idx_outlier_decisions_user_sku ON outlier_decisions(user_id, sku);
+
+CREATE INDEX IF NOT EXISTS idx_suppliers_user_id ON suppliers(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_user_id ON purchase_orders(user_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_orders_user_status ON purchase_orders(user_id, status);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_order_id ON purchase_order_lines(purchase_order_id);
+CREATE INDEX IF NOT EXISTS idx_purchase_order_lines_user_sku ON purchase_order_lines(user_id, sku);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_shipments_inventory_id ON inbound_shipments(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_inbound_shipments_user_status ON inbound_shipments(user_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_locations_user_id ON locations(user_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_levels_inventory_id ON inventory_levels(inventory_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_levels_user_location ON inventory_levels(user_id, location_id);
+
+CREATE INDEX IF NOT EXISTS idx_stock_movements_inventory_created ON stock_movements(inventory_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_stock_movements_user_id ON stock_movements(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_upload_batches_user_created ON upload_batches(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_import_profiles_user_id ON import_profiles(user_id);
 
 CREATE INDEX IF NOT EXISTS idx_users_clerk_user_id ON users(clerk_user_id);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -101,6 +409,17 @@ ALTER TABLE inventory ENABLE ROW LEVEL SECURITY;
 ALTER TABLE sales_data ENABLE ROW LEVEL SECURITY;
 ALTER TABLE forecasts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE outlier_decisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE suppliers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE purchase_order_lines ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inbound_shipments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE locations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_levels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE stock_movements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE upload_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE import_profiles ENABLE ROW LEVEL SECURITY;
 
 -- Create RLS policies for inventory table
 CREATE POLICY "Users can only access their own inventory" ON inventory
@@ -114,6 +433,52 @@ CREATE POLICY "Users can only access their own sales data" ON sales_data
 CREATE POLICY "Users can only access their own forecasts" ON forecasts
     FOR ALL USING (user_id = auth.jwt() ->> 'sub');
 
+-- Create RLS policies for events table
+CREATE POLICY "Users can only access their own events" ON events
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for outlier_decisions table
+CREATE POLICY "Users can only access their own outlier decisions" ON outlier_decisions
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for suppliers table
+CREATE POLICY "Users can only access their own suppliers" ON suppliers
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for purchase_orders table
+CREATE POLICY "Users can only access their own purchase orders" ON purchase_orders
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for purchase_order_lines table
+CREATE POLICY "Users can only access their own purchase order lines" ON purchase_order_lines
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for inbound_shipments table
+CREATE POLICY "Users can only access their own inbound shipments" ON inbound_shipments
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for locations table
+CREATE POLICY "Users can only access their own locations" ON locations
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for inventory_levels table
+CREATE POLICY "Users can only access their own inventory levels" ON inventory_levels
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for stock_movements table (append-only: no update or delete policy)
+CREATE POLICY "Users can read their own stock movements" ON stock_movements
+    FOR SELECT USING (user_id = auth.jwt() ->> 'sub');
+CREATE POLICY "Users can record their own stock movements" ON stock_movements
+    FOR INSERT WITH CHECK (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for upload_batches table
+CREATE POLICY "Users can only access their own upload batches" ON upload_batches
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
+-- Create RLS policies for import_profiles table
+CREATE POLICY "Users can only access their own import profiles" ON import_profiles
+    FOR ALL USING (user_id = auth.jwt() ->> 'sub');
+
 -- Create RLS policies for users table
 CREATE POLICY "Users can only access their own user data" ON users
     FOR ALL USING (clerk_user_id = auth.jwt() ->> 'sub');
@@ -133,6 +498,56 @@ CREATE TRIGGER update_users_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_events_updated_at 
+    BEFORE UPDATE ON events 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_outlier_decisions_updated_at 
+    BEFORE UPDATE ON outlier_decisions 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_suppliers_updated_at 
+    BEFORE UPDATE ON suppliers 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_purchase_orders_updated_at 
+    BEFORE UPDATE ON purchase_orders 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_purchase_order_lines_updated_at 
+    BEFORE UPDATE ON purchase_order_lines 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_inbound_shipments_updated_at 
+    BEFORE UPDATE ON inbound_shipments 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_locations_updated_at 
+    BEFORE UPDATE ON locations 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_inventory_levels_updated_at 
+    BEFORE UPDATE ON inventory_levels 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_upload_batches_updated_at 
+    BEFORE UPDATE ON upload_batches 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_import_profiles_updated_at 
+    BEFORE UPDATE ON import_profiles 
+    FOR EACH ROW 
+    EXECUTE FUNCTION update_updated_at_column();
+
 -- Insert sample inventory data
 INSERT INTO inventory (name, sku, quantity, reorder_level) VALUES
     ('Wireless Bluetooth Headphones', 'WBH-001', 150, 20),
@@ -280,15 +695,59 @@ COMMENT ON TABLE inventory IS 'Stores product inventory information (user-specif
 COMMENT ON TABLE sales_data IS 'Stores historical sales data for demand forecasting (user-specific)';
 COMMENT ON TABLE forecasts IS 'Stores AI-generated demand forecasts (user-specific)';
 COMMENT ON TABLE users IS 'Stores additional user metadata from Clerk authentication';
+COMMENT ON TABLE events IS 'Stores holidays, promotions and other demand events used in forecasting (user-specific)';
+COMMENT ON TABLE outlier_decisions IS 'Stores user decisions on outliers flagged in sales history (user-specific)';
+COMMENT ON TABLE suppliers IS 'Stores suppliers with their lead times and ordering rules (user-specific)';
+COMMENT ON TABLE purchase_orders IS 'Stores purchase orders placed with suppliers (user-specific)';
+COMMENT ON TABLE inbound_shipments IS 'Stores stock expected to arrive that is not tracked by a purchase order (user-specific)';
+COMMENT ON TABLE locations IS 'Stores warehouses and stores that hold stock (user-specific)';
+COMMENT ON TABLE inventory_levels IS 'Stores the stock of each SKU at each location, rolled up into inventory (user-specific)';
+COMMENT ON TABLE stock_movements IS 'Append-only ledger of changes to inventory quantities with reason codes (user-specific)';
+COMMENT ON TABLE upload_batches IS 'Stores each uploaded sales file with its row counts and errors, so an upload can be rolled back (user-specific)';
+COMMENT ON TABLE import_profiles IS 'Stores named column mappings and transforms for importing sales files (user-specific)';
+COMMENT ON TABLE purchase_order_lines IS 'Stores the SKUs, quantities ordered and quantities received of each purchase order (user-specific)';
 
 COMMENT ON COLUMN inventory.user_id IS 'Clerk user ID for data isolation';
 COMMENT ON COLUMN inventory.sku IS 'Stock Keeping Unit - unique product identifier per user';
 COMMENT ON COLUMN inventory.reorder_level IS 'Minimum quantity before reorder alert';
+COMMENT ON COLUMN inventory.service_level IS 'Target probability (percent) of not stocking out during a replenishment cycle';
+COMMENT ON COLUMN inventory.lead_time_days IS 'Days between placing an order and receiving it, used for safety stock';
+COMMENT ON COLUMN inventory.supplier_id IS 'Primary supplier, whose lead time and ordering rules override the item settings';
+COMMENT ON COLUMN inventory.backorder_quantity IS 'Units owed to customers, subtracted from the inventory position';
+COMMENT ON COLUMN inventory.unit_cost IS 'Purchase cost per unit, the base of the holding cost';
+COMMENT ON COLUMN inventory.order_cost IS 'Fixed cost of placing an order for this SKU; the supplier order cost applies when empty';
+COMMENT ON COLUMN inventory.holding_cost_rate IS 'Annual cost of holding a unit in stock as a percent of its unit cost, used for EOQ';
+COMMENT ON COLUMN inbound_shipments.status IS 'pending and in_transit count as on order, received adds the quantity to inventory';
+COMMENT ON COLUMN suppliers.lead_time_std_days IS 'Variability of the lead time in days, adds to safety stock';
+COMMENT ON COLUMN suppliers.moq IS 'Minimum order quantity, suggested orders are raised to at least this';
+COMMENT ON COLUMN suppliers.case_pack IS 'Units per case, suggested orders are rounded up to whole cases';
+COMMENT ON COLUMN suppliers.order_cost IS 'Fixed cost of placing and receiving one order';
+COMMENT ON COLUMN purchase_orders.status IS 'draft -> sent -> partially_received -> received; draft and sent orders can be cancelled';
+COMMENT ON COLUMN purchase_order_lines.quantity_received IS 'Units received so far, each receipt is added to inventory quantity';
+COMMENT ON COLUMN locations.code IS 'Short code matched against the location column of sales uploads';
+COMMENT ON COLUMN inventory_levels.quantity IS 'Units at this location; inventory.quantity is the SKU total including stock not assigned to a location';
+COMMENT ON COLUMN inventory_levels.reorder_level IS 'Reorder level for this location, used by per-location reorder suggestions';
+COMMENT ON COLUMN sales_data.location_id IS 'Location the sales were made at; NULL for sales not tagged with a location';
+COMMENT ON COLUMN purchase_orders.location_id IS 'Location the order is delivered to, received stock is added there';
+COMMENT ON COLUMN inbound_shipments.location_id IS 'Location the shipment is delivered to, received stock is added there';
+COMMENT ON COLUMN sales_data.batch_id IS 'Upload batch that inserted or last updated the record; NULL for sales from before batches were tracked';
+COMMENT ON COLUMN upload_batches.status IS 'processing while rows are written, then completed or failed; rolled_back once its changes are undone';
+COMMENT ON COLUMN upload_batches.replaced_records IS 'Previous values of the sales records the upload overwrote or added to, restored on rollback';
+COMMENT ON COLUMN import_profiles.transforms IS 'units_multiplier scales units sold, sku_strip_prefix is removed from the start of SKUs';
+COMMENT ON COLUMN stock_movements.quantity_change IS 'Units added (positive) or removed (negative)';
+COMMENT ON COLUMN stock_movements.quantity_after IS 'SKU total (inventory.quantity) after the movement';
+COMMENT ON COLUMN stock_movements.reason IS 'initial, receipt, sale, return, damage, count_correction, transfer or adjustment';
 COMMENT ON COLUMN sales_data.user_id IS 'Clerk user ID for data isolation';
 COMMENT ON COLUMN sales_data.units_sold IS 'Number of units sold on specific date';
+COMMENT ON COLUMN sales_data.stock_on_hand IS 'Closing stock on specific date, zero or less marks sales as censored by a stockout';
+COMMENT ON COLUMN sales_data.stockout IS 'Item was out of stock for part of the day, so sales understate demand';
 COMMENT ON COLUMN forecasts.user_id IS 'Clerk user ID for data isolation';
 COMMENT ON COLUMN forecasts.predicted_demand IS 'AI predicted demand for specific date';
 COMMENT ON COLUMN forecasts.confidence_score IS 'Forecast confidence between 0 and 1';
+COMMENT ON COLUMN events.uplift_mode IS 'fixed uses expected_uplift, learn measures uplift from past events with the same name';
+COMMENT ON COLUMN outlier_decisions.decision IS 'accept uses the cleansed value, reject keeps recorded sales, override uses override_value';
+COMMENT ON COLUMN forecasts.prediction_intervals IS 'Lower/upper prediction bounds per coverage level, from backtest residuals';
+COMMENT ON COLUMN forecasts.location_id IS 'Location whose sales were forecast; NULL for forecasts of the SKU total across locations';
 
 -- Success message
 SELECT 'Database schema updated successfully with user data isolation!' as message; 
\ No newline at end of file
@@ -24,8 +24,31 @@ export const TABLES = {
   SALES_DATA: 'sales_data',
   FORECASTS: 'forecasts',
   USERS: 'users', // Optional: for storing additional user data
+  EVENTS: 'events',
+  OUTLIER_DECISIONS: 'outlier_decisions',
+  SUPPLIERS: 'suppliers',
+  PURCHASE_ORDERS: 'purchase_orders',
+  LOCATIONS: 'locations',
+  INVENTORY_LEVELS: 'inventory_levels',
+  PURCHASE_ORDER_LINES: 'purchase_order_lines',
+  INBOUND_SHIPMENTS: 'inbound_shipments',
+  STOCK_MOVEMENTS: 'stock_movements',
+  UPLOAD_BATCHES: 'upload_batches',
+  IMPORT_PROFILES: 'import_profiles',
 };
 
+// Reason codes of stock movements (matches the stock_movements_reason_valid constraint)
+export const MOVEMENT_REASONS = [
+  'initial',
+  'receipt',
+  'sale',
+  'return',
+  'damage',
+  'count_correction',
+  'transfer',
+  'adjustment',
+];
+
 // Test database connection
 export const testConnection = async () => {
   try {
@@ -61,7 +84,7 @@ export const dbHelpers = {
   supabase,
   TABLES,
 
-  // Get all inventory items for a specific user
+  // Get all inventory items for a specific user, with their stock levels per location
   async getInventory(userId) {
     if (!userId) {
       throw new Error('User ID is required');
@@ -69,7 +92,7 @@ export const dbHelpers = {
     
     const { data, error } = await supabase
       .from(TABLES.INVENTORY)
-      .select('*')
+      .select('*, levels:inventory_levels(id, location_id, quantity, reorder_level, backorder_quantity)')
       .eq('user_id', userId)
       .order('last_updated', { ascending: false });
     
@@ -148,28 +171,134 @@ export const dbHelpers = {
     return true;
   },
 
-  // Get sales data for a specific user
-  async getSalesData(userId, sku = null, startDate = null, endDate = null) {
+  // Get sales data for a specific user, across locations unless one is given; reads every page
+  // so SKUs sold at several locations don't lose the end of their history to the row limit
+  async getSalesData(userId, sku = null, startDate = null, endDate = null, locationId = null) {
+    return this.getSalesHistory(userId, { sku, startDate, endDate, locationId });
+  },
+
+  // Get sales data across SKUs within a date range for a specific user; reads page by page
+  // so histories over the 1000-row response limit aren't truncated
+  async getSalesHistory(userId, { sku = null, startDate = null, endDate = null, locationId = null } = {}) {
     if (!userId) {
       throw new Error('User ID is required');
     }
     
-    let query = supabase
+    const pageSize = 1000;
+    const records = [];
+    for (let from = 0; ; from += pageSize) {
+      let query = supabase
+        .from(TABLES.SALES_DATA)
+        .select('*')
+        .eq('user_id', userId)
+        .order('date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+      
+      if (sku) {
+        query = query.eq('sku', sku);
+      }
+      
+      if (startDate) {
+        query = query.gte('date', startDate);
+      }
+      
+      if (endDate) {
+        query = query.lte('date', endDate);
+      }
+      
+      if (locationId) {
+        query = query.eq('location_id', locationId);
+      }
+      
+      const { data, error } = await query;
+      if (error) throw error;
+      records.push(...data);
+      if (data.length < pageSize) {
+        return records;
+      }
+    }
+  },
+
+  // Insert sales data for a specific user (bulk)
+  async insertSalesData(userId, salesData) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    // Add user_id to each sales record
+    const salesDataWithUserId = salesData.map(record => ({
+      ...record,
+      user_id: userId
+    }));
+    
+    const { data, error } = await supabase
       .from(TABLES.SALES_DATA)
-      .select('*')
-      .eq('user_id', userId)
-      .order('date', { ascending: true });
+      .insert(salesDataWithUserId)
+      .select();
     
-    if (sku) {
-      query = query.eq('sku', sku);
+    if (error) throw error;
+    return data;
+  },
+
+  // Get existing sales records for a set of SKUs within a date range, used to match uploads
+  // against what is already stored; reads page by page so large histories aren't truncated
+  async getSalesRecordsForSkus(userId, skus, startDate, endDate) {
+    if (!userId) {
+      throw new Error('User ID is required');
     }
     
-    if (startDate) {
-      query = query.gte('date', startDate);
+    const pageSize = 1000;
+    const records = [];
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from(TABLES.SALES_DATA)
+        .select('id, date, sku, units_sold, stock_on_hand, stockout, location_id, batch_id')
+        .eq('user_id', userId)
+        .in('sku', skus)
+        .gte('date', startDate)
+        .lte('date', endDate)
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+      
+      if (error) throw error;
+      records.push(...data);
+      if (data.length < pageSize) {
+        return records;
+      }
+    }
+  },
+
+  // Update existing sales records for a specific user (bulk, matched by ID)
+  async updateSalesData(userId, records) {
+    if (!userId) {
+      throw new Error('User ID is required');
     }
     
-    if (endDate) {
-      query = query.lte('date', endDate);
+    const { data, error } = await supabase
+      .from(TABLES.SALES_DATA)
+      .upsert(records.map(record => ({ ...record, user_id: userId })), { onConflict: 'id' })
+      .select();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get upload batches for a specific user, newest first (without the stored errors and replaced records)
+  async getUploadBatches(userId, { status = null, limit = 20, offset = 0 } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    let query = supabase
+      .from(TABLES.UPLOAD_BATCHES)
+      .select('id, filename, file_size, merge_mode, status, total_rows, valid_rows, inserted_rows, updated_rows, skipped_rows, error_count, created_at, completed_at, rolled_back_at, location:locations(code, name), profile:import_profiles(name)')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (status) {
+      query = query.eq('status', status);
     }
     
     const { data, error } = await query;
@@ -177,44 +306,278 @@ export const dbHelpers = {
     return data;
   },
 
-  // Insert sales data for a specific user (bulk)
-  async insertSalesData(userId, salesData) {
+  // Get upload batch by ID for a specific user
+  async getUploadBatch(userId, id) {
     if (!userId) {
       throw new Error('User ID is required');
     }
     
-    // Add user_id to each sales record
-    const salesDataWithUserId = salesData.map(record => ({
-      ...record,
-      user_id: userId
-    }));
+    const { data, error } = await supabase
+      .from(TABLES.UPLOAD_BATCHES)
+      .select('*, location:locations(code, name), profile:import_profiles(name)')
+      .eq('user_id', userId)
+      .eq('id', id)
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Create upload batch for a specific user
+  async createUploadBatch(userId, batch) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.UPLOAD_BATCHES)
+      .insert([{ ...batch, user_id: userId }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Update upload batch for a specific user
+  async updateUploadBatch(userId, id, updates) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
     
     const { data, error } = await supabase
+      .from(TABLES.UPLOAD_BATCHES)
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get the sales records an upload batch inserted or last updated
+  async getBatchSalesData(userId, batchId, { limit = 100, offset = 0 } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error, count } = await supabase
       .from(TABLES.SALES_DATA)
-      .insert(salesDataWithUserId)
-      .select();
+      .select('id, date, sku, units_sold, stock_on_hand, stockout, location:locations(code)', { count: 'exact' })
+      .eq('user_id', userId)
+      .eq('batch_id', batchId)
+      .order('date', { ascending: true })
+      .order('sku', { ascending: true })
+      .range(offset, offset + limit - 1);
+    
+    if (error) throw error;
+    return { records: data, count };
+  },
+
+  // Get later uploads, not rolled back, that overwrote or added to records written by an upload batch
+  async getBatchesReplacing(userId, batchId) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.UPLOAD_BATCHES)
+      .select('id, filename, created_at')
+      .eq('user_id', userId)
+      .neq('status', 'rolled_back')
+      .contains('replaced_records', JSON.stringify([{ batch_id: batchId }]))
+      .order('created_at', { ascending: true });
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get import profiles for a specific user
+  async getImportProfiles(userId) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.IMPORT_PROFILES)
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get import profile by ID for a specific user
+  async getImportProfile(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.IMPORT_PROFILES)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('id', id)
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Create import profile for a specific user
+  async createImportProfile(userId, profile) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.IMPORT_PROFILES)
+      .insert([{ ...profile, user_id: userId }])
+      .select()
+      .single();
     
     if (error) throw error;
     return data;
   },
 
-  // Get forecasts for a specific user
-  async getForecast(userId, sku) {
+  // Update import profile for a specific user
+  async updateImportProfile(userId, id, updates) {
     if (!userId) {
       throw new Error('User ID is required');
     }
     
     const { data, error } = await supabase
+      .from(TABLES.IMPORT_PROFILES)
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete import profile for a specific user
+  async deleteImportProfile(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error } = await supabase
+      .from(TABLES.IMPORT_PROFILES)
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Undo an upload batch: restore the records it updated to their previous values,
+  // delete the records it inserted and mark the batch as rolled back
+  async rollbackUploadBatch(userId, batch) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    // Restored records go back to the batch that wrote them before, so the delete below skips them
+    if (batch.replaced_records.length > 0) {
+      await this.updateSalesData(userId, batch.replaced_records);
+    }
+    
+    const { error, count } = await supabase
+      .from(TABLES.SALES_DATA)
+      .delete({ count: 'exact' })
+      .eq('user_id', userId)
+      .eq('batch_id', batch.id);
+    
+    if (error) throw error;
+    
+    const updatedBatch = await this.updateUploadBatch(userId, batch.id, {
+      status: 'rolled_back',
+      rolled_back_at: new Date().toISOString(),
+    });
+    
+    return {
+      batch: updatedBatch,
+      deletedRows: count,
+      restoredRows: batch.replaced_records.length,
+    };
+  },
+
+  // Get forecasts for a specific user, of the SKU total or of one location
+  async getForecast(userId, sku, locationId = null) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    let query = supabase
       .from(TABLES.FORECASTS)
       .select('*')
       .eq('user_id', userId)
       .eq('sku', sku)
       .order('forecast_date', { ascending: true });
     
+    if (locationId) {
+      query = query.eq('location_id', locationId);
+    } else {
+      query = query.is('location_id', null);
+    }
+    
+    const { data, error } = await query;
     if (error) throw error;
     return data;
   },
 
+  // Get saved forecasts across SKUs by predicted date range for a specific user, of SKU totals
+  // or of one location; reads page by page so windows over the 1000-row response limit aren't truncated
+  async getForecastHistory(userId, { sku = null, startDate = null, endDate = null, locationId = null } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const pageSize = 1000;
+    const forecasts = [];
+    for (let from = 0; ; from += pageSize) {
+      let query = supabase
+        .from(TABLES.FORECASTS)
+        .select('*')
+        .eq('user_id', userId)
+        .order('predicted_date', { ascending: true })
+        .order('id', { ascending: true })
+        .range(from, from + pageSize - 1);
+      
+      if (sku) {
+        query = query.eq('sku', sku);
+      }
+      
+      if (startDate) {
+        query = query.gte('predicted_date', startDate);
+      }
+      
+      if (endDate) {
+        query = query.lte('predicted_date', endDate);
+      }
+      
+      if (locationId) {
+        query = query.eq('location_id', locationId);
+      } else {
+        query = query.is('location_id', null);
+      }
+      
+      const { data, error } = await query;
+      if (error) throw error;
+      forecasts.push(...data);
+      if (data.length < pageSize) {
+        return forecasts;
+      }
+    }
+  },
+
   // Save forecast for a specific user
   async saveForecast(userId, forecastData) {
     if (!userId) {
@@ -229,7 +592,7 @@ export const dbHelpers = {
     const { data, error } = await supabase
       .from(TABLES.FORECASTS)
       .upsert(forecastWithUserId, { 
-        onConflict: 'user_id,sku,predicted_date',
+        onConflict: 'user_id,sku,predicted_date,location_id',
         ignoreDuplicates: false 
       })
       .select();
@@ -296,6 +659,698 @@ export const dbHelpers = {
     }
   },
 
+  // Get events for a specific user, optionally only those overlapping a date range
+  async getEvents(userId, { startDate = null, endDate = null } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    let query = supabase
+      .from(TABLES.EVENTS)
+      .select('*')
+      .eq('user_id', userId)
+      .order('start_date', { ascending: true });
+    
+    if (startDate) {
+      query = query.gte('end_date', startDate);
+    }
+    
+    if (endDate) {
+      query = query.lte('start_date', endDate);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  // Create event for a specific user
+  async createEvent(userId, event) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.EVENTS)
+      .insert([{ ...event, user_id: userId }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Update event for a specific user
+  async updateEvent(userId, id, updates) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.EVENTS)
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete event for a specific user
+  async deleteEvent(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error } = await supabase
+      .from(TABLES.EVENTS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Get outlier review decisions for a specific user's SKU
+  async getOutlierDecisions(userId, sku) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.OUTLIER_DECISIONS)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('sku', sku)
+      .order('date', { ascending: true });
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Save outlier review decision for a specific user (one per SKU per date)
+  async saveOutlierDecision(userId, decision) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.OUTLIER_DECISIONS)
+      .upsert({ ...decision, user_id: userId }, { 
+        onConflict: 'user_id,sku,date',
+        ignoreDuplicates: false 
+      })
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete outlier review decision for a specific user
+  async deleteOutlierDecision(userId, sku, date) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error } = await supabase
+      .from(TABLES.OUTLIER_DECISIONS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('sku', sku)
+      .eq('date', date);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Get all suppliers for a specific user
+  async getSuppliers(userId) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.SUPPLIERS)
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get supplier by ID for a specific user
+  async getSupplier(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.SUPPLIERS)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('id', id)
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Create supplier for a specific user
+  async createSupplier(userId, supplier) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.SUPPLIERS)
+      .insert([{ ...supplier, user_id: userId }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Update supplier for a specific user
+  async updateSupplier(userId, id, updates) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.SUPPLIERS)
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete supplier for a specific user (linked items keep no supplier)
+  async deleteSupplier(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error } = await supabase
+      .from(TABLES.SUPPLIERS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Get purchase orders with their lines and supplier for a specific user
+  async getPurchaseOrders(userId, { status = null } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    let query = supabase
+      .from(TABLES.PURCHASE_ORDERS)
+      .select('*, supplier:suppliers(id, name), location:locations(id, name, code), lines:purchase_order_lines(*)')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+    
+    if (status) {
+      query = query.eq('status', status);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  // Get purchase order by ID with its lines and supplier for a specific user
+  async getPurchaseOrder(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.PURCHASE_ORDERS)
+      .select('*, supplier:suppliers(*), location:locations(id, name, code), lines:purchase_order_lines(*)')
+      .eq('user_id', userId)
+      .eq('id', id)
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Create purchase order with its lines for a specific user
+  async createPurchaseOrder(userId, order, lines) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.PURCHASE_ORDERS)
+      .insert([{ ...order, user_id: userId }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    try {
+      await dbHelpers.replacePurchaseOrderLines(userId, data.id, lines);
+    } catch (linesError) {
+      // Don't leave an order without lines behind
+      await dbHelpers.deletePurchaseOrder(userId, data.id);
+      throw linesError;
+    }
+    
+    return dbHelpers.getPurchaseOrder(userId, data.id);
+  },
+
+  // Update purchase order header for a specific user
+  async updatePurchaseOrder(userId, id, updates) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.PURCHASE_ORDERS)
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Replace all lines of a purchase order for a specific user
+  async replacePurchaseOrderLines(userId, purchaseOrderId, lines) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error: deleteError } = await supabase
+      .from(TABLES.PURCHASE_ORDER_LINES)
+      .delete()
+      .eq('user_id', userId)
+      .eq('purchase_order_id', purchaseOrderId);
+    
+    if (deleteError) throw deleteError;
+    
+    const { data, error } = await supabase
+      .from(TABLES.PURCHASE_ORDER_LINES)
+      .insert(lines.map(line => ({ ...line, purchase_order_id: purchaseOrderId, user_id: userId })))
+      .select();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Record units received against a purchase order line for a specific user, only while its
+  // received quantity is still the one read; returns null when another receipt changed it first
+  async receivePurchaseOrderLine(userId, id, receivedBefore, quantity) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.PURCHASE_ORDER_LINES)
+      .update({ quantity_received: receivedBefore + quantity })
+      .eq('user_id', userId)
+      .eq('id', id)
+      .eq('quantity_received', receivedBefore)
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete purchase order (and its lines) for a specific user
+  async deletePurchaseOrder(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error } = await supabase
+      .from(TABLES.PURCHASE_ORDERS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Get outstanding lines of sent and partially received purchase orders for a specific user
+  async getOpenPurchaseOrderLines(userId) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.PURCHASE_ORDER_LINES)
+      .select('*, purchase_order:purchase_orders!inner(po_number, status, expected_date, location_id)')
+      .eq('user_id', userId)
+      .in('purchase_order.status', ['sent', 'partially_received']);
+    
+    if (error) throw error;
+    return data.filter(line => line.quantity_received < line.quantity_ordered);
+  },
+
+  // Get inbound shipments for a specific user, for one inventory item or all open ones
+  async getInboundShipments(userId, { inventoryId = null, openOnly = false } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    let query = supabase
+      .from(TABLES.INBOUND_SHIPMENTS)
+      .select('*')
+      .eq('user_id', userId)
+      .order('expected_date', { ascending: true });
+    
+    if (inventoryId) {
+      query = query.eq('inventory_id', inventoryId);
+    }
+    
+    if (openOnly) {
+      query = query.in('status', ['pending', 'in_transit']);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  // Get inbound shipment by ID for a specific user's inventory item
+  async getInboundShipment(userId, inventoryId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.INBOUND_SHIPMENTS)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('inventory_id', inventoryId)
+      .eq('id', id)
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Create inbound shipment for a specific user
+  async createInboundShipment(userId, shipment) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.INBOUND_SHIPMENTS)
+      .insert([{ ...shipment, user_id: userId }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Update inbound shipment for a specific user only while it is still open (pending or in
+  // transit); returns null when it was received or cancelled in the meantime
+  async updateInboundShipment(userId, id, updates) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.INBOUND_SHIPMENTS)
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .in('status', ['pending', 'in_transit'])
+      .select()
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete inbound shipment for a specific user
+  async deleteInboundShipment(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error } = await supabase
+      .from(TABLES.INBOUND_SHIPMENTS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Get all locations for a specific user
+  async getLocations(userId) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.LOCATIONS)
+      .select('*')
+      .eq('user_id', userId)
+      .order('name', { ascending: true });
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get location by ID for a specific user
+  async getLocation(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.LOCATIONS)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('id', id)
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Create location for a specific user
+  async createLocation(userId, location) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.LOCATIONS)
+      .insert([{ ...location, user_id: userId }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Update location for a specific user
+  async updateLocation(userId, id, updates) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.LOCATIONS)
+      .update(updates)
+      .eq('user_id', userId)
+      .eq('id', id)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Delete location for a specific user, dropping its empty stock levels first
+  // (fails while it holds stock or has sales tagged with it)
+  async deleteLocation(userId, id) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { error: levelsError } = await supabase
+      .from(TABLES.INVENTORY_LEVELS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('location_id', id)
+      .eq('quantity', 0)
+      .eq('backorder_quantity', 0);
+    
+    if (levelsError) throw levelsError;
+    
+    const { error } = await supabase
+      .from(TABLES.LOCATIONS)
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+    
+    if (error) throw error;
+    return true;
+  },
+
+  // Get stock levels per location for a specific user, for one inventory item and/or one location
+  async getInventoryLevels(userId, { inventoryId = null, locationId = null } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    let query = supabase
+      .from(TABLES.INVENTORY_LEVELS)
+      .select('*, location:locations(id, name, code, type)')
+      .eq('user_id', userId);
+    
+    if (inventoryId) {
+      query = query.eq('inventory_id', inventoryId);
+    }
+    
+    if (locationId) {
+      query = query.eq('location_id', locationId);
+    }
+    
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  },
+
+  // Get the stock level of an inventory item at a location, null when none was recorded
+  async getInventoryLevel(userId, inventoryId, locationId) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.INVENTORY_LEVELS)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('inventory_id', inventoryId)
+      .eq('location_id', locationId)
+      .maybeSingle();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Create or update the stock level of an inventory item at a location
+  async upsertInventoryLevel(userId, inventoryId, locationId, level) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.INVENTORY_LEVELS)
+      .upsert(
+        { ...level, user_id: userId, inventory_id: inventoryId, location_id: locationId },
+        { onConflict: 'inventory_id,location_id' }
+      )
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Add received units to an inventory item's total and, when given, to its stock at a location
+  async receiveStock(userId, item, quantity, locationId = null, reference = null) {
+    if (locationId) {
+      const level = await this.getInventoryLevel(userId, item.id, locationId);
+      await this.upsertInventoryLevel(userId, item.id, locationId, {
+        quantity: (level?.quantity ?? 0) + quantity,
+      });
+    }
+    
+    return this.setStockQuantity(userId, item, item.quantity + quantity, {
+      reason: 'receipt',
+      reference,
+      locationId,
+    });
+  },
+
+  // Update an inventory item, recording any change to its quantity in the stock movement ledger
+  async setStockQuantity(userId, item, quantity, {
+    reason = 'adjustment',
+    reference = null,
+    note = null,
+    locationId = null,
+    updates = {},
+  } = {}) {
+    const updatedItem = await this.updateInventory(userId, item.id, { ...updates, quantity });
+    
+    if (quantity !== item.quantity) {
+      await this.recordStockMovement(userId, {
+        inventory_id: item.id,
+        location_id: locationId,
+        quantity_change: quantity - item.quantity,
+        quantity_after: quantity,
+        reason,
+        reference,
+        note,
+      });
+    }
+    
+    return updatedItem;
+  },
+
+  // Append a movement to the stock movement ledger for a specific user
+  async recordStockMovement(userId, movement) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.STOCK_MOVEMENTS)
+      .insert([{ ...movement, user_id: userId }])
+      .select()
+      .single();
+    
+    if (error) throw error;
+    return data;
+  },
+
+  // Get the stock movements of an inventory item for a specific user, newest first
+  async getStockMovements(userId, inventoryId, { limit = 50, offset = 0 } = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+    
+    const { data, error } = await supabase
+      .from(TABLES.STOCK_MOVEMENTS)
+      .select('*, location:locations(id, name, code)')
+      .eq('user_id', userId)
+      .eq('inventory_id', inventoryId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (error) throw error;
+    return data;
+  },
+
   // Create or update user profile
   async upsertUser(clerkUserId, userData) {
     if (!clerkUserId) {
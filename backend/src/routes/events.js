@@ -0,0 +1,172 @@
+import express from 'express';
+import { isValid, parseISO } from 'date-fns';
+import { requireAuth } from '../middleware/auth.js';
+import { dbHelpers } from '../config/database.js';
+
+const router = express.Router();
+
+// Apply authentication to all event routes
+router.use(requireAuth);
+
+// Helper function to validate and normalise an event payload
+const validateEvent = (body) => {
+  const { name, sku, start_date, end_date, uplift_mode = 'fixed', expected_uplift } = body;
+  
+  if (!name || !start_date || !end_date) {
+    return { error: 'Name, start date and end date are required' };
+  }
+  
+  if (typeof name !== 'string' || (sku && typeof sku !== 'string')) {
+    return { error: 'Name and SKU must be text' };
+  }
+  
+  if (!isValid(parseISO(start_date)) || !isValid(parseISO(end_date))) {
+    return { error: 'Dates must be in yyyy-MM-dd format' };
+  }
+  
+  if (end_date < start_date) {
+    return { error: 'End date must be on or after the start date' };
+  }
+  
+  if (!['fixed', 'learn'].includes(uplift_mode)) {
+    return { error: 'Uplift mode must be either fixed or learn' };
+  }
+  
+  const uplift = expected_uplift === undefined || expected_uplift === null || expected_uplift === ''
+    ? null
+    : parseFloat(expected_uplift);
+  
+  if (uplift_mode === 'fixed' && (uplift === null || isNaN(uplift))) {
+    return { error: 'Expected uplift (percent) is required for fixed events' };
+  }
+  
+  if (uplift !== null && (isNaN(uplift) || uplift <= -100)) {
+    return { error: 'Expected uplift must be a percentage greater than -100' };
+  }
+  
+  return {
+    event: {
+      name: name.trim(),
+      sku: sku ? sku.trim().toUpperCase() : null,
+      start_date,
+      end_date,
+      uplift_mode,
+      expected_uplift: uplift,
+    },
+  };
+};
+
+// Get all events for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { startDate = null, endDate = null, sku = null } = req.query;
+    
+    let events = await dbHelpers.getEvents(userId, { startDate, endDate });
+    if (sku) {
+      events = events.filter(event => !event.sku || event.sku === sku);
+    }
+    
+    res.json({
+      success: true,
+      data: events,
+      count: events.length,
+    });
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch events',
+    });
+  }
+});
+
+// Create new event for the authenticated user
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { event, error: validationError } = validateEvent(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const createdEvent = await dbHelpers.createEvent(userId, event);
+    
+    res.status(201).json({
+      success: true,
+      data: createdEvent,
+      message: 'Event created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating event:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create event',
+    });
+  }
+});
+
+// Update event for the authenticated user
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    const { event, error: validationError } = validateEvent(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const updatedEvent = await dbHelpers.updateEvent(userId, id, event);
+    
+    res.json({
+      success: true,
+      data: updatedEvent,
+      message: 'Event updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating event:', error);
+    
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Event not found',
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update event',
+    });
+  }
+});
+
+// Delete event for the authenticated user
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    await dbHelpers.deleteEvent(userId, id);
+    
+    res.json({
+      success: true,
+      message: 'Event deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting event:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete event',
+    });
+  }
+});
+
+export default router;
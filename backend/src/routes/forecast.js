@@ -1,8 +1,31 @@
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
 import { dbHelpers } from '../config/database.js';
-import { addDays, format, parseISO, subDays } from 'date-fns';
-import { mean, standardDeviation, linearRegression, linearRegressionLine } from 'simple-statistics';
+import { addDays, format, isValid, parseISO, subDays } from 'date-fns';
+import { mean, standardDeviation, linearRegression, linearRegressionLine, probit } from 'simple-statistics';
+import { evaluateAccuracy, accuracyTrend, naiveScale, errorMetrics } from '../services/accuracy.js';
+import { decompose } from '../services/decomposition.js';
+import { appliesToSku, learnEventUplift, applyEventUplift } from '../services/events.js';
+import { cleanseSeries } from '../services/outliers.js';
+import { censoredDates, correctCensoredDemand } from '../services/stockouts.js';
+import {
+  reorderPolicy,
+  inventoryPosition,
+  projectStockout,
+  projectInventory,
+  roundOrderQuantity,
+  economicOrderQuantity,
+  DEFAULT_HOLDING_COST_RATE,
+  DEFAULT_LEAD_TIME_DAYS,
+  DEFAULT_SERVICE_LEVEL,
+} from '../services/replenishment.js';
+import {
+  simulateStockoutRisk,
+  forecastResiduals,
+  seedFrom,
+  DEFAULT_SIMULATION_RUNS,
+  MAX_SIMULATION_RUNS,
+} from '../services/simulation.js';
 
 const router = express.Router();
 
@@ -26,15 +49,35 @@ router.get('/methods', async (req, res) => {
             description: 'Exponential smoothing with configurable alpha',
             available: true
           },
+          holtwinters: {
+            name: 'Holt-Winters',
+            description: 'Triple exponential smoothing with level, trend and weekly seasonality (additive or multiplicative)',
+            available: true
+          },
           seasonal: {
             name: 'Seasonal Naive',
             description: 'Simple seasonal pattern repetition',
             available: true
           },
+          croston: {
+            name: "Croston's Method",
+            description: 'Separate smoothing of demand size and interval for intermittent demand',
+            available: true
+          },
+          sba: {
+            name: 'Syntetos-Boylan Approximation',
+            description: "Bias-corrected Croston's method for intermittent and lumpy demand",
+            available: true
+          },
           combined: {
             name: 'Combined Statistical Methods',
             description: 'Advanced statistical forecasting using multiple algorithms',
             available: true
+          },
+          auto: {
+            name: 'Automatic Selection',
+            description: 'Backtests every method on recent history and picks the most accurate (or blends them by inverse error)',
+            available: true
           }
         },
         recommended: 'combined'
@@ -111,7 +154,124 @@ class SimpleForecast {
     // Simple forecast: repeat the smoothed value
     return Array(forecastDays).fill(Math.max(0, Math.round(smoothed)));
   }
-  
+
+  // Fit Holt-Winters level, trend and seasonal components with fixed smoothing parameters
+  static fitHoltWinters(data, { alpha, beta, gamma, seasonLength = 7, seasonality = 'additive' }) {
+    const multiplicative = seasonality === 'multiplicative';
+    const seasonCount = Math.floor(data.length / seasonLength);
+
+    // Initial level and trend from the first two seasons
+    const seasonAverages = [];
+    for (let s = 0; s < seasonCount; s++) {
+      seasonAverages.push(mean(data.slice(s * seasonLength, (s + 1) * seasonLength)));
+    }
+    let level = seasonAverages[0];
+    let trend = (seasonAverages[1] - seasonAverages[0]) / seasonLength;
+
+    // Initial seasonal indices averaged over every complete season
+    const seasonal = [];
+    for (let i = 0; i < seasonLength; i++) {
+      let sum = 0;
+      for (let s = 0; s < seasonCount; s++) {
+        const value = data[s * seasonLength + i];
+        sum += multiplicative ? value / seasonAverages[s] : value - seasonAverages[s];
+      }
+      seasonal.push(sum / seasonCount);
+    }
+
+    // One-step-ahead fitted values, starting after the first season
+    const fitted = Array(seasonLength).fill(null);
+    let sse = 0;
+
+    for (let t = seasonLength; t < data.length; t++) {
+      const value = data[t];
+      const seasonIndex = t % seasonLength;
+      const season = seasonal[seasonIndex];
+      const prediction = multiplicative ? (level + trend) * season : level + trend + season;
+      fitted.push(prediction);
+      sse += (value - prediction) ** 2;
+
+      const previousLevel = level;
+      level = multiplicative
+        ? alpha * (value / season) + (1 - alpha) * (level + trend)
+        : alpha * (value - season) + (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      seasonal[seasonIndex] = multiplicative
+        ? gamma * (value / level) + (1 - gamma) * season
+        : gamma * (value - level) + (1 - gamma) * season;
+    }
+
+    return { level, trend, seasonal, fitted, sse };
+  }
+
+  // Holt-Winters triple exponential smoothing with grid-searched parameters
+  static holtWintersModel(data, forecastDays = 30, options = {}) {
+    const { seasonLength = 7 } = options;
+    let { seasonality = 'additive' } = options;
+
+    // Two complete seasons are needed to initialise the trend and seasonal indices
+    if (data.length < seasonLength * 2) {
+      return {
+        forecast: this.exponentialSmoothing(data, 0.3, forecastDays),
+        seasonality: null,
+        fallback: 'exponential',
+      };
+    }
+
+    // Multiplicative seasonality is undefined for zero or negative demand
+    if (seasonality === 'multiplicative' && data.some(value => value <= 0)) {
+      seasonality = 'additive';
+    }
+
+    let best = null;
+    const alphas = options.alpha !== undefined ? [options.alpha] : [0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+    const betas = options.beta !== undefined ? [options.beta] : [0.01, 0.05, 0.1, 0.2];
+    const gammas = options.gamma !== undefined ? [options.gamma] : [0.05, 0.1, 0.2, 0.3, 0.5];
+
+    for (const alpha of alphas) {
+      for (const beta of betas) {
+        for (const gamma of gammas) {
+          const fit = this.fitHoltWinters(data, { alpha, beta, gamma, seasonLength, seasonality });
+          if (Number.isFinite(fit.sse) && (!best || fit.sse < best.sse)) {
+            best = { ...fit, alpha, beta, gamma };
+          }
+        }
+      }
+    }
+
+    if (!best) {
+      return {
+        forecast: this.exponentialSmoothing(data, 0.3, forecastDays),
+        seasonality: null,
+        fallback: 'exponential',
+      };
+    }
+
+    const forecast = [];
+    for (let h = 1; h <= forecastDays; h++) {
+      const season = best.seasonal[(data.length + h - 1) % seasonLength];
+      const predicted = seasonality === 'multiplicative'
+        ? (best.level + h * best.trend) * season
+        : best.level + h * best.trend + season;
+      forecast.push(Math.max(0, Math.round(predicted)));
+    }
+
+    return {
+      forecast,
+      fitted: best.fitted,
+      seasonality,
+      seasonLength,
+      alpha: best.alpha,
+      beta: best.beta,
+      gamma: best.gamma,
+    };
+  }
+
+  // Holt-Winters forecast values only
+  static holtWinters(data, forecastDays = 30, options = {}) {
+    return this.holtWintersModel(data, forecastDays, options).forecast;
+  }
+
   // Seasonal naive forecast (simple version)
   static seasonalNaive(data, seasonLength = 7, forecastDays = 30) {
     if (data.length < seasonLength) {
@@ -130,8 +290,78 @@ class SimpleForecast {
     return forecasts;
   }
   
+  // Croston's method for intermittent demand (variant 'sba' applies the Syntetos-Boylan correction)
+  static croston(data, forecastDays = 30, alpha = 0.1, variant = 'croston') {
+    const demandIndexes = [];
+    data.forEach((value, index) => {
+      if (value > 0) demandIndexes.push(index);
+    });
+
+    if (demandIndexes.length === 0) {
+      return Array(forecastDays).fill(0);
+    }
+
+    // Initialise demand size and inter-demand interval from the first demand
+    let size = data[demandIndexes[0]];
+    let interval = demandIndexes[0] + 1;
+
+    for (let i = 1; i < demandIndexes.length; i++) {
+      const gap = demandIndexes[i] - demandIndexes[i - 1];
+      size = alpha * data[demandIndexes[i]] + (1 - alpha) * size;
+      interval = alpha * gap + (1 - alpha) * interval;
+    }
+
+    const correction = variant === 'sba' ? 1 - alpha / 2 : 1;
+    const rate = correction * size / interval;
+
+    // Per-day demand rate is fractional for intermittent items, keep two decimals
+    return Array(forecastDays).fill(Math.round(rate * 100) / 100);
+  }
+
+  // Classify demand pattern using average demand interval (ADI) and squared coefficient of variation (CV²)
+  static classifyDemand(data) {
+    const demands = data.filter(value => value > 0);
+
+    if (demands.length === 0) {
+      return { pattern: 'none', adi: null, cv2: null, demandPeriods: 0, totalPeriods: data.length };
+    }
+
+    const adi = data.length / demands.length;
+    const demandMean = mean(demands);
+    const cv2 = demands.length > 1 ? (standardDeviation(demands) / demandMean) ** 2 : 0;
+
+    // Syntetos-Boylan cut-off values
+    let pattern;
+    if (adi < 1.32) {
+      pattern = cv2 < 0.49 ? 'smooth' : 'erratic';
+    } else {
+      pattern = cv2 < 0.49 ? 'intermittent' : 'lumpy';
+    }
+
+    return {
+      pattern,
+      adi: Math.round(adi * 100) / 100,
+      cv2: Math.round(cv2 * 100) / 100,
+      demandPeriods: demands.length,
+      totalPeriods: data.length,
+    };
+  }
+
+  // Croston variant suited to a demand pattern, or null when regular methods apply
+  static intermittentMethod(pattern) {
+    if (pattern === 'intermittent') return 'croston';
+    if (pattern === 'lumpy') return 'sba';
+    return null;
+  }
+
   // Combined forecast using multiple methods
   static combinedForecast(data, forecastDays = 30) {
+    // Intermittent and lumpy series are routed to Croston, averaging the regular methods misreads the zero days
+    const intermittentMethod = this.intermittentMethod(this.classifyDemand(data).pattern);
+    if (intermittentMethod) {
+      return this.croston(data, forecastDays, 0.1, intermittentMethod);
+    }
+
     const methods = [
       this.linearTrend(data, forecastDays),
       this.exponentialSmoothing(data, 0.3, forecastDays),
@@ -147,8 +377,230 @@ class SimpleForecast {
     
     return combined;
   }
+
+  // Forecast with any named method
+  static forecastWith(method, data, forecastDays = 30, options = {}) {
+    switch (method) {
+      case 'linear':
+        return this.linearTrend(data, forecastDays);
+      case 'exponential':
+        return this.exponentialSmoothing(data, 0.3, forecastDays);
+      case 'seasonal':
+        return this.seasonalNaive(data, 7, forecastDays);
+      case 'holtwinters':
+        return this.holtWinters(data, forecastDays, options);
+      case 'croston':
+      case 'sba':
+        return this.croston(data, forecastDays, 0.1, method);
+      case 'combined':
+        return this.combinedForecast(data, forecastDays);
+      case 'auto':
+        return this.autoForecast(data, forecastDays, { options }).forecast;
+      default:
+        throw new Error(`Unknown forecast method: ${method}`);
+    }
+  }
+
+  // Error metrics between actual and predicted values
+  static errorMetrics(actual, predicted) {
+    const errors = actual.map((value, i) => predicted[i] - value);
+    const totalActual = actual.reduce((sum, value) => sum + value, 0);
+    const absoluteError = errors.reduce((sum, error) => sum + Math.abs(error), 0);
+
+    return {
+      mae: Math.round(absoluteError / errors.length * 100) / 100,
+      rmse: Math.round(Math.sqrt(errors.reduce((sum, error) => sum + error ** 2, 0) / errors.length) * 100) / 100,
+      // Weighted absolute percentage error stays defined on zero-demand days
+      wape: totalActual > 0 ? Math.round(absoluteError / totalActual * 10000) / 100 : null,
+    };
+  }
+
+  // Rolling-origin backtest: refit on an expanding window and forecast the next horizon each fold.
+  // Held-out days in `excluded` (indexes into data) aren't scored; each fold's `days` lists the
+  // offsets after its training window that were
+  static backtest(data, method, {
+    horizon = 7,
+    folds = 3,
+    minTrainSize = BACKTEST_MIN_TRAIN_SIZE,
+    options = {},
+    excluded = new Set(),
+  } = {}) {
+    const usableFolds = Math.min(folds, Math.floor((data.length - minTrainSize) / horizon));
+
+    if (usableFolds < 1) {
+      return null;
+    }
+
+    const results = [];
+    for (let i = 0; i < usableFolds; i++) {
+      const trainEnd = data.length - horizon * (usableFolds - i);
+      const forecast = this.forecastWith(method, data.slice(0, trainEnd), horizon, options);
+      const scored = forecast.map((_, day) => day).filter(day => !excluded.has(trainEnd + day));
+      if (scored.length === 0) {
+        continue;
+      }
+      const actual = scored.map(day => data[trainEnd + day]);
+      const predicted = scored.map(day => forecast[day]);
+      results.push({
+        fold: i + 1,
+        trainSize: trainEnd,
+        days: scored,
+        actual,
+        predicted,
+        ...this.errorMetrics(actual, predicted),
+      });
+    }
+
+    if (results.length === 0) {
+      return null;
+    }
+
+    return {
+      method,
+      horizon,
+      folds: results,
+      ...this.errorMetrics(
+        results.flatMap(fold => fold.actual),
+        results.flatMap(fold => fold.predicted)
+      ),
+    };
+  }
+
+  // Pick the method with the lowest backtest error, or blend all methods by inverse error
+  static autoForecast(data, forecastDays = 30, { selection = 'best', options = {}, excluded } = {}) {
+    const horizon = Math.min(forecastDays, BACKTEST_MAX_HORIZON);
+    const candidates = AUTO_CANDIDATE_METHODS
+      .map(method => this.backtest(data, method, { horizon, options, excluded }))
+      .filter(Boolean);
+
+    // Not enough history to hold anything out
+    if (candidates.length === 0) {
+      return {
+        forecast: this.combinedForecast(data, forecastDays),
+        selectedMethod: 'combined',
+        candidates: [],
+        fallback: true,
+      };
+    }
+
+    const ranked = [...candidates].sort((a, b) => a.mae - b.mae);
+    const best = ranked[0];
+    const candidateSummary = ranked.map(({ method, mae, rmse, wape, folds }) => ({
+      method,
+      mae,
+      rmse,
+      wape,
+      folds: folds.length,
+    }));
+
+    // A perfect backtest would get infinite weight, just use it outright
+    if (selection !== 'weighted' || best.mae === 0) {
+      return {
+        forecast: this.forecastWith(best.method, data, forecastDays, options),
+        selectedMethod: best.method,
+        selection: 'best',
+        horizon,
+        candidates: candidateSummary,
+        backtest: best,
+      };
+    }
+
+    const inverseErrors = ranked.map(candidate => 1 / candidate.mae);
+    const totalInverse = inverseErrors.reduce((sum, value) => sum + value, 0);
+    const weights = {};
+    const forecasts = ranked.map((candidate, i) => {
+      weights[candidate.method] = Math.round(inverseErrors[i] / totalInverse * 1000) / 1000;
+      return this.forecastWith(candidate.method, data, forecastDays, options);
+    });
+
+    const forecast = [];
+    for (let day = 0; day < forecastDays; day++) {
+      const blended = forecasts.reduce(
+        (sum, values, i) => sum + (values[day] || 0) * inverseErrors[i] / totalInverse,
+        0
+      );
+      forecast.push(Math.round(blended * 100) / 100);
+    }
+
+    // Blend the fold predictions the same way so the blend has its own backtest residuals
+    const blendedFolds = best.folds.map((fold, foldIndex) => {
+      const predicted = fold.actual.map((_, day) => ranked.reduce(
+        (sum, candidate, i) => sum + candidate.folds[foldIndex].predicted[day] * inverseErrors[i] / totalInverse,
+        0
+      ));
+      return { ...fold, predicted, ...this.errorMetrics(fold.actual, predicted) };
+    });
+
+    return {
+      forecast,
+      selectedMethod: best.method,
+      selection: 'weighted',
+      horizon,
+      weights,
+      candidates: candidateSummary.map(candidate => ({ ...candidate, weight: weights[candidate.method] })),
+      backtest: {
+        method: 'auto',
+        horizon,
+        folds: blendedFolds,
+        ...this.errorMetrics(
+          blendedFolds.flatMap(fold => fold.actual),
+          blendedFolds.flatMap(fold => fold.predicted)
+        ),
+      },
+    };
+  }
+
+  // Prediction intervals for each forecast point from backtest residuals
+  static predictionIntervals(forecast, data, backtestResult, levels = DEFAULT_INTERVAL_LEVELS) {
+    let stepVariance;
+
+    if (backtestResult) {
+      // Assume error variance grows linearly with the horizon step, calibrated to the backtest MSE
+      const errors = backtestResult.folds.flatMap(fold => fold.predicted.map((value, i) => value - fold.actual[i]));
+      const mse = errors.reduce((sum, error) => sum + error ** 2, 0) / errors.length;
+      const perStep = 2 * mse / (backtestResult.horizon + 1);
+      stepVariance = step => perStep * step;
+    } else {
+      // Too little history to backtest, fall back to the spread of the history itself
+      const variance = data.length > 1 ? standardDeviation(data) ** 2 : 0;
+      stepVariance = () => variance;
+    }
+
+    return forecast.map((value, index) => {
+      const sigma = Math.sqrt(stepVariance(index + 1));
+      return levels.map(level => {
+        const z = probit(0.5 + level / 200);
+        return {
+          level,
+          lower: Math.max(0, Math.round((value - z * sigma) * 100) / 100),
+          upper: Math.round((value + z * sigma) * 100) / 100,
+        };
+      });
+    });
+  }
 }
 
+// Methods compared by the auto method's backtest
+const AUTO_CANDIDATE_METHODS = ['linear', 'exponential', 'seasonal', 'holtwinters', 'croston', 'sba', 'combined'];
+
+// Longest holdout used when backtesting, regardless of the requested forecast length
+const BACKTEST_MAX_HORIZON = 14;
+
+// Shortest training window a backtest fold is fitted on
+const BACKTEST_MIN_TRAIN_SIZE = 14;
+
+// Days of sales before an accuracy window whose naive error scales MASE
+const MASE_SCALE_DAYS = 365;
+
+// Simulated cycles per SKU when ranking a whole catalogue by stockout risk
+const BATCH_SIMULATION_RUNS = 500;
+
+// Stockout probability from which a SKU counts as at risk in batch summaries
+const HIGH_RISK_PROBABILITY = 0.5;
+
+// Coverage levels (in percent) for prediction intervals when the request doesn't specify any
+const DEFAULT_INTERVAL_LEVELS = [80, 95];
+
 // Helper function to prepare sales data for forecasting
 const prepareSalesData = (salesRecords) => {
   // Group by date and sum units_sold
@@ -183,6 +635,307 @@ const prepareSalesData = (salesRecords) => {
   return timeSeries;
 };
 
+// Helper function to validate outlier cleansing options from a request
+const validateOutlierOptions = (threshold, treatment) => {
+  if (typeof threshold !== 'number' || isNaN(threshold) || threshold < 1 || threshold > 10) {
+    return 'Outlier threshold must be a number between 1 and 10';
+  }
+  if (!['cap', 'median'].includes(treatment)) {
+    return 'Outlier treatment must be either cap or median';
+  }
+  return null;
+};
+
+// Helper function to get the events that apply to a SKU, forecasting continues without them on failure
+const loadSkuEvents = async (userId, sku) => {
+  try {
+    return (await dbHelpers.getEvents(userId)).filter(event => appliesToSku(event, sku));
+  } catch (eventsError) {
+    console.error('Error fetching events:', eventsError);
+    return [];
+  }
+};
+
+// Helper function to cleanse outliers from a prepared series, applying the user's review decisions
+const cleanseSalesData = async (userId, sku, timeSeries, startDate, options) => {
+  let decisions = [];
+  try {
+    decisions = await dbHelpers.getOutlierDecisions(userId, sku);
+  } catch (decisionsError) {
+    console.error('Error fetching outlier decisions:', decisionsError);
+  }
+  return cleanseSeries(timeSeries, startDate, decisions, options);
+};
+
+// Helper function to build the demand history models are fitted on: stockout days corrected,
+// event windows at their baseline and, optionally, outliers cleansed
+const prepareDemandHistory = async (userId, sku, salesData, {
+  events = null,
+  stockoutTreatment = 'impute',
+  cleanse = false,
+  outlierOptions = {},
+} = {}) => {
+  const startDate = salesData[0].date;
+  const salesSeries = prepareSalesData(salesData);
+  const stockouts = correctCensoredDemand(salesSeries, startDate, censoredDates(salesData), {
+    treatment: stockoutTreatment,
+  });
+  
+  const skuEvents = events ?? await loadSkuEvents(userId, sku);
+  const eventHistory = learnEventUplift(stockouts.series, startDate, skuEvents);
+  const cleansing = cleanse
+    ? await cleanseSalesData(userId, sku, eventHistory.series, startDate, outlierOptions)
+    : null;
+  
+  // Excluded stockout days keep their imputed values so the series stays aligned with weekdays
+  // for seasonal methods; `excluded` leaves them out of backtest scoring instead
+  const series = cleansing ? cleansing.series : eventHistory.series;
+  const excluded = new Set(stockouts.excludedIndexes);
+  
+  return { salesSeries, stockouts, events: skuEvents, eventHistory, cleansing, series, excluded };
+};
+
+// Helper function to load the primary supplier of an inventory item, null when it has none
+const loadSupplier = async (userId, item, suppliers = null) => {
+  if (!item.supplier_id) {
+    return null;
+  }
+  
+  if (suppliers) {
+    return suppliers.find(supplier => supplier.id === item.supplier_id) || null;
+  }
+  
+  try {
+    return await dbHelpers.getSupplier(userId, item.supplier_id);
+  } catch (supplierError) {
+    console.error('Error fetching supplier:', supplierError);
+    return null;
+  }
+};
+
+// Helper function to resolve lead time and service level, the supplier's lead time taking precedence over the item's
+const replenishmentSettings = (item, supplier) => ({
+  leadTimeDays: supplier ? Number(supplier.lead_time_days) : item.lead_time_days ?? DEFAULT_LEAD_TIME_DAYS,
+  leadTimeStdDays: supplier ? Number(supplier.lead_time_std_days) : 0,
+  serviceLevel: Number(item.service_level ?? DEFAULT_SERVICE_LEVEL),
+});
+
+// Helper function to decide whether to reorder: the inventory position is at the reorder point,
+// or doesn't cover the forecast period's demand
+const reorderNeededFor = ({ predictedDemand, position, replenishment }) =>
+  position <= replenishment.reorderPoint || predictedDemand > position;
+
+// Helper function to size a reorder: up to the larger of lead time and forecast period demand plus
+// safety stock, raised to the supplier's minimum order quantity and rounded up to whole case packs
+const orderUpToQuantity = ({ predictedDemand, position, replenishment, supplier }) => {
+  const orderUpTo = Math.max(predictedDemand, replenishment.leadTimeDemand) + replenishment.safetyStock;
+  const rawQuantity = Math.ceil(orderUpTo - position);
+  return {
+    rawQuantity,
+    suggestedQuantity: roundOrderQuantity(rawQuantity, {
+      moq: supplier?.moq,
+      casePack: supplier?.case_pack,
+    }),
+  };
+};
+
+// Helper function to resolve EOQ cost inputs, the item's order cost taking precedence over the supplier's
+const orderCosts = (item, supplier) => ({
+  orderCost: Number(item.order_cost ?? supplier?.order_cost ?? 0),
+  unitCost: Number(item.unit_cost ?? 0),
+  holdingCostRate: Number(item.holding_cost_rate ?? DEFAULT_HOLDING_COST_RATE),
+});
+
+// Helper function to load a location for location-level forecasts, null when it isn't one of the user's
+const loadLocation = async (userId, locationId) => {
+  try {
+    return await dbHelpers.getLocation(userId, locationId);
+  } catch (locationError) {
+    if (locationError.code === 'PGRST116' || locationError.code === '22P02') { // Not found or not a valid UUID
+      return null;
+    }
+    throw locationError;
+  }
+};
+
+// Helper function to scope an inventory item to one location: its stock, backorders and reorder level there
+const itemAtLocation = async (userId, item, location) => {
+  const level = await dbHelpers.getInventoryLevel(userId, item.id, location.id);
+  return {
+    ...item,
+    quantity: level?.quantity ?? 0,
+    backorder_quantity: level?.backorder_quantity ?? 0,
+    reorder_level: level?.reorder_level ?? 0,
+  };
+};
+
+// Helper function to describe the location a result is scoped to
+const locationSummary = (location) => (location ? { id: location.id, name: location.name, code: location.code } : null);
+
+// Helper function to load stock on order for the given inventory items, keyed by SKU:
+// open inbound shipments plus outstanding quantities on sent purchase orders,
+// only those delivering to the location when one is given
+const loadOpenSupply = async (userId, inventory, locationId = null) => {
+  const supply = Object.fromEntries(inventory.map(item => [item.sku, []]));
+  const skusById = Object.fromEntries(inventory.map(item => [item.id, item.sku]));
+  const today = format(new Date(), 'yyyy-MM-dd');
+  
+  try {
+    const [shipments, orderLines] = await Promise.all([
+      dbHelpers.getInboundShipments(userId, { openOnly: true }),
+      dbHelpers.getOpenPurchaseOrderLines(userId),
+    ]);
+    
+    shipments.forEach(shipment => {
+      const sku = skusById[shipment.inventory_id];
+      if (sku && (!locationId || shipment.location_id === locationId)) {
+        supply[sku].push({
+          source: 'inbound',
+          reference: shipment.reference,
+          quantity: shipment.quantity,
+          expected_date: shipment.expected_date,
+        });
+      }
+    });
+    
+    orderLines.forEach(line => {
+      if (supply[line.sku] && (!locationId || line.purchase_order.location_id === locationId)) {
+        supply[line.sku].push({
+          source: 'purchase_order',
+          reference: line.purchase_order.po_number,
+          quantity: line.quantity_ordered - line.quantity_received,
+          expected_date: line.purchase_order.expected_date || today,
+        });
+      }
+    });
+  } catch (supplyError) {
+    console.error('Error fetching stock on order:', supplyError);
+  }
+  
+  return supply;
+};
+
+// Helper function to recommend a reorder point for an inventory item, null when it has no sales history
+const recommendReorderPoint = async (userId, item, { events = null, suppliers = null, locationId = null } = {}) => {
+  const salesData = await dbHelpers.getSalesData(userId, item.sku, null, null, locationId);
+  if (salesData.length === 0) {
+    return null;
+  }
+  
+  const { events: skuEvents, eventHistory, series } = await prepareDemandHistory(userId, item.sku, salesData, {
+    events: events ? events.filter(event => appliesToSku(event, item.sku)) : null,
+  });
+  const settings = replenishmentSettings(item, await loadSupplier(userId, item, suppliers));
+  const horizon = Math.max(Math.ceil(settings.leadTimeDays), 1);
+  
+  // Upcoming events inside the lead time raise the demand the reorder point has to cover
+  const { forecast } = applyEventUplift(
+    SimpleForecast.combinedForecast(series, horizon),
+    format(addDays(new Date(), 1), 'yyyy-MM-dd'),
+    skuEvents,
+    eventHistory.learned
+  );
+  const backtest = SimpleForecast.backtest(series, 'combined', {
+    horizon: Math.min(horizon, BACKTEST_MAX_HORIZON),
+  });
+  
+  return reorderPolicy({
+    forecast,
+    history: series,
+    backtest,
+    ...settings,
+  });
+};
+
+// Helper function to simulate stockout risk for an inventory item over one replenishment cycle,
+// with demand sampled around the method's forecast of its prepared history using its backtest residuals
+const simulateItemRisk = (item, { events, eventHistory, series }, {
+  supplier = null,
+  receipts = [],
+  orderQuantity = 0,
+  runs = DEFAULT_SIMULATION_RUNS,
+  method = 'combined',
+  seed = seedFrom(item.sku),
+} = {}) => {
+  const settings = replenishmentSettings(item, supplier);
+  
+  // Long enough to cover a late delivery and most of the cycle that follows it
+  const horizon = Math.min(Math.max(Math.ceil(settings.leadTimeDays + 3 * settings.leadTimeStdDays), 1) + 30, 90);
+  const startDate = format(addDays(new Date(), 1), 'yyyy-MM-dd');
+  const { forecast } = applyEventUplift(
+    SimpleForecast.forecastWith(method, series, horizon),
+    startDate,
+    events,
+    eventHistory.learned
+  );
+  const backtest = SimpleForecast.backtest(series, method, {
+    horizon: Math.min(horizon, BACKTEST_MAX_HORIZON),
+  });
+  
+  return {
+    leadTimeDays: settings.leadTimeDays,
+    leadTimeStdDays: settings.leadTimeStdDays,
+    residualSource: backtest ? 'backtest' : 'historical variance',
+    ...simulateStockoutRisk({
+      onHand: item.quantity,
+      backorders: item.backorder_quantity ?? 0,
+      forecast,
+      residuals: forecastResiduals(backtest, series),
+      receipts,
+      startDate,
+      orderQuantity,
+      leadTimeDays: settings.leadTimeDays,
+      leadTimeStdDays: settings.leadTimeStdDays,
+      runs,
+      seed,
+    }),
+  };
+};
+
+// Helper function to keep the headline figures of a stockout risk simulation
+const summarizeRisk = (risk) => ({
+  stockoutProbability: risk.stockoutProbability,
+  cycleStockoutProbability: risk.cycleStockoutProbability,
+  expectedUnitsShort: risk.expectedUnitsShort,
+  fillRate: risk.fillRate,
+});
+
+// Helper function to compare saved forecasts with actual sales for the last `days` days,
+// of SKU totals or, given a location, of that location's forecasts and sales
+const loadAccuracy = async (userId, { sku = null, period = 'week', days = 90, locationId = null } = {}) => {
+  const today = new Date();
+  const startDate = subDays(today, days);
+  const [forecasts, history] = await Promise.all([
+    dbHelpers.getForecastHistory(userId, {
+      sku,
+      startDate: format(startDate, 'yyyy-MM-dd'),
+      endDate: format(today, 'yyyy-MM-dd'),
+      locationId,
+    }),
+    dbHelpers.getSalesHistory(userId, {
+      sku,
+      startDate: format(subDays(startDate, MASE_SCALE_DAYS), 'yyyy-MM-dd'),
+      endDate: format(today, 'yyyy-MM-dd'),
+      locationId,
+    }),
+  ]);
+  
+  // Naive one-step error of each SKU's recent history scales MASE
+  const salesBySku = {};
+  history.forEach(record => {
+    if (!salesBySku[record.sku]) {
+      salesBySku[record.sku] = [];
+    }
+    salesBySku[record.sku].push(record);
+  });
+  const scales = {};
+  Object.entries(salesBySku).forEach(([skuKey, records]) => {
+    scales[skuKey] = naiveScale(prepareSalesData(records));
+  });
+  
+  return evaluateAccuracy(forecasts, history, { period, scales });
+};
+
 // Generate forecast for a specific SKU
 router.post('/generate/:sku', async (req, res) => {
   try {
@@ -191,8 +944,16 @@ router.post('/generate/:sku', async (req, res) => {
     const { 
       days = 30, 
       method = 'combined',
+      seasonality = 'additive',
+      selection = 'best',
+      intervalLevels = DEFAULT_INTERVAL_LEVELS,
+      stockoutTreatment = 'impute',
+      cleanse = false,
+      outlierThreshold = 3,
+      outlierTreatment = 'cap',
       startDate = null,
-      endDate = null 
+      endDate = null,
+      location: locationId = null
     } = req.body;
     
     if (!sku) {
@@ -202,10 +963,59 @@ router.post('/generate/:sku', async (req, res) => {
       });
     }
     
+    if (!['additive', 'multiplicative'].includes(seasonality)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Seasonality must be either additive or multiplicative',
+      });
+    }
+    
+    if (!['best', 'weighted'].includes(selection)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Selection must be either best or weighted',
+      });
+    }
+    
+    if (
+      !Array.isArray(intervalLevels) ||
+      intervalLevels.length === 0 ||
+      !intervalLevels.every(level => typeof level === 'number' && level > 0 && level < 100)
+    ) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'intervalLevels must be a non-empty array of coverage percentages between 0 and 100',
+      });
+    }
+    
+    if (!['impute', 'exclude'].includes(stockoutTreatment)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Stockout treatment must be either impute or exclude',
+      });
+    }
+    
+    const outlierError = cleanse ? validateOutlierOptions(outlierThreshold, outlierTreatment) : null;
+    if (outlierError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: outlierError,
+      });
+    }
+    
+    // Location-level forecasts use that location's sales, stock and deliveries only
+    const location = locationId ? await loadLocation(userId, locationId) : null;
+    if (locationId && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
     const forecastDays = Math.min(Math.max(parseInt(days), 1), 90); // Limit to 1-90 days
     
     // Get historical sales data for the SKU for the authenticated user
-    const salesData = await dbHelpers.getSalesData(userId, sku, startDate, endDate);
+    const salesData = await dbHelpers.getSalesData(userId, sku, startDate, endDate, location?.id);
     
     if (salesData.length === 0) {
       return res.status(404).json({
@@ -215,12 +1025,25 @@ router.post('/generate/:sku', async (req, res) => {
     }
     
     // Prepare time series data
-    const timeSeries = prepareSalesData(salesData);
+    // Stockout days corrected, past event windows replaced by their baseline and,
+    // optionally, one-off spikes and dips such as bulk orders capped
+    const { salesSeries, stockouts, events, eventHistory, cleansing, series: timeSeries, excluded } = await prepareDemandHistory(
+      userId,
+      sku,
+      salesData,
+      {
+        stockoutTreatment,
+        cleanse,
+        outlierOptions: { threshold: outlierThreshold, treatment: outlierTreatment },
+      }
+    );
+    const demandPattern = SimpleForecast.classifyDemand(timeSeries);
     
     // Generate forecast using statistical methods
     let forecast;
     let forecastMethod = method;
     let modelInfo = null;
+    let backtestResult;
 
     switch (method) {
       case 'linear':
@@ -235,11 +1058,77 @@ router.post('/generate/:sku', async (req, res) => {
         forecast = SimpleForecast.seasonalNaive(timeSeries, 7, forecastDays);
         forecastMethod = 'seasonal';
         break;
+      case 'holtwinters': {
+        const model = SimpleForecast.holtWintersModel(timeSeries, forecastDays, { seasonality });
+        forecast = model.forecast;
+        forecastMethod = model.fallback || 'holtwinters';
+        modelInfo = model.fallback
+          ? {
+              method: forecastMethod,
+              description: 'Holt-Winters needs at least two full weeks of history, used exponential smoothing instead',
+            }
+          : {
+              method: forecastMethod,
+              description: `Holt-Winters triple exponential smoothing (${model.seasonality} seasonality)`,
+              parameters: {
+                alpha: model.alpha,
+                beta: model.beta,
+                gamma: model.gamma,
+                seasonLength: model.seasonLength,
+                seasonality: model.seasonality,
+                requestedSeasonality: seasonality,
+              },
+            };
+        break;
+      }
+      case 'croston':
+      case 'sba':
+        forecast = SimpleForecast.croston(timeSeries, forecastDays, 0.1, method);
+        forecastMethod = method;
+        break;
+      case 'auto': {
+        const model = SimpleForecast.autoForecast(timeSeries, forecastDays, {
+          selection,
+          options: { seasonality },
+          excluded,
+        });
+        forecast = model.forecast;
+        forecastMethod = 'auto';
+        backtestResult = model.backtest || null;
+        modelInfo = model.fallback
+          ? {
+              method: forecastMethod,
+              selectedMethod: model.selectedMethod,
+              candidates: [],
+              description: 'Not enough history to backtest methods, used combined statistical methods',
+            }
+          : {
+              method: forecastMethod,
+              selectedMethod: model.selectedMethod,
+              selection: model.selection,
+              weights: model.weights,
+              backtestHorizon: model.horizon,
+              candidates: model.candidates,
+              description: model.selection === 'weighted'
+                ? 'Blend of all methods weighted by inverse rolling-origin backtest error'
+                : `Lowest rolling-origin backtest error: ${model.selectedMethod}`,
+            };
+        break;
+      }
       case 'combined':
-      default:
+      default: {
         forecast = SimpleForecast.combinedForecast(timeSeries, forecastDays);
         forecastMethod = 'combined';
+        const routedMethod = SimpleForecast.intermittentMethod(demandPattern.pattern);
+        if (routedMethod) {
+          modelInfo = {
+            method: forecastMethod,
+            routedTo: routedMethod,
+            description: `${demandPattern.pattern} demand detected, forecast with ${routedMethod === 'sba' ? 'Syntetos-Boylan approximation' : "Croston's method"}`,
+          };
+        }
         break;
+      }
     }
     
     // Ensure forecast is an array
@@ -247,19 +1136,39 @@ router.post('/generate/:sku', async (req, res) => {
       console.error('Forecast is not an array:', forecast);
       forecast = Array(forecastDays).fill(forecast || 0);
     }
+    
+    // Scale forecast days that fall inside upcoming events
+    const today = new Date();
+    const eventForecast = applyEventUplift(
+      forecast,
+      format(addDays(today, 1), 'yyyy-MM-dd'),
+      events,
+      eventHistory.learned
+    );
+    forecast = eventForecast.forecast;
 
+    // Residuals of the chosen method drive the prediction intervals
+    if (backtestResult === undefined) {
+      backtestResult = SimpleForecast.backtest(timeSeries, forecastMethod, {
+        horizon: Math.min(forecastDays, BACKTEST_MAX_HORIZON),
+        options: { seasonality },
+        excluded,
+      });
+    }
+    const intervals = SimpleForecast.predictionIntervals(forecast, timeSeries, backtestResult, intervalLevels);
+    
     // Generate forecast dates
-    const today = new Date();
     const forecastData = forecast.map((value, index) => ({
       date: format(addDays(today, index + 1), 'yyyy-MM-dd'),
       predicted_demand: value,
+      intervals: intervals[index],
       sku,
     }));
     
     // Calculate statistics
-    const totalPredictedDemand = forecast.reduce((sum, value) => sum + value, 0);
+    const totalPredictedDemand = Math.round(forecast.reduce((sum, value) => sum + value, 0) * 100) / 100;
     const avgDailyDemand = totalPredictedDemand / forecastDays;
-    const historicalAvg = timeSeries.length > 0 ? mean(timeSeries) : 0;
+    const historicalAvg = salesSeries.length > 0 ? mean(salesSeries) : 0;
     
     // Get current inventory for reorder suggestions
     let currentInventory = null;
@@ -267,41 +1176,110 @@ router.post('/generate/:sku', async (req, res) => {
     
     try {
       currentInventory = await dbHelpers.getInventoryBySku(userId, sku);
+      if (location) {
+        currentInventory = await itemAtLocation(userId, currentInventory, location);
+      }
       const currentStock = currentInventory.quantity;
-      const reorderLevel = currentInventory.reorder_level;
+      const backorders = currentInventory.backorder_quantity ?? 0;
+      const supplier = await loadSupplier(userId, currentInventory);
+      const receipts = (await loadOpenSupply(userId, [currentInventory], location?.id))[sku];
       
-      // Calculate reorder suggestion
-      if (totalPredictedDemand > currentStock) {
-        const suggestedReorder = Math.ceil(totalPredictedDemand - currentStock + reorderLevel);
-        reorderSuggestion = {
-          needed: true,
-          currentStock,
-          predictedDemand: totalPredictedDemand,
-          suggestedQuantity: suggestedReorder,
-          daysUntilStockout: Math.floor(currentStock / (avgDailyDemand || 1)),
-          priority: currentStock <= reorderLevel ? 'high' : 'medium',
-        };
+      // Reorder decisions use the inventory position, so stock already on order isn't ordered twice
+      const position = inventoryPosition({ onHand: currentStock, backorders, receipts });
+      const stock = {
+        currentStock,
+        onOrder: position - currentStock + backorders,
+        backorders,
+        inventoryPosition: position,
+        inbound: receipts,
+      };
+      
+      // Stockout projection adds each receipt on its expected arrival date
+      const projection = projectStockout({
+        onHand: currentStock,
+        backorders,
+        forecast,
+        receipts,
+        startDate: forecastData[0]?.date ?? format(addDays(today, 1), 'yyyy-MM-dd'),
+      });
+      
+      // Safety stock and reorder point from forecast error, lead time and the SKU's service level
+      const replenishment = reorderPolicy({
+        forecast,
+        history: timeSeries,
+        backtest: backtestResult,
+        ...replenishmentSettings(currentInventory, supplier),
+      });
+      const policy = {
+        ...replenishment,
+        currentReorderLevel: currentInventory.reorder_level,
+      };
+      
+      // EOQ from annualised forecast demand, costed against the suggested quantity when there is one
+      const economicOrder = (compareQuantity) => economicOrderQuantity({
+        forecast,
+        ...orderCosts(currentInventory, supplier),
+        moq: supplier?.moq,
+        casePack: supplier?.case_pack,
+        compareQuantity,
+      });
+      
+      // Calculate reorder suggestion
+      const reorderInputs = { predictedDemand: totalPredictedDemand, position, replenishment, supplier };
+      if (reorderNeededFor(reorderInputs)) {
+        const { rawQuantity, suggestedQuantity } = orderUpToQuantity(reorderInputs);
+        reorderSuggestion = {
+          needed: true,
+          ...stock,
+          predictedDemand: totalPredictedDemand,
+          rawQuantity,
+          suggestedQuantity,
+          economicOrder: economicOrder(suggestedQuantity),
+          supplier: supplier ? {
+            id: supplier.id,
+            name: supplier.name,
+            moq: supplier.moq,
+            casePack: supplier.case_pack,
+            orderCost: Number(supplier.order_cost),
+          } : null,
+          daysUntilStockout: projection.daysUntilStockout,
+          stockoutDate: projection.stockoutDate,
+          // High when stock runs out before an order placed today would arrive
+          priority: projection.daysUntilStockout !== null && projection.daysUntilStockout < replenishment.leadTimeDays
+            ? 'high'
+            : 'medium',
+          policy,
+        };
       } else {
         reorderSuggestion = {
           needed: false,
-          currentStock,
+          ...stock,
           predictedDemand: totalPredictedDemand,
-          daysOfStock: Math.floor(currentStock / (avgDailyDemand || 1)),
+          daysOfStock: projection.daysUntilStockout,
+          stockoutDate: projection.stockoutDate,
+          economicOrder: economicOrder(null),
+          policy,
         };
       }
     } catch (inventoryError) {
       console.log(`No inventory data found for SKU: ${sku}`);
     }
     
-    // Save forecast to database (optional)
+    // Confidence from backtest accuracy (1 - WAPE), neutral when the method couldn't be backtested
+    const confidenceScore = backtestResult?.wape != null
+      ? Math.round(Math.max(0, Math.min(1, 1 - backtestResult.wape / 100)) * 100) / 100
+      : 0.5;
+    
+    // Save forecast to database (optional), per location when one was forecast
     try {
       const forecastRecords = forecastData.map(item => ({
         sku: item.sku,
         predicted_date: item.date,
         predicted_demand: item.predicted_demand,
         forecast_date: new Date().toISOString(),
-        // Add confidence score based on method
-        confidence_score: forecastMethod === 'combined' ? 0.7 : 0.5,
+        prediction_intervals: item.intervals,
+        confidence_score: confidenceScore,
+        location_id: location?.id ?? null,
       }));
       
       await dbHelpers.saveForecast(userId, forecastRecords);
@@ -314,6 +1292,7 @@ router.post('/generate/:sku', async (req, res) => {
       success: true,
       data: {
         sku,
+        location: locationSummary(location),
         method: forecastMethod,
         requestedMethod: method,
         forecastPeriod: {
@@ -325,8 +1304,35 @@ router.post('/generate/:sku', async (req, res) => {
           totalRecords: salesData.length,
           averageDailyDemand: Math.round(historicalAvg * 100) / 100,
           totalHistoricalSales: salesData.reduce((sum, record) => sum + record.units_sold, 0),
+          demandPattern,
         },
         forecast: forecastData,
+        uncertainty: {
+          levels: intervalLevels,
+          source: backtestResult ? 'backtest residuals' : 'historical variance',
+          backtestFolds: backtestResult ? backtestResult.folds.length : 0,
+          backtestRmse: backtestResult ? backtestResult.rmse : null,
+          confidenceScore,
+        },
+        events: {
+          applied: eventForecast.applied,
+          pastWindows: eventHistory.windows,
+          historyAdjustedDays: eventHistory.adjustedDays,
+        },
+        stockouts: {
+          treatment: stockoutTreatment,
+          censoredDays: stockouts.censoredDays,
+          correctedDays: stockouts.correctedDays,
+          corrections: stockouts.corrections,
+        },
+        cleansing: cleansing
+          ? {
+              threshold: outlierThreshold,
+              treatment: outlierTreatment,
+              adjustedDays: cleansing.adjustedDays,
+              adjustments: cleansing.outliers.filter(outlier => outlier.value !== outlier.original),
+            }
+          : null,
         summary: {
           totalPredictedDemand,
           averageDailyDemand: Math.round(avgDailyDemand * 100) / 100,
@@ -351,14 +1357,176 @@ router.post('/generate/:sku', async (req, res) => {
   }
 });
 
+// Replay history with a method to show how it would have performed
+router.post('/backtest/:sku', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const userId = req.auth.userId;
+    const {
+      method = 'combined',
+      horizon = 14,
+      folds = 3,
+      seasonality = 'additive',
+      stockoutTreatment = 'impute',
+      cleanse = false,
+      outlierThreshold = 3,
+      outlierTreatment = 'cap',
+      location: locationId = null,
+    } = req.body;
+    
+    if (![...AUTO_CANDIDATE_METHODS, 'auto'].includes(method)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Unknown forecast method: ${method}`,
+      });
+    }
+    
+    if (!['additive', 'multiplicative'].includes(seasonality)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Seasonality must be either additive or multiplicative',
+      });
+    }
+    
+    if (!['impute', 'exclude'].includes(stockoutTreatment)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Stockout treatment must be either impute or exclude',
+      });
+    }
+    
+    const outlierError = cleanse ? validateOutlierOptions(outlierThreshold, outlierTreatment) : null;
+    if (outlierError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: outlierError,
+      });
+    }
+    
+    const location = locationId ? await loadLocation(userId, locationId) : null;
+    if (locationId && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const backtestHorizon = Math.min(Math.max(parseInt(horizon) || 14, 1), 90);
+    const foldCount = Math.min(Math.max(parseInt(folds) || 3, 1), 12);
+    
+    const salesData = await dbHelpers.getSalesData(userId, sku, null, null, location?.id);
+    
+    if (salesData.length === 0) {
+      return res.status(404).json({
+        error: 'No Data',
+        message: `No sales data found for SKU: ${sku}`,
+      });
+    }
+    
+    // The same corrected history /generate fits on, so the errors are those of the forecast model
+    const { series: timeSeries, excluded } = await prepareDemandHistory(userId, sku, salesData, {
+      stockoutTreatment,
+      cleanse,
+      outlierOptions: { threshold: outlierThreshold, treatment: outlierTreatment },
+    });
+    const result = SimpleForecast.backtest(timeSeries, method, {
+      horizon: backtestHorizon,
+      folds: foldCount,
+      options: { seasonality },
+      excluded,
+    });
+    
+    if (!result) {
+      return res.status(400).json({
+        error: 'Insufficient Data',
+        message: `Backtesting a ${backtestHorizon}-day horizon needs at least ${BACKTEST_MIN_TRAIN_SIZE + backtestHorizon} days of history, found ${timeSeries.length}`,
+      });
+    }
+    
+    // Map series positions back to calendar dates (the prepared history starts at the first sale)
+    const firstDate = parseISO(salesData[0].date);
+    const dateAt = (index) => format(addDays(firstDate, index), 'yyyy-MM-dd');
+    
+    // MASE for each fold is scaled by the naive error of that fold's own training window
+    const allPairs = [];
+    const foldReports = result.folds.map(fold => {
+      const scale = naiveScale(timeSeries.slice(0, fold.trainSize));
+      const pairs = fold.actual.map((actual, i) => ({ actual, predicted: fold.predicted[i], scale }));
+      allPairs.push(...pairs);
+      return {
+        fold: fold.fold,
+        trainStart: dateAt(0),
+        trainEnd: dateAt(fold.trainSize - 1),
+        testStart: dateAt(fold.trainSize),
+        testEnd: dateAt(fold.trainSize + backtestHorizon - 1),
+        // Excluded stockout days are left out of the scored series
+        series: fold.actual.map((actual, i) => ({
+          date: dateAt(fold.trainSize + fold.days[i]),
+          actual,
+          predicted: fold.predicted[i],
+        })),
+        metrics: {
+          mae: fold.mae,
+          rmse: fold.rmse,
+          ...errorMetrics(pairs),
+        },
+      };
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        sku,
+        location: locationSummary(location),
+        method,
+        horizon: backtestHorizon,
+        requestedFolds: foldCount,
+        stockoutTreatment,
+        cleansed: Boolean(cleanse),
+        folds: foldReports,
+        overall: {
+          mae: result.mae,
+          rmse: result.rmse,
+          ...errorMetrics(allPairs),
+        },
+        generatedAt: new Date().toISOString(),
+      },
+    });
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to run backtest',
+    });
+  }
+});
+
 // Generate forecasts for all SKUs (batch) for the authenticated user
 router.post('/generate-all', async (req, res) => {
   try {
     const userId = req.auth.userId;
-    const { days = 30, method = 'combined' } = req.body;
+    const { days = 30, method = 'combined', rankBy = 'priority', runs = BATCH_SIMULATION_RUNS } = req.body;
+    
+    if (!['priority', 'risk'].includes(rankBy)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'rankBy must be one of: priority, risk',
+      });
+    }
+    
+    const runCount = parseInt(runs);
+    if (rankBy === 'risk' && (!Number.isInteger(runCount) || runCount < 1 || runCount > MAX_SIMULATION_RUNS)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `runs must be between 1 and ${MAX_SIMULATION_RUNS}`,
+      });
+    }
     
     // Get all unique SKUs from inventory for the authenticated user
-    const inventory = await dbHelpers.getInventory(userId);
+    const [inventory, suppliers] = await Promise.all([
+      dbHelpers.getInventory(userId),
+      dbHelpers.getSuppliers(userId),
+    ]);
     
     if (inventory.length === 0) {
       return res.status(404).json({
@@ -370,6 +1538,15 @@ router.post('/generate-all', async (req, res) => {
     const forecasts = [];
     const errors = [];
     
+    let allEvents = [];
+    try {
+      allEvents = await dbHelpers.getEvents(userId);
+    } catch (eventsError) {
+      console.error('Error fetching events:', eventsError);
+    }
+    const forecastStartDate = format(addDays(new Date(), 1), 'yyyy-MM-dd');
+    const supply = await loadOpenSupply(userId, inventory);
+    
     for (const item of inventory) {
       try {
         // Get sales data for this SKU for the authenticated user
@@ -383,23 +1560,64 @@ router.post('/generate-all', async (req, res) => {
           continue;
         }
         
-        // Generate forecast
-        const timeSeries = prepareSalesData(salesData);
-        const forecast = SimpleForecast.combinedForecast(timeSeries, days);
-        const totalPredictedDemand = forecast.reduce((sum, value) => sum + value, 0);
+        // Generate forecast, fitted on stockout- and event-corrected history and lifted for upcoming events
+        const history = await prepareDemandHistory(userId, item.sku, salesData, {
+          events: allEvents.filter(event => appliesToSku(event, item.sku)),
+        });
+        const { events, eventHistory, series: timeSeries } = history;
+        const { pattern: demandPattern } = SimpleForecast.classifyDemand(timeSeries);
+        const { forecast } = applyEventUplift(
+          SimpleForecast.combinedForecast(timeSeries, days),
+          forecastStartDate,
+          events,
+          eventHistory.learned
+        );
+        const totalPredictedDemand = Math.round(forecast.reduce((sum, value) => sum + value, 0) * 100) / 100;
+        
+        // Check if reorder is needed, counting stock on order and backorders
+        const position = inventoryPosition({
+          onHand: item.quantity,
+          backorders: item.backorder_quantity ?? 0,
+          receipts: supply[item.sku],
+        });
         
-        // Check if reorder is needed
-        const reorderNeeded = totalPredictedDemand > item.quantity;
+        // Same reorder policy and order-up-to quantity as a single SKU's forecast
+        const supplier = await loadSupplier(userId, item, suppliers);
+        const replenishment = reorderPolicy({
+          forecast,
+          history: timeSeries,
+          backtest: SimpleForecast.backtest(timeSeries, 'combined', {
+            horizon: Math.min(days, BACKTEST_MAX_HORIZON),
+          }),
+          ...replenishmentSettings(item, supplier),
+        });
+        const reorderInputs = { predictedDemand: totalPredictedDemand, position, replenishment, supplier };
+        const reorderNeeded = reorderNeededFor(reorderInputs);
+        const priority = position <= item.reorder_level ? 'high' : 
+                        reorderNeeded ? 'medium' : 'low';
+        const suggestedQuantity = reorderNeeded ? orderUpToQuantity(reorderInputs).suggestedQuantity : 0;
         
         forecasts.push({
           sku: item.sku,
           name: item.name,
           currentStock: item.quantity,
+          inventoryPosition: position,
           reorderLevel: item.reorder_level,
           predictedDemand: totalPredictedDemand,
+          demandPattern,
           reorderNeeded,
-          priority: item.quantity <= item.reorder_level ? 'high' : 
-                   reorderNeeded ? 'medium' : 'low',
+          priority,
+          suggestedQuantity,
+          supplierId: supplier?.id ?? null,
+          // Monte Carlo risk of the suggested order (or of not ordering), only when ranking by risk
+          stockoutRisk: rankBy === 'risk'
+            ? summarizeRisk(simulateItemRisk(item, history, {
+                supplier,
+                receipts: supply[item.sku],
+                orderQuantity: suggestedQuantity,
+                runs: runCount,
+              }))
+            : undefined,
         });
       } catch (error) {
         errors.push({
@@ -409,11 +1627,19 @@ router.post('/generate-all', async (req, res) => {
       }
     }
     
-    // Sort by priority (high -> medium -> low)
-    forecasts.sort((a, b) => {
-      const priorityOrder = { high: 3, medium: 2, low: 1 };
-      return priorityOrder[b.priority] - priorityOrder[a.priority];
-    });
+    if (rankBy === 'risk') {
+      // Most likely to run out before the next order arrives first, then by expected shortfall
+      forecasts.sort((a, b) =>
+        b.stockoutRisk.stockoutProbability - a.stockoutRisk.stockoutProbability ||
+        b.stockoutRisk.expectedUnitsShort - a.stockoutRisk.expectedUnitsShort
+      );
+    } else {
+      // Sort by priority (high -> medium -> low)
+      forecasts.sort((a, b) => {
+        const priorityOrder = { high: 3, medium: 2, low: 1 };
+        return priorityOrder[b.priority] - priorityOrder[a.priority];
+      });
+    }
     
     res.json({
       success: true,
@@ -426,7 +1652,11 @@ router.post('/generate-all', async (req, res) => {
           highPriority: forecasts.filter(f => f.priority === 'high').length,
           mediumPriority: forecasts.filter(f => f.priority === 'medium').length,
           reorderNeeded: forecasts.filter(f => f.reorderNeeded).length,
+          atRisk: rankBy === 'risk'
+            ? forecasts.filter(f => f.stockoutRisk.stockoutProbability >= HIGH_RISK_PROBABILITY).length
+            : undefined,
         },
+        rankBy,
         errorDetails: errors.length > 0 ? errors : undefined,
       },
       generatedAt: new Date().toISOString(),
@@ -440,6 +1670,133 @@ router.post('/generate-all', async (req, res) => {
   }
 });
 
+// Get recommended reorder points for all SKUs for the authenticated user
+router.get('/reorder-points', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const location = req.query.location ? await loadLocation(userId, req.query.location) : null;
+    
+    if (req.query.location && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const [inventory, suppliers] = await Promise.all([
+      dbHelpers.getInventory(userId),
+      dbHelpers.getSuppliers(userId),
+    ]);
+    
+    let events = [];
+    try {
+      events = await dbHelpers.getEvents(userId);
+    } catch (eventsError) {
+      console.error('Error fetching events:', eventsError);
+    }
+    
+    const recommendations = [];
+    const skipped = [];
+    
+    for (const skuItem of inventory) {
+      try {
+        const item = location ? await itemAtLocation(userId, skuItem, location) : skuItem;
+        const policy = await recommendReorderPoint(userId, item, { events, suppliers, locationId: location?.id });
+        
+        if (!policy) {
+          skipped.push({ sku: item.sku, reason: 'No sales data found' });
+          continue;
+        }
+        
+        recommendations.push({
+          id: item.id,
+          sku: item.sku,
+          name: item.name,
+          currentStock: item.quantity,
+          currentReorderLevel: item.reorder_level,
+          ...policy,
+        });
+      } catch (error) {
+        skipped.push({ sku: skuItem.sku, reason: error.message });
+      }
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        location: locationSummary(location),
+        recommendations,
+        skipped: skipped.length > 0 ? skipped : undefined,
+      },
+    });
+  } catch (error) {
+    console.error('Error recommending reorder points:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to recommend reorder points',
+    });
+  }
+});
+
+// Accept the recommended reorder point of a SKU as its reorder level
+router.post('/reorder-points/:sku/accept', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const userId = req.auth.userId;
+    
+    const { location: locationId = null } = req.body;
+    const location = locationId ? await loadLocation(userId, locationId) : null;
+    
+    if (locationId && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const skuItem = await dbHelpers.getInventoryBySku(userId, sku);
+    const item = location ? await itemAtLocation(userId, skuItem, location) : skuItem;
+    const policy = await recommendReorderPoint(userId, item, { locationId: location?.id });
+    
+    if (!policy) {
+      return res.status(404).json({
+        error: 'No Data',
+        message: `No sales data found for SKU: ${sku}`,
+      });
+    }
+    
+    // A location's reorder point is kept on its stock level, the SKU's on the item
+    const updatedItem = location
+      ? await dbHelpers.upsertInventoryLevel(userId, item.id, location.id, { reorder_level: policy.reorderPoint })
+      : await dbHelpers.updateInventory(userId, item.id, { reorder_level: policy.reorderPoint });
+    
+    res.json({
+      success: true,
+      data: {
+        item: updatedItem,
+        location: locationSummary(location),
+        policy,
+      },
+      message: location
+        ? `Reorder level for ${sku} at ${location.name} set to ${policy.reorderPoint}`
+        : `Reorder level for ${sku} set to ${policy.reorderPoint}`,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item with this SKU not found',
+      });
+    }
+    
+    console.error('Error accepting reorder point:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to accept reorder point',
+    });
+  }
+});
+
 // Get dashboard summary with forecast metrics
 router.get('/dashboard/summary', async (req, res) => {
   try {
@@ -457,9 +1814,11 @@ router.get('/dashboard/summary', async (req, res) => {
           lowStockCount: 0,
           lowStockItems: [],
           trendingSKUs: [],
-          accuracy: 85,
-          demandTrend: 5,
-          accuracyTrend: 2
+          accuracy: null,
+          demandTrend: 0,
+          accuracyTrend: null,
+          accuracyMetrics: null,
+          accuracySeries: []
         }
       });
     }
@@ -496,12 +1855,11 @@ router.get('/dashboard/summary', async (req, res) => {
       }
     }
 
-    // Calculate realistic metrics based on data
-    const accuracy = Math.min(95, Math.max(70, 75 + Math.floor(quickForecasts.length * 3)));
+    // Accuracy of saved forecasts against actuals over the last 30 days, by week
+    const accuracy = await loadAccuracy(userId, { period: 'week', days: 30 });
     const demandTrend = quickForecasts.length > 0 
       ? Math.round(quickForecasts.reduce((sum, f) => sum + (f.predictedDemand - f.totalSales), 0) / quickForecasts.length * 0.1)
       : 0;
-    const accuracyTrend = Math.floor(Math.random() * 6 - 1); // -1% to +5%
 
     res.json({
       success: true,
@@ -510,9 +1868,11 @@ router.get('/dashboard/summary', async (req, res) => {
         lowStockCount: lowStockItems.length,
         lowStockItems: lowStockItems,
         trendingSKUs: quickForecasts.slice(0, 3),
-        accuracy: Math.max(0, Math.min(100, accuracy)),
+        accuracy: accuracy.overall.accuracy,
         demandTrend: Math.max(-20, Math.min(30, demandTrend)),
-        accuracyTrend: Math.max(-5, Math.min(8, accuracyTrend))
+        accuracyTrend: accuracyTrend(accuracy.byPeriod),
+        accuracyMetrics: accuracy.overall,
+        accuracySeries: accuracy.daily
       }
     });
     
@@ -525,7 +1885,409 @@ router.get('/dashboard/summary', async (req, res) => {
   }
 });
 
-// Get saved forecasts for a SKU for the authenticated user
+// Get forecast accuracy (saved forecasts vs later actuals) for the authenticated user
+router.get('/accuracy', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { sku = null, period = 'week', days = 90 } = req.query;
+    
+    if (!['week', 'month'].includes(period)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Period must be either week or month',
+      });
+    }
+    
+    const location = req.query.location ? await loadLocation(userId, req.query.location) : null;
+    if (req.query.location && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const lookbackDays = Math.min(Math.max(parseInt(days) || 90, 1), 730);
+    const accuracy = await loadAccuracy(userId, { sku, period, days: lookbackDays, locationId: location?.id });
+    
+    res.json({
+      success: true,
+      data: {
+        ...accuracy,
+        trend: accuracyTrend(accuracy.byPeriod),
+        lookbackDays,
+        location: locationSummary(location),
+      },
+    });
+  } catch (error) {
+    console.error('Error computing forecast accuracy:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to compute forecast accuracy',
+    });
+  }
+});
+
+// Get outliers flagged in a SKU's sales history with the user's review decisions
+router.get('/outliers/:sku', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const userId = req.auth.userId;
+    const { threshold = '3', treatment = 'cap' } = req.query;
+    const outlierThreshold = parseFloat(threshold);
+    
+    const outlierError = validateOutlierOptions(outlierThreshold, treatment);
+    if (outlierError) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: outlierError,
+      });
+    }
+    
+    const salesData = await dbHelpers.getSalesData(userId, sku);
+    
+    if (salesData.length === 0) {
+      return res.status(404).json({
+        error: 'No Data',
+        message: `No sales data found for SKU: ${sku}`,
+      });
+    }
+    
+    // Screen the same history forecasting uses, with stockouts imputed and event windows at their baseline
+    const { eventHistory, cleansing } = await prepareDemandHistory(userId, sku, salesData, {
+      cleanse: true,
+      outlierOptions: { threshold: outlierThreshold, treatment },
+    });
+    
+    const startDate = parseISO(salesData[0].date);
+    res.json({
+      success: true,
+      data: {
+        sku,
+        threshold: outlierThreshold,
+        treatment,
+        adjustedDays: cleansing.adjustedDays,
+        outliers: cleansing.outliers,
+        series: eventHistory.series.map((value, index) => ({
+          date: format(addDays(startDate, index), 'yyyy-MM-dd'),
+          original: value,
+          cleansed: cleansing.series[index],
+        })),
+      },
+    });
+  } catch (error) {
+    console.error('Error detecting outliers:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to detect outliers',
+    });
+  }
+});
+
+// Accept, reject or override an outlier flag for a SKU and date
+router.put('/outliers/:sku/:date', async (req, res) => {
+  try {
+    const { sku, date } = req.params;
+    const userId = req.auth.userId;
+    const { decision, value = null } = req.body;
+    
+    if (!isValid(parseISO(date))) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Date must be in yyyy-MM-dd format',
+      });
+    }
+    
+    if (!['accept', 'reject', 'override'].includes(decision)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Decision must be one of accept, reject or override',
+      });
+    }
+    
+    const overrideValue = decision === 'override' ? parseFloat(value) : null;
+    if (decision === 'override' && (isNaN(overrideValue) || overrideValue < 0)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Override value must be a non-negative number',
+      });
+    }
+    
+    const savedDecision = await dbHelpers.saveOutlierDecision(userId, {
+      sku,
+      date,
+      decision,
+      override_value: overrideValue,
+    });
+    
+    res.json({
+      success: true,
+      data: savedDecision,
+      message: 'Outlier decision saved',
+    });
+  } catch (error) {
+    console.error('Error saving outlier decision:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to save outlier decision',
+    });
+  }
+});
+
+// Clear the decision for an outlier, returning it to automatic cleansing
+router.delete('/outliers/:sku/:date', async (req, res) => {
+  try {
+    const { sku, date } = req.params;
+    const userId = req.auth.userId;
+    
+    await dbHelpers.deleteOutlierDecision(userId, sku, date);
+    
+    res.json({
+      success: true,
+      message: 'Outlier decision cleared',
+    });
+  } catch (error) {
+    console.error('Error clearing outlier decision:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to clear outlier decision',
+    });
+  }
+});
+
+// Decompose a SKU's sales history into trend, weekly and yearly seasonality
+router.get('/decomposition/:sku', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const userId = req.auth.userId;
+    const { startDate = null, endDate = null } = req.query;
+    
+    const salesData = await dbHelpers.getSalesData(userId, sku, startDate, endDate);
+    
+    if (salesData.length === 0) {
+      return res.status(404).json({
+        error: 'No Data',
+        message: `No sales data found for SKU: ${sku}`,
+      });
+    }
+    
+    const timeSeries = prepareSalesData(salesData);
+    
+    if (timeSeries.length < 14) {
+      return res.status(400).json({
+        error: 'Insufficient Data',
+        message: `Decomposition needs at least 14 days of history, found ${timeSeries.length}`,
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        sku,
+        startDate: salesData[0].date,
+        endDate: salesData[salesData.length - 1].date,
+        days: timeSeries.length,
+        ...decompose(timeSeries, salesData[0].date),
+      },
+    });
+  } catch (error) {
+    console.error('Error decomposing sales history:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to decompose sales history',
+    });
+  }
+});
+
+// Get the day-by-day projected inventory of a SKU for the authenticated user
+router.get('/projection/:sku', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const userId = req.auth.userId;
+    const { days = 30, method = 'combined', location: locationId } = req.query;
+    
+    if (!AUTO_CANDIDATE_METHODS.includes(method)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Method must be one of: ${AUTO_CANDIDATE_METHODS.join(', ')}`,
+      });
+    }
+    
+    const location = locationId ? await loadLocation(userId, locationId) : null;
+    if (locationId && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const horizon = Math.min(Math.max(parseInt(days) || 30, 1), 90); // Limit to 1-90 days
+    const skuItem = await dbHelpers.getInventoryBySku(userId, sku);
+    const item = location ? await itemAtLocation(userId, skuItem, location) : skuItem;
+    const salesData = await dbHelpers.getSalesData(userId, sku, null, null, location?.id);
+    
+    if (salesData.length === 0) {
+      return res.status(404).json({
+        error: 'No Data',
+        message: `No sales data found for SKU: ${sku}`,
+      });
+    }
+    
+    const { events, eventHistory, series } = await prepareDemandHistory(userId, sku, salesData);
+    const startDate = format(addDays(new Date(), 1), 'yyyy-MM-dd');
+    const { forecast } = applyEventUplift(
+      SimpleForecast.forecastWith(method, series, horizon),
+      startDate,
+      events,
+      eventHistory.learned
+    );
+    const backtest = SimpleForecast.backtest(series, method, {
+      horizon: Math.min(horizon, BACKTEST_MAX_HORIZON),
+    });
+    const intervals = SimpleForecast.predictionIntervals(forecast, series, backtest);
+    
+    const supplier = await loadSupplier(userId, item);
+    const policy = reorderPolicy({
+      forecast,
+      history: series,
+      backtest,
+      ...replenishmentSettings(item, supplier),
+    });
+    const receipts = (await loadOpenSupply(userId, [item], location?.id))[sku];
+    
+    const projection = projectInventory({
+      onHand: item.quantity,
+      backorders: item.backorder_quantity ?? 0,
+      forecast,
+      intervals,
+      receipts,
+      startDate,
+      errorSigma: policy.errorSigma,
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        sku,
+        name: item.name,
+        location: locationSummary(location),
+        method,
+        horizon,
+        currentStock: item.quantity,
+        backorders: item.backorder_quantity ?? 0,
+        reorderLevel: item.reorder_level,
+        safetyStock: policy.safetyStock,
+        reorderPoint: policy.reorderPoint,
+        receipts,
+        ...projection,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item with this SKU not found',
+      });
+    }
+    
+    console.error('Error projecting inventory:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to project inventory',
+    });
+  }
+});
+
+// Simulate the stockout risk of ordering a quantity of a SKU today for the authenticated user
+router.post('/simulate/:sku', async (req, res) => {
+  try {
+    const { sku } = req.params;
+    const userId = req.auth.userId;
+    const { orderQuantity = 0, runs = DEFAULT_SIMULATION_RUNS, method = 'combined', seed, location: locationId = null } = req.body;
+    
+    if (!AUTO_CANDIDATE_METHODS.includes(method)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `Method must be one of: ${AUTO_CANDIDATE_METHODS.join(', ')}`,
+      });
+    }
+    
+    const quantity = Number(orderQuantity);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'orderQuantity must be a non-negative integer',
+      });
+    }
+    
+    const runCount = parseInt(runs);
+    if (!Number.isInteger(runCount) || runCount < 1 || runCount > MAX_SIMULATION_RUNS) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: `runs must be between 1 and ${MAX_SIMULATION_RUNS}`,
+      });
+    }
+    
+    const location = locationId ? await loadLocation(userId, locationId) : null;
+    if (locationId && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const skuItem = await dbHelpers.getInventoryBySku(userId, sku);
+    const item = location ? await itemAtLocation(userId, skuItem, location) : skuItem;
+    const salesData = await dbHelpers.getSalesData(userId, sku, null, null, location?.id);
+    
+    if (salesData.length === 0) {
+      return res.status(404).json({
+        error: 'No Data',
+        message: `No sales data found for SKU: ${sku}`,
+      });
+    }
+    
+    const supplier = await loadSupplier(userId, item);
+    const receipts = (await loadOpenSupply(userId, [item], location?.id))[sku];
+    const history = await prepareDemandHistory(userId, sku, salesData);
+    const risk = simulateItemRisk(item, history, {
+      supplier,
+      receipts,
+      orderQuantity: quantity,
+      runs: runCount,
+      method,
+      seed: seed != null ? Number(seed) : seedFrom(sku),
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        sku,
+        name: item.name,
+        location: locationSummary(location),
+        method,
+        currentStock: item.quantity,
+        backorders: item.backorder_quantity ?? 0,
+        onOrder: receipts.reduce((sum, receipt) => sum + receipt.quantity, 0),
+        ...risk,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item with this SKU not found',
+      });
+    }
+    
+    console.error('Error simulating stockout risk:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to simulate stockout risk',
+    });
+  }
+});
+
+// Get saved forecasts for a SKU (or for a SKU at a location) for the authenticated user
 router.get('/:sku', async (req, res) => {
   try {
     const { sku } = req.params;
@@ -539,7 +2301,15 @@ router.get('/:sku', async (req, res) => {
       });
     }
     
-    const forecasts = await dbHelpers.getForecast(userId, sku);
+    const location = req.query.location ? await loadLocation(userId, req.query.location) : null;
+    if (req.query.location && !location) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const forecasts = await dbHelpers.getForecast(userId, sku, location?.id);
     
     res.json({
       success: true,
@@ -636,7 +2406,7 @@ router.get('/health', (req, res) => {
     success: true,
     service: 'Forecast Service',
     status: 'healthy',
-    algorithms: ['linear', 'exponential', 'seasonal', 'combined'],
+    algorithms: ['linear', 'exponential', 'seasonal', 'holtwinters', 'croston', 'sba', 'combined', 'auto'],
     timestamp: new Date().toISOString(),
   });
 });
@@ -0,0 +1,184 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { dbHelpers } from '../config/database.js';
+import { validateMapping } from '../services/salesImport.js';
+
+const router = express.Router();
+
+// Apply authentication to all import profile routes
+router.use(requireAuth);
+
+// Helper function to validate and normalise an import profile payload
+const validateProfile = (body) => {
+  const { name, columns, transforms } = body;
+  
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Profile name is required' };
+  }
+  
+  const { mapping, error } = validateMapping({ columns, transforms });
+  if (error) {
+    return { error };
+  }
+  
+  return {
+    profile: {
+      name: name.trim(),
+      column_mapping: mapping.columns,
+      transforms: mapping.transforms,
+    },
+  };
+};
+
+// Get all import profiles for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const profiles = await dbHelpers.getImportProfiles(userId);
+    
+    res.json({
+      success: true,
+      data: profiles,
+      count: profiles.length,
+    });
+  } catch (error) {
+    console.error('Error fetching import profiles:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch import profiles',
+    });
+  }
+});
+
+// Get import profile by ID for the authenticated user
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const profile = await dbHelpers.getImportProfile(userId, id);
+    
+    res.json({
+      success: true,
+      data: profile,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Import profile not found',
+      });
+    }
+    
+    console.error('Error fetching import profile:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch import profile',
+    });
+  }
+});
+
+// Create new import profile for the authenticated user
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { profile, error: validationError } = validateProfile(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const createdProfile = await dbHelpers.createImportProfile(userId, profile);
+    
+    res.status(201).json({
+      success: true,
+      data: createdProfile,
+      message: 'Import profile created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating import profile:', error);
+    
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An import profile with this name already exists',
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create import profile',
+    });
+  }
+});
+
+// Update import profile for the authenticated user
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    const { profile, error: validationError } = validateProfile(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const updatedProfile = await dbHelpers.updateImportProfile(userId, id, profile);
+    
+    res.json({
+      success: true,
+      data: updatedProfile,
+      message: 'Import profile updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating import profile:', error);
+    
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'An import profile with this name already exists',
+      });
+    }
+    
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Import profile not found',
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update import profile',
+    });
+  }
+});
+
+// Delete import profile for the authenticated user (uploads made with it keep their history)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    await dbHelpers.deleteImportProfile(userId, id);
+    
+    res.json({
+      success: true,
+      message: 'Import profile deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting import profile:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete import profile',
+    });
+  }
+});
+
+export default router;
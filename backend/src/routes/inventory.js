@@ -1,12 +1,145 @@
 import express from 'express';
+import { isValid, parseISO } from 'date-fns';
 import { requireAuth } from '../middleware/auth.js';
-import { dbHelpers } from '../config/database.js';
+import { dbHelpers, MOVEMENT_REASONS } from '../config/database.js';
+import { classifyPortfolio, defaultPeriod } from '../services/classification.js';
 
 const router = express.Router();
 
 // Apply authentication to all inventory routes
 router.use(requireAuth);
 
+// Helper function to validate the optional replenishment settings of an item
+const validateReplenishment = ({ service_level, lead_time_days, backorder_quantity, unit_cost, order_cost, holding_cost_rate }) => {
+  if (service_level !== undefined && (isNaN(parseFloat(service_level)) || service_level < 50 || service_level >= 100)) {
+    return 'Service level must be a percentage from 50 up to (not including) 100';
+  }
+  if (lead_time_days !== undefined && (isNaN(parseInt(lead_time_days)) || lead_time_days < 0)) {
+    return 'Lead time must be a non-negative number of days';
+  }
+  if (backorder_quantity !== undefined && (isNaN(parseInt(backorder_quantity)) || backorder_quantity < 0)) {
+    return 'Backorder quantity must be non-negative';
+  }
+  if (unit_cost !== undefined && (isNaN(parseFloat(unit_cost)) || unit_cost < 0)) {
+    return 'Unit cost must be non-negative';
+  }
+  if (order_cost !== undefined && order_cost !== null && order_cost !== '' && (isNaN(parseFloat(order_cost)) || order_cost < 0)) {
+    return 'Order cost must be non-negative';
+  }
+  if (holding_cost_rate !== undefined && (isNaN(parseFloat(holding_cost_rate)) || holding_cost_rate < 0 || holding_cost_rate > 100)) {
+    return 'Holding cost rate must be a percentage from 0 to 100';
+  }
+  return null;
+};
+
+// Helper function to check that a linked supplier belongs to the user
+const supplierExists = async (userId, supplierId) => {
+  if (!supplierId) {
+    return true;
+  }
+  try {
+    await dbHelpers.getSupplier(userId, supplierId);
+    return true;
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') { // Not found or not a valid UUID
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Helper function to check that a location belongs to the user
+const locationExists = async (userId, locationId) => {
+  if (!locationId) {
+    return true;
+  }
+  try {
+    await dbHelpers.getLocation(userId, locationId);
+    return true;
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') { // Not found or not a valid UUID
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Helper function to pick the replenishment settings present in a request body
+// (an empty supplier unlinks it, an empty order cost falls back to the supplier's)
+const replenishmentFields = ({
+  service_level,
+  lead_time_days,
+  supplier_id,
+  backorder_quantity,
+  unit_cost,
+  order_cost,
+  holding_cost_rate,
+}) => ({
+  ...(service_level !== undefined && { service_level: parseFloat(service_level) }),
+  ...(lead_time_days !== undefined && { lead_time_days: parseInt(lead_time_days) }),
+  ...(supplier_id !== undefined && { supplier_id: supplier_id || null }),
+  ...(backorder_quantity !== undefined && { backorder_quantity: parseInt(backorder_quantity) }),
+  ...(unit_cost !== undefined && { unit_cost: parseFloat(unit_cost) }),
+  ...(order_cost !== undefined && { order_cost: order_cost === null || order_cost === '' ? null : parseFloat(order_cost) }),
+  ...(holding_cost_rate !== undefined && { holding_cost_rate: parseFloat(holding_cost_rate) }),
+});
+
+// Helper function to validate an inbound shipment payload
+const validateInbound = ({ quantity, expected_date, status = 'pending' }) => {
+  if (quantity === undefined || isNaN(parseInt(quantity)) || parseInt(quantity) <= 0) {
+    return 'Quantity must be a positive integer';
+  }
+  if (!expected_date || !isValid(parseISO(expected_date))) {
+    return 'Expected date is required in yyyy-MM-dd format';
+  }
+  if (!['pending', 'in_transit', 'received', 'cancelled'].includes(status)) {
+    return 'Status must be pending, in_transit, received or cancelled';
+  }
+  return null;
+};
+
+// Helper function to validate the reason code of a quantity change
+const validateMovement = ({ reason }) => {
+  if (reason !== undefined && !MOVEMENT_REASONS.includes(reason)) {
+    return `Reason must be one of: ${MOVEMENT_REASONS.join(', ')}`;
+  }
+  return null;
+};
+
+// Helper function to pick the stock movement details of a quantity change from a request body
+const movementFields = ({ reason, reference, note }, defaultReason = 'adjustment') => ({
+  reason: reason || defaultReason,
+  reference: reference ? String(reference).trim() : null,
+  note: note ? String(note).trim() : null,
+});
+
+// Helper function to load an inventory item by ID for the authenticated user
+const getInventoryItem = async (userId, id) => {
+  const { data, error } = await dbHelpers.supabase
+    .from(dbHelpers.TABLES.INVENTORY)
+    .select('*')
+    .eq('user_id', userId)
+    .eq('id', id)
+    .single();
+  
+  if (error) throw error;
+  return data;
+};
+
+// Helper function to classify the user's inventory on sales over the last `days` days
+const loadClassification = async (userId, { basis, days }) => {
+  const period = defaultPeriod(Math.min(Math.max(parseInt(days) || 365, 28), 730)); // Limit to 4 weeks - 2 years
+  const [inventory, sales] = await Promise.all([
+    dbHelpers.getInventory(userId),
+    dbHelpers.getSalesHistory(userId, { startDate: period.startDate, endDate: period.endDate }),
+  ]);
+  
+  return {
+    ...period,
+    ...classifyPortfolio(inventory, sales, { basis, ...period }),
+  };
+};
+
 // Get all inventory items for the authenticated user
 router.get('/', async (req, res) => {
   try {
@@ -70,13 +203,91 @@ router.get('/low-stock', async (req, res) => {
   }
 });
 
+// Get the ABC/XYZ classification of the inventory for the authenticated user
+router.get('/classification', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { basis = 'value', days = 365 } = req.query;
+    
+    if (!['value', 'volume'].includes(basis)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Basis must be value or volume',
+      });
+    }
+    
+    const result = await loadClassification(userId, { basis, days });
+    
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error('Error classifying inventory:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to classify inventory',
+    });
+  }
+});
+
+// Set service levels from the ABC/XYZ class, for all items or the given SKUs
+router.post('/classification/apply', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { basis = 'value', days = 365, skus = null } = req.body;
+    
+    if (!['value', 'volume'].includes(basis)) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Basis must be value or volume',
+      });
+    }
+    
+    if (skus !== null && !Array.isArray(skus)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'skus must be an array',
+      });
+    }
+    
+    const { items } = await loadClassification(userId, { basis, days });
+    const targets = items.filter(item =>
+      (!skus || skus.includes(item.sku)) && item.serviceLevel !== item.recommendedServiceLevel
+    );
+    
+    const updated = [];
+    for (const item of targets) {
+      await dbHelpers.updateInventory(userId, item.id, { service_level: item.recommendedServiceLevel });
+      updated.push({
+        sku: item.sku,
+        class: item.class,
+        previousServiceLevel: item.serviceLevel,
+        serviceLevel: item.recommendedServiceLevel,
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: updated,
+      message: `Updated service levels of ${updated.length} items`,
+    });
+  } catch (error) {
+    console.error('Error applying classification service levels:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to apply classification service levels',
+    });
+  }
+});
+
 // Get inventory item by ID for the authenticated user
 router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.auth.userId;
     
-    if (!id || isNaN(id)) {
+    if (!id) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'Valid inventory ID is required',
@@ -169,15 +380,41 @@ router.post('/', async (req, res) => {
       });
     }
     
+    const replenishmentError = validateReplenishment(req.body);
+    if (replenishmentError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: replenishmentError,
+      });
+    }
+    
+    if (!(await supplierExists(userId, req.body.supplier_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Supplier not found',
+      });
+    }
+    
     const newItem = {
       name: name.trim(),
       sku: sku.trim().toUpperCase(),
       quantity: parseInt(quantity),
       reorder_level: parseInt(reorder_level),
+      ...replenishmentFields(req.body),
     };
     
     const createdItem = await dbHelpers.createInventory(userId, newItem);
     
+    // Opening stock is the first entry in the item's movement ledger
+    if (createdItem.quantity > 0) {
+      await dbHelpers.recordStockMovement(userId, {
+        inventory_id: createdItem.id,
+        quantity_change: createdItem.quantity,
+        quantity_after: createdItem.quantity,
+        reason: 'initial',
+      });
+    }
+    
     res.status(201).json({
       success: true,
       data: createdItem,
@@ -207,7 +444,7 @@ router.put('/:id', async (req, res) => {
     const { name, sku, quantity, reorder_level } = req.body;
     const userId = req.auth.userId;
     
-    if (!id || isNaN(id)) {
+    if (!id) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'Valid inventory ID is required',
@@ -229,14 +466,52 @@ router.put('/:id', async (req, res) => {
       });
     }
     
+    const replenishmentError = validateReplenishment(req.body);
+    if (replenishmentError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: replenishmentError,
+      });
+    }
+    
+    const movementError = validateMovement(req.body);
+    if (movementError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: movementError,
+      });
+    }
+    
+    if (!(await supplierExists(userId, req.body.supplier_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Supplier not found',
+      });
+    }
+    
+    // The total covers stock held at every location, so it can't drop below their sum
+    const levels = await dbHelpers.getInventoryLevels(userId, { inventoryId: id });
+    const atLocations = levels.reduce((sum, level) => sum + level.quantity, 0);
+    if (parseInt(quantity) < atLocations) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Quantity can't be less than the ${atLocations} units held at locations`,
+      });
+    }
+    
     const updates = {
       name: name.trim(),
       sku: sku.trim().toUpperCase(),
-      quantity: parseInt(quantity),
       reorder_level: parseInt(reorder_level),
+      ...replenishmentFields(req.body),
     };
     
-    const updatedItem = await dbHelpers.updateInventory(userId, id, updates);
+    // A changed quantity is recorded in the movement ledger with the given reason
+    const existing = await getInventoryItem(userId, id);
+    const updatedItem = await dbHelpers.setStockQuantity(userId, existing, parseInt(quantity), {
+      ...movementFields(req.body),
+      updates,
+    });
     
     res.json({
       success: true,
@@ -273,7 +548,7 @@ router.delete('/:id', async (req, res) => {
     const { id } = req.params;
     const userId = req.auth.userId;
     
-    if (!id || isNaN(id)) {
+    if (!id) {
       return res.status(400).json({
         error: 'Bad Request',
         message: 'Valid inventory ID is required',
@@ -303,10 +578,360 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Bulk update quantities (for reorder operations)
+// Get inbound shipments for an inventory item of the authenticated user
+router.get('/:id/inbound', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    await getInventoryItem(userId, id);
+    const shipments = await dbHelpers.getInboundShipments(userId, { inventoryId: id });
+    
+    res.json({
+      success: true,
+      data: shipments,
+      count: shipments.length,
+      onOrder: shipments
+        .filter(shipment => ['pending', 'in_transit'].includes(shipment.status))
+        .reduce((sum, shipment) => sum + shipment.quantity, 0),
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found',
+      });
+    }
+    
+    console.error('Error fetching inbound shipments:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch inbound shipments',
+    });
+  }
+});
+
+// Record an inbound shipment for an inventory item of the authenticated user
+router.post('/:id/inbound', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { quantity, expected_date, status = 'pending', reference, location_id } = req.body;
+    const userId = req.auth.userId;
+    
+    const validationError = validateInbound(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    if (status === 'received') {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Record the shipment first, then mark it received to add it to stock',
+      });
+    }
+    
+    if (!(await locationExists(userId, location_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Location not found',
+      });
+    }
+    
+    await getInventoryItem(userId, id);
+    const shipment = await dbHelpers.createInboundShipment(userId, {
+      inventory_id: id,
+      location_id: location_id || null,
+      quantity: parseInt(quantity),
+      expected_date,
+      status,
+      reference: reference ? reference.trim() : null,
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: shipment,
+      message: 'Inbound shipment recorded successfully',
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found',
+      });
+    }
+    
+    console.error('Error creating inbound shipment:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to record inbound shipment',
+    });
+  }
+});
+
+// Update an inbound shipment; marking it received adds its quantity to stock
+router.put('/:id/inbound/:inboundId', async (req, res) => {
+  try {
+    const { id, inboundId } = req.params;
+    const userId = req.auth.userId;
+    
+    const existing = await dbHelpers.getInboundShipment(userId, id, inboundId);
+    if (['received', 'cancelled'].includes(existing.status)) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Shipment is already ${existing.status}`,
+      });
+    }
+    
+    const { quantity = existing.quantity, expected_date = existing.expected_date, status = existing.status } = req.body;
+    const validationError = validateInbound({ quantity, expected_date, status });
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const { location_id = existing.location_id } = req.body;
+    if (!(await locationExists(userId, location_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Location not found',
+      });
+    }
+    
+    // Close the shipment before adding stock, and only if it is still open, so a retried or
+    // concurrent request can't receive the same shipment twice
+    const shipment = await dbHelpers.updateInboundShipment(userId, inboundId, {
+      quantity: parseInt(quantity),
+      expected_date,
+      status,
+      location_id: location_id || null,
+      ...(req.body.reference !== undefined && { reference: req.body.reference ? req.body.reference.trim() : null }),
+      ...(status === 'received' && { received_at: new Date().toISOString() }),
+    });
+    if (!shipment) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Shipment was already received or cancelled',
+      });
+    }
+    
+    if (status === 'received') {
+      const item = await getInventoryItem(userId, id);
+      await dbHelpers.receiveStock(userId, item, shipment.quantity, shipment.location_id, shipment.reference);
+    }
+    
+    res.json({
+      success: true,
+      data: shipment,
+      message: status === 'received'
+        ? `Received ${shipment.quantity} units into stock`
+        : 'Inbound shipment updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inbound shipment not found',
+      });
+    }
+    
+    console.error('Error updating inbound shipment:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update inbound shipment',
+    });
+  }
+});
+
+// Delete an inbound shipment that hasn't been received
+router.delete('/:id/inbound/:inboundId', async (req, res) => {
+  try {
+    const { id, inboundId } = req.params;
+    const userId = req.auth.userId;
+    
+    const existing = await dbHelpers.getInboundShipment(userId, id, inboundId);
+    if (existing.status === 'received') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Received shipments are part of stock history and cannot be deleted',
+      });
+    }
+    
+    await dbHelpers.deleteInboundShipment(userId, inboundId);
+    
+    res.json({
+      success: true,
+      message: 'Inbound shipment deleted successfully',
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inbound shipment not found',
+      });
+    }
+    
+    console.error('Error deleting inbound shipment:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete inbound shipment',
+    });
+  }
+});
+
+// Get an inventory item's stock per location, plus the units not assigned to any location
+router.get('/:id/locations', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const item = await getInventoryItem(userId, id);
+    const levels = await dbHelpers.getInventoryLevels(userId, { inventoryId: id });
+    const atLocations = levels.reduce((sum, level) => sum + level.quantity, 0);
+    
+    res.json({
+      success: true,
+      data: levels,
+      count: levels.length,
+      totalQuantity: item.quantity,
+      unassigned: Math.max(item.quantity - atLocations, 0),
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found',
+      });
+    }
+    
+    console.error('Error fetching stock levels:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch stock levels',
+    });
+  }
+});
+
+// Set an inventory item's stock at a location; the item's totals move by the same difference
+router.put('/:id/locations/:locationId', async (req, res) => {
+  try {
+    const { id, locationId } = req.params;
+    const userId = req.auth.userId;
+    
+    const item = await getInventoryItem(userId, id);
+    if (!(await locationExists(userId, locationId))) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    const existing = await dbHelpers.getInventoryLevel(userId, id, locationId);
+    const {
+      quantity = existing?.quantity ?? 0,
+      reorder_level = existing?.reorder_level ?? 0,
+      backorder_quantity = existing?.backorder_quantity ?? 0,
+    } = req.body;
+    
+    if ([quantity, reorder_level, backorder_quantity].some(value => isNaN(parseInt(value)) || parseInt(value) < 0)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Quantity, reorder level and backorders must be non-negative integers',
+      });
+    }
+    
+    const movementError = validateMovement(req.body);
+    if (movementError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: movementError,
+      });
+    }
+    
+    const level = await dbHelpers.upsertInventoryLevel(userId, id, locationId, {
+      quantity: parseInt(quantity),
+      reorder_level: parseInt(reorder_level),
+      backorder_quantity: parseInt(backorder_quantity),
+    });
+    
+    // Keep the SKU-level rollup in step with the location
+    await dbHelpers.setStockQuantity(userId, item, Math.max(item.quantity + level.quantity - (existing?.quantity ?? 0), 0), {
+      ...movementFields(req.body),
+      locationId,
+      updates: {
+        backorder_quantity: Math.max((item.backorder_quantity ?? 0) + level.backorder_quantity - (existing?.backorder_quantity ?? 0), 0),
+      },
+    });
+    
+    res.json({
+      success: true,
+      data: level,
+      message: 'Stock level updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found',
+      });
+    }
+    
+    console.error('Error updating stock level:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update stock level',
+    });
+  }
+});
+
+// Get the stock movement history of an inventory item, newest first
+router.get('/:id/movements', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    const { limit = 50, offset = 0 } = req.query;
+    
+    const item = await getInventoryItem(userId, id);
+    const movements = await dbHelpers.getStockMovements(userId, id, {
+      limit: Math.min(Math.max(parseInt(limit) || 50, 1), 500), // Limit to 1-500 movements
+      offset: Math.max(parseInt(offset) || 0, 0),
+    });
+    
+    res.json({
+      success: true,
+      data: movements,
+      currentQuantity: item.quantity,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        count: movements.length,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Inventory item not found',
+      });
+    }
+    
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch stock movements',
+    });
+  }
+});
+
+// Bulk update quantities (for reorder operations); each change is recorded as a stock movement
 router.post('/bulk-update', async (req, res) => {
   try {
-    const { updates } = req.body;
+    const { updates, reason = 'adjustment', reference } = req.body;
+    const userId = req.auth.userId;
     
     if (!Array.isArray(updates) || updates.length === 0) {
       return res.status(400).json({
@@ -315,6 +940,14 @@ router.post('/bulk-update', async (req, res) => {
       });
     }
     
+    const movementError = validateMovement({ reason });
+    if (movementError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: movementError,
+      });
+    }
+    
     const results = [];
     const errors = [];
     
@@ -322,7 +955,7 @@ router.post('/bulk-update', async (req, res) => {
       try {
         const { id, quantity } = update;
         
-        if (!id || quantity === undefined || quantity < 0) {
+        if (!id || !Number.isInteger(quantity) || quantity < 0) {
           errors.push({
             id,
             error: 'Invalid ID or quantity',
@@ -330,9 +963,34 @@ router.post('/bulk-update', async (req, res) => {
           continue;
         }
         
-        const updatedItem = await dbHelpers.updateInventory(id, { 
-          quantity: parseInt(quantity) 
-        });
+        const updateError = validateMovement(update);
+        if (updateError) {
+          errors.push({
+            id,
+            error: updateError,
+          });
+          continue;
+        }
+        
+        // As for a single update, the total can't drop below the stock held at locations
+        const levels = await dbHelpers.getInventoryLevels(userId, { inventoryId: id });
+        const atLocations = levels.reduce((sum, level) => sum + level.quantity, 0);
+        if (quantity < atLocations) {
+          errors.push({
+            id,
+            error: `Quantity can't be less than the ${atLocations} units held at locations`,
+          });
+          continue;
+        }
+        
+        // Per-update reason and reference override the request-wide ones
+        const item = await getInventoryItem(userId, id);
+        const updatedItem = await dbHelpers.setStockQuantity(
+          userId,
+          item,
+          quantity,
+          movementFields({ reference, ...update }, reason)
+        );
         results.push(updatedItem);
       } catch (error) {
         errors.push({
@@ -0,0 +1,211 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { dbHelpers } from '../config/database.js';
+
+const router = express.Router();
+
+// Apply authentication to all location routes
+router.use(requireAuth);
+
+const LOCATION_TYPES = ['warehouse', 'store'];
+
+// Helper function to validate and normalise a location payload
+const validateLocation = (body) => {
+  const { name, code, type = 'warehouse', address } = body;
+  
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Location name is required' };
+  }
+  
+  if (typeof code !== 'string' || !code.trim()) {
+    return { error: 'Location code is required' };
+  }
+  
+  if (address && typeof address !== 'string') {
+    return { error: 'Address must be text' };
+  }
+  
+  if (!LOCATION_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${LOCATION_TYPES.join(', ')}` };
+  }
+  
+  return {
+    location: {
+      name: name.trim(),
+      code: code.trim().toUpperCase(),
+      type,
+      address: address ? address.trim() : null,
+    },
+  };
+};
+
+// Get all locations for the authenticated user, with the stock held at each
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const [locations, levels] = await Promise.all([
+      dbHelpers.getLocations(userId),
+      dbHelpers.getInventoryLevels(userId),
+    ]);
+    
+    res.json({
+      success: true,
+      data: locations.map(location => {
+        const held = levels.filter(level => level.location_id === location.id);
+        return {
+          ...location,
+          skuCount: held.filter(level => level.quantity > 0).length,
+          totalQuantity: held.reduce((sum, level) => sum + level.quantity, 0),
+        };
+      }),
+      count: locations.length,
+    });
+  } catch (error) {
+    console.error('Error fetching locations:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch locations',
+    });
+  }
+});
+
+// Get location by ID for the authenticated user, with its stock levels
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const location = await dbHelpers.getLocation(userId, id);
+    const levels = await dbHelpers.getInventoryLevels(userId, { locationId: id });
+    
+    res.json({
+      success: true,
+      data: { ...location, levels },
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    console.error('Error fetching location:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch location',
+    });
+  }
+});
+
+// Create new location for the authenticated user
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { location, error: validationError } = validateLocation(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const createdLocation = await dbHelpers.createLocation(userId, location);
+    
+    res.status(201).json({
+      success: true,
+      data: createdLocation,
+      message: 'Location created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating location:', error);
+    
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A location with this code already exists',
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create location',
+    });
+  }
+});
+
+// Update location for the authenticated user
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    const { location, error: validationError } = validateLocation(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const updatedLocation = await dbHelpers.updateLocation(userId, id, location);
+    
+    res.json({
+      success: true,
+      data: updatedLocation,
+      message: 'Location updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating location:', error);
+    
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A location with this code already exists',
+      });
+    }
+    
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Location not found',
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update location',
+    });
+  }
+});
+
+// Delete location for the authenticated user (only once it holds no stock and has no sales)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    await dbHelpers.deleteLocation(userId, id);
+    
+    res.json({
+      success: true,
+      message: 'Location deleted successfully',
+    });
+  } catch (error) {
+    if (error.code === '23503') { // Still referenced by stock levels or sales
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Location still holds stock or has sales tagged with it',
+      });
+    }
+    
+    console.error('Error deleting location:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete location',
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,633 @@
+import express from 'express';
+import { randomUUID } from 'crypto';
+import { addDays, format, isValid, parseISO } from 'date-fns';
+import { requireAuth } from '../middleware/auth.js';
+import { dbHelpers } from '../config/database.js';
+import { roundOrderQuantity } from '../services/replenishment.js';
+
+const router = express.Router();
+
+// Apply authentication to all purchase order routes
+router.use(requireAuth);
+
+// Statuses each action may start from
+const EDITABLE_STATUSES = ['draft'];
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+const CANCELLABLE_STATUSES = ['draft', 'sent'];
+const DELETABLE_STATUSES = ['draft', 'cancelled'];
+
+// Helper function to generate a human readable PO number
+const generatePoNumber = () =>
+  `PO-${format(new Date(), 'yyyyMMdd')}-${randomUUID().slice(0, 6).toUpperCase()}`;
+
+// Helper function to validate and normalise the header fields of a purchase order
+const validateOrder = ({ supplier_id, location_id, expected_date, notes }) => {
+  if (expected_date && !isValid(parseISO(expected_date))) {
+    return { error: 'Expected date must be in yyyy-MM-dd format' };
+  }
+  
+  if (notes && typeof notes !== 'string') {
+    return { error: 'Notes must be text' };
+  }
+  
+  return {
+    order: {
+      supplier_id: supplier_id || null,
+      location_id: location_id || null,
+      expected_date: expected_date || null,
+      notes: notes ? notes.trim() : null,
+    },
+  };
+};
+
+// Helper function to validate and normalise purchase order lines
+const validateLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return { error: 'At least one line is required' };
+  }
+  
+  const normalised = [];
+  for (const line of lines) {
+    if (!line || typeof line !== 'object') {
+      return { error: 'Every line needs a SKU and quantity' };
+    }
+    
+    const sku = typeof line.sku === 'string' ? line.sku.trim().toUpperCase() : '';
+    const quantity = parseInt(line.quantity_ordered ?? line.quantity);
+    const unitCost = line.unit_cost === undefined || line.unit_cost === null || line.unit_cost === ''
+      ? null
+      : parseFloat(line.unit_cost);
+    
+    if (!sku) {
+      return { error: 'Every line needs a SKU' };
+    }
+    if (isNaN(quantity) || quantity <= 0) {
+      return { error: `Quantity for ${sku} must be a positive integer` };
+    }
+    if (unitCost !== null && (isNaN(unitCost) || unitCost < 0)) {
+      return { error: `Unit cost for ${sku} must be non-negative` };
+    }
+    if (normalised.some(existing => existing.sku === sku)) {
+      return { error: `${sku} appears on more than one line` };
+    }
+    
+    normalised.push({ sku, quantity_ordered: quantity, unit_cost: unitCost });
+  }
+  
+  return { lines: normalised };
+};
+
+// Helper function to check that every SKU on the lines is an inventory item
+const missingSkus = (lines, inventory) => {
+  const skus = new Set(inventory.map(item => item.sku));
+  return lines.map(line => line.sku).filter(sku => !skus.has(sku));
+};
+
+// Helper function to check that the order's supplier belongs to the user
+const supplierExists = async (userId, supplierId) => {
+  if (!supplierId) {
+    return true;
+  }
+  try {
+    await dbHelpers.getSupplier(userId, supplierId);
+    return true;
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') { // Not found or not a valid UUID
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Helper function to check that the order's deliver-to location belongs to the user
+const locationExists = async (userId, locationId) => {
+  if (!locationId) {
+    return true;
+  }
+  try {
+    await dbHelpers.getLocation(userId, locationId);
+    return true;
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') { // Not found or not a valid UUID
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Helper function to derive the status of a sent order from what has been received
+const receiptStatus = (lines) => {
+  if (lines.every(line => line.quantity_received >= line.quantity_ordered)) {
+    return 'received';
+  }
+  return lines.some(line => line.quantity_received > 0) ? 'partially_received' : 'sent';
+};
+
+// Helper function to send the standard response for actions not allowed in the order's status
+const statusConflict = (res, order, action) =>
+  res.status(409).json({
+    error: 'Conflict',
+    message: `Cannot ${action} a purchase order that is ${order.status.replace('_', ' ')}`,
+  });
+
+// Get all purchase orders for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { status = null } = req.query;
+    
+    const orders = await dbHelpers.getPurchaseOrders(userId, { status });
+    
+    res.json({
+      success: true,
+      data: orders,
+      count: orders.length,
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch purchase orders',
+    });
+  }
+});
+
+// Create draft purchase orders, one per supplier, from forecast reorder suggestions
+// (optionally all delivered to one location)
+router.post('/from-suggestions', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { suggestions, location_id = null } = req.body;
+    
+    if (!Array.isArray(suggestions) || suggestions.length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Suggestions array is required and must not be empty',
+      });
+    }
+    
+    if (!(await locationExists(userId, location_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Location not found',
+      });
+    }
+    
+    const [inventory, suppliers] = await Promise.all([
+      dbHelpers.getInventory(userId),
+      dbHelpers.getSuppliers(userId),
+    ]);
+    const itemsBySku = Object.fromEntries(inventory.map(item => [item.sku, item]));
+    const suppliersById = Object.fromEntries(suppliers.map(supplier => [supplier.id, supplier]));
+    
+    const groups = {};
+    const skipped = [];
+    
+    suggestions.forEach(({ sku, suggestedQuantity }) => {
+      const item = itemsBySku[sku];
+      if (!item) {
+        skipped.push({ sku, reason: 'Not in inventory' });
+        return;
+      }
+      
+      // Quantities are rounded again in case the client sent raw ones
+      const supplier = suppliersById[item.supplier_id] || null;
+      const quantity = roundOrderQuantity(Math.ceil(Number(suggestedQuantity) || 0), {
+        moq: supplier?.moq,
+        casePack: supplier?.case_pack,
+      });
+      if (quantity <= 0) {
+        skipped.push({ sku, reason: 'Nothing to order' });
+        return;
+      }
+      
+      const key = supplier ? supplier.id : 'none';
+      if (!groups[key]) {
+        groups[key] = { supplier, lines: [] };
+      }
+      groups[key].lines.push({ sku, quantity_ordered: quantity, unit_cost: null });
+    });
+    
+    const created = [];
+    for (const { supplier, lines } of Object.values(groups)) {
+      created.push(await dbHelpers.createPurchaseOrder(userId, {
+        po_number: generatePoNumber(),
+        supplier_id: supplier?.id ?? null,
+        location_id: location_id || null,
+        status: 'draft',
+        notes: 'Created from forecast reorder suggestions',
+      }, lines));
+    }
+    
+    res.status(201).json({
+      success: true,
+      data: created,
+      skipped: skipped.length > 0 ? skipped : undefined,
+      message: `Created ${created.length} draft purchase order${created.length === 1 ? '' : 's'}`,
+    });
+  } catch (error) {
+    console.error('Error creating purchase orders from suggestions:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create purchase orders from suggestions',
+    });
+  }
+});
+
+// Get purchase order by ID for the authenticated user
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const order = await dbHelpers.getPurchaseOrder(userId, id);
+    
+    res.json({
+      success: true,
+      data: order,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Purchase order not found',
+      });
+    }
+    
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch purchase order',
+    });
+  }
+});
+
+// Create new draft purchase order for the authenticated user
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { order, error: orderError } = validateOrder(req.body);
+    const { lines, error: linesError } = validateLines(req.body.lines);
+    
+    if (orderError || linesError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: orderError || linesError,
+      });
+    }
+    
+    const missing = missingSkus(lines, await dbHelpers.getInventory(userId));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Unknown SKUs: ${missing.join(', ')}`,
+      });
+    }
+    
+    if (!(await supplierExists(userId, order.supplier_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Supplier not found',
+      });
+    }
+    
+    if (!(await locationExists(userId, order.location_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Location not found',
+      });
+    }
+    
+    const createdOrder = await dbHelpers.createPurchaseOrder(userId, {
+      ...order,
+      po_number: generatePoNumber(),
+      status: 'draft',
+    }, lines);
+    
+    res.status(201).json({
+      success: true,
+      data: createdOrder,
+      message: `Purchase order ${createdOrder.po_number} created`,
+    });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create purchase order',
+    });
+  }
+});
+
+// Update a draft purchase order (header and lines) for the authenticated user
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    const { order, error: orderError } = validateOrder(req.body);
+    const { lines, error: linesError } = validateLines(req.body.lines);
+    
+    if (orderError || linesError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: orderError || linesError,
+      });
+    }
+    
+    const existing = await dbHelpers.getPurchaseOrder(userId, id);
+    if (!EDITABLE_STATUSES.includes(existing.status)) {
+      return statusConflict(res, existing, 'edit');
+    }
+    
+    const missing = missingSkus(lines, await dbHelpers.getInventory(userId));
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `Unknown SKUs: ${missing.join(', ')}`,
+      });
+    }
+    
+    if (!(await supplierExists(userId, order.supplier_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Supplier not found',
+      });
+    }
+    
+    if (!(await locationExists(userId, order.location_id))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Location not found',
+      });
+    }
+    
+    await dbHelpers.updatePurchaseOrder(userId, id, order);
+    await dbHelpers.replacePurchaseOrderLines(userId, id, lines);
+    
+    res.json({
+      success: true,
+      data: await dbHelpers.getPurchaseOrder(userId, id),
+      message: 'Purchase order updated successfully',
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Purchase order not found',
+      });
+    }
+    
+    console.error('Error updating purchase order:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update purchase order',
+    });
+  }
+});
+
+// Mark a draft purchase order as sent to the supplier
+router.post('/:id/send', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const order = await dbHelpers.getPurchaseOrder(userId, id);
+    if (order.status !== 'draft') {
+      return statusConflict(res, order, 'send');
+    }
+    
+    // Without an expected date, expect the order after the supplier's (or the slowest item's) lead time
+    let expectedDate = req.body.expected_date || order.expected_date;
+    if (expectedDate && !isValid(parseISO(expectedDate))) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Expected date must be in yyyy-MM-dd format',
+      });
+    }
+    if (!expectedDate) {
+      const inventory = await dbHelpers.getInventory(userId);
+      const skus = new Set(order.lines.map(line => line.sku));
+      const leadTimeDays = order.supplier
+        ? Number(order.supplier.lead_time_days)
+        : Math.max(0, ...inventory.filter(item => skus.has(item.sku)).map(item => item.lead_time_days ?? 0));
+      expectedDate = format(addDays(new Date(), Math.ceil(leadTimeDays)), 'yyyy-MM-dd');
+    }
+    
+    await dbHelpers.updatePurchaseOrder(userId, id, {
+      status: 'sent',
+      order_date: format(new Date(), 'yyyy-MM-dd'),
+      expected_date: expectedDate,
+    });
+    
+    res.json({
+      success: true,
+      data: await dbHelpers.getPurchaseOrder(userId, id),
+      message: `Purchase order ${order.po_number} sent`,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Purchase order not found',
+      });
+    }
+    
+    console.error('Error sending purchase order:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to send purchase order',
+    });
+  }
+});
+
+// Receive goods against a sent purchase order, adding them to inventory
+router.post('/:id/receive', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const order = await dbHelpers.getPurchaseOrder(userId, id);
+    if (!RECEIVABLE_STATUSES.includes(order.status)) {
+      return statusConflict(res, order, 'receive');
+    }
+    
+    // Without explicit lines everything still outstanding is received
+    const receipts = Array.isArray(req.body.lines) && req.body.lines.length > 0
+      ? req.body.lines
+      : order.lines.map(line => ({ id: line.id, quantity: line.quantity_ordered - line.quantity_received }));
+    
+    const linesById = Object.fromEntries(order.lines.map(line => [line.id, line]));
+    const received = [];
+    const seenLines = new Set();
+    for (const receipt of receipts) {
+      if (!receipt || typeof receipt !== 'object') {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: 'Every receipt needs a line ID and quantity',
+        });
+      }
+      
+      const line = linesById[receipt.id];
+      const quantity = parseInt(receipt.quantity);
+      
+      if (!line) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Line ${receipt.id} is not on this purchase order`,
+        });
+      }
+      if (seenLines.has(line.id)) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `${line.sku} is received more than once, send one quantity per line`,
+        });
+      }
+      seenLines.add(line.id);
+      if (isNaN(quantity) || quantity < 0) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Received quantity for ${line.sku} must be a non-negative integer`,
+        });
+      }
+      if (line.quantity_received + quantity > line.quantity_ordered) {
+        return res.status(400).json({
+          error: 'Validation Error',
+          message: `Only ${line.quantity_ordered - line.quantity_received} units of ${line.sku} are outstanding`,
+        });
+      }
+      if (quantity > 0) {
+        received.push({ line, quantity });
+      }
+    }
+    
+    if (received.length === 0) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Nothing to receive',
+      });
+    }
+    
+    // Resolve every item before changing anything, so an unknown SKU doesn't leave a half-received order
+    const items = {};
+    for (const { line } of received) {
+      items[line.sku] = await dbHelpers.getInventoryBySku(userId, line.sku);
+    }
+    
+    let conflict = null;
+    for (const { line, quantity } of received) {
+      // Save the receipt on the line before adding stock, and only if no other receipt changed
+      // the line since it was read, so a retried or concurrent request can't count it twice
+      const savedLine = await dbHelpers.receivePurchaseOrderLine(userId, line.id, line.quantity_received, quantity);
+      if (!savedLine) {
+        conflict = line;
+        break;
+      }
+      
+      // Into the deliver-to location's stock as well as the SKU total; keep the updated item
+      // so a later receipt of the same SKU adds to the new quantity
+      items[line.sku] = await dbHelpers.receiveStock(userId, items[line.sku], quantity, order.location_id, order.po_number);
+    }
+    
+    // Status from the lines as saved, which may include other requests' receipts
+    const status = receiptStatus((await dbHelpers.getPurchaseOrder(userId, id)).lines);
+    await dbHelpers.updatePurchaseOrder(userId, id, {
+      status,
+      ...(status === 'received' && { received_date: format(new Date(), 'yyyy-MM-dd') }),
+    });
+    
+    if (conflict) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `${conflict.sku} was received by another request, reload the order and try again`,
+        data: await dbHelpers.getPurchaseOrder(userId, id),
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await dbHelpers.getPurchaseOrder(userId, id),
+      message: `Received ${received.reduce((sum, { quantity }) => sum + quantity, 0)} units against ${order.po_number}`,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Purchase order or inventory item not found',
+      });
+    }
+    
+    console.error('Error receiving purchase order:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to receive purchase order',
+    });
+  }
+});
+
+// Cancel a purchase order that hasn't been received against
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const order = await dbHelpers.getPurchaseOrder(userId, id);
+    if (!CANCELLABLE_STATUSES.includes(order.status)) {
+      return statusConflict(res, order, 'cancel');
+    }
+    
+    await dbHelpers.updatePurchaseOrder(userId, id, { status: 'cancelled' });
+    
+    res.json({
+      success: true,
+      data: await dbHelpers.getPurchaseOrder(userId, id),
+      message: `Purchase order ${order.po_number} cancelled`,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Purchase order not found',
+      });
+    }
+    
+    console.error('Error cancelling purchase order:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to cancel purchase order',
+    });
+  }
+});
+
+// Delete a draft or cancelled purchase order for the authenticated user
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const order = await dbHelpers.getPurchaseOrder(userId, id);
+    if (!DELETABLE_STATUSES.includes(order.status)) {
+      return statusConflict(res, order, 'delete');
+    }
+    
+    await dbHelpers.deletePurchaseOrder(userId, id);
+    
+    res.json({
+      success: true,
+      message: 'Purchase order deleted successfully',
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Purchase order not found',
+      });
+    }
+    
+    console.error('Error deleting purchase order:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete purchase order',
+    });
+  }
+});
+
+export default router;
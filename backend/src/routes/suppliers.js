@@ -0,0 +1,207 @@
+import express from 'express';
+import { requireAuth } from '../middleware/auth.js';
+import { dbHelpers } from '../config/database.js';
+
+const router = express.Router();
+
+// Apply authentication to all supplier routes
+router.use(requireAuth);
+
+// Helper function to parse an optional numeric field, falling back when it is missing or blank
+const numberOr = (value, fallback, parse = parseFloat) =>
+  value === undefined || value === null || value === '' ? fallback : parse(value);
+
+// Helper function to validate and normalise a supplier payload
+const validateSupplier = (body) => {
+  const { name, contact_email } = body;
+  
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Supplier name is required' };
+  }
+  
+  if (contact_email && typeof contact_email !== 'string') {
+    return { error: 'Contact email must be text' };
+  }
+  
+  const supplier = {
+    name: name.trim(),
+    contact_email: contact_email ? contact_email.trim() : null,
+    lead_time_days: numberOr(body.lead_time_days, 7),
+    lead_time_std_days: numberOr(body.lead_time_std_days, 0),
+    moq: numberOr(body.moq, 0, parseInt),
+    case_pack: numberOr(body.case_pack, 1, parseInt),
+    order_cost: numberOr(body.order_cost, 0),
+  };
+  
+  if (isNaN(supplier.lead_time_days) || supplier.lead_time_days < 0
+    || isNaN(supplier.lead_time_std_days) || supplier.lead_time_std_days < 0) {
+    return { error: 'Lead time and its variability must be non-negative numbers of days' };
+  }
+  
+  if (isNaN(supplier.moq) || supplier.moq < 0) {
+    return { error: 'Minimum order quantity must be a non-negative integer' };
+  }
+  
+  if (isNaN(supplier.case_pack) || supplier.case_pack < 1) {
+    return { error: 'Case pack must be a positive integer' };
+  }
+  
+  if (isNaN(supplier.order_cost) || supplier.order_cost < 0) {
+    return { error: 'Order cost must be non-negative' };
+  }
+  
+  return { supplier };
+};
+
+// Get all suppliers for the authenticated user
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const suppliers = await dbHelpers.getSuppliers(userId);
+    
+    res.json({
+      success: true,
+      data: suppliers,
+      count: suppliers.length,
+    });
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch suppliers',
+    });
+  }
+});
+
+// Get supplier by ID for the authenticated user
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const supplier = await dbHelpers.getSupplier(userId, id);
+    
+    res.json({
+      success: true,
+      data: supplier,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Supplier not found',
+      });
+    }
+    
+    console.error('Error fetching supplier:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch supplier',
+    });
+  }
+});
+
+// Create new supplier for the authenticated user
+router.post('/', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { supplier, error: validationError } = validateSupplier(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const createdSupplier = await dbHelpers.createSupplier(userId, supplier);
+    
+    res.status(201).json({
+      success: true,
+      data: createdSupplier,
+      message: 'Supplier created successfully',
+    });
+  } catch (error) {
+    console.error('Error creating supplier:', error);
+    
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A supplier with this name already exists',
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to create supplier',
+    });
+  }
+});
+
+// Update supplier for the authenticated user
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    const { supplier, error: validationError } = validateSupplier(req.body);
+    
+    if (validationError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: validationError,
+      });
+    }
+    
+    const updatedSupplier = await dbHelpers.updateSupplier(userId, id, supplier);
+    
+    res.json({
+      success: true,
+      data: updatedSupplier,
+      message: 'Supplier updated successfully',
+    });
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    
+    if (error.code === '23505') { // Unique constraint violation
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'A supplier with this name already exists',
+      });
+    }
+    
+    if (error.code === 'PGRST116') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Supplier not found',
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to update supplier',
+    });
+  }
+});
+
+// Delete supplier for the authenticated user (items it supplied are unlinked)
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    await dbHelpers.deleteSupplier(userId, id);
+    
+    res.json({
+      success: true,
+      message: 'Supplier deleted successfully',
+    });
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to delete supplier',
+    });
+  }
+});
+
+export default router;
@@ -1,8 +1,22 @@
 import express from 'express';
 import multer from 'multer';
 import { parse } from 'csv-parse';
+import ExcelJS from 'exceljs';
+import { extname } from 'path';
 import { requireAuth } from '../middleware/auth.js';
 import { dbHelpers } from '../config/database.js';
+import {
+  planSalesMerge,
+  summarizeSalesRecords,
+  suggestMapping,
+  validateMapping,
+  missingColumns,
+  mapRow,
+  transformSku,
+  transformUnits,
+  DEFAULT_MAPPING,
+  MERGE_MODES,
+} from '../services/salesImport.js';
 import { format, isValid, parseISO } from 'date-fns';
 
 const router = express.Router();
@@ -10,6 +24,23 @@ const router = express.Router();
 // Apply authentication to all upload routes
 router.use(requireAuth);
 
+// Sales files can be CSV, Excel workbooks or JSON arrays, recognised by extension or MIME type
+const FILE_EXTENSIONS = {
+  '.csv': 'csv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+};
+
+const FILE_MIME_TYPES = {
+  'text/csv': 'csv',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/json': 'json',
+};
+
+const UNSUPPORTED_FILE_MESSAGE = 'Only CSV, Excel (.xlsx) and JSON files are allowed';
+
+const fileType = (file) => FILE_EXTENSIONS[extname(file.originalname).toLowerCase()] || FILE_MIME_TYPES[file.mimetype];
+
 // Configure multer for file uploads using memory storage
 const storage = multer.memoryStorage();
 
@@ -19,10 +50,10 @@ const upload = multer({
     fileSize: parseInt(process.env.MAX_FILE_SIZE || '5242880'), // 5MB default
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    if (fileType(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error(UNSUPPORTED_FILE_MESSAGE), false);
     }
   }
 });
@@ -90,97 +121,394 @@ const validateDate = (dateString) => {
   return null;
 };
 
-// Helper function to parse CSV data from buffer
-const parseCsvData = (buffer) => {
+// Helper function to parse an optional yes/no column, returns undefined when the value isn't recognised
+const parseFlag = (value) => {
+  if (value === undefined || value === '') {
+    return false;
+  }
+  const normalized = value.toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(normalized)) {
+    return true;
+  }
+  if (['false', 'no', 'n', '0'].includes(normalized)) {
+    return false;
+  }
+  return undefined;
+};
+
+// Helper function to resolve the location an upload is tagged with from its ID or code,
+// returns undefined when it doesn't match one of the user's locations
+const resolveLocation = (locations, value) => {
+  if (!value) {
+    return null;
+  }
+  const normalized = value.trim().toUpperCase();
+  return locations.find(location => location.id === value.trim() || location.code === normalized);
+};
+
+// Helper function to resolve how an upload's columns map to fields: a saved import profile,
+// an inline mapping sent as a JSON form field, or the default column names
+const resolveMapping = async (userId, { profileId, mapping }) => {
+  if (profileId) {
+    try {
+      const profile = await dbHelpers.getImportProfile(userId, profileId);
+      return { mapping: { columns: profile.column_mapping, transforms: profile.transforms }, profile };
+    } catch (error) {
+      if (error.code === 'PGRST116' || error.code === '22P02') {
+        return { error: 'Import profile not found' };
+      }
+      throw error;
+    }
+  }
+  
+  if (mapping) {
+    try {
+      return validateMapping(JSON.parse(mapping));
+    } catch (error) {
+      return { error: 'Mapping must be valid JSON' };
+    }
+  }
+  
+  return { mapping: DEFAULT_MAPPING };
+};
+
+// Helper function to match parsed records against the sales already stored for the same SKUs
+// and dates, and plan which are inserted, updated or skipped
+const planUpload = async (userId, salesData, mergeMode) => {
+  if (salesData.length === 0) {
+    return { inserts: [], updates: [], skipped: [] };
+  }
+  
+  const skus = [...new Set(salesData.map(record => record.sku))];
+  const dates = salesData.map(record => record.date).sort();
+  const existing = await dbHelpers.getSalesRecordsForSkus(userId, skus, dates[0], dates[dates.length - 1]);
+  return planSalesMerge(salesData, existing, mergeMode);
+};
+
+// Helper function to report which file rows are inserted, updated or skipped, with location codes
+const describePlan = (locations, { inserts, updates, skipped }) => {
+  const codes = new Map(locations.map(location => [location.id, location.code]));
+  const describe = ({ rows, record }) => ({
+    rows,
+    sku: record.sku,
+    date: record.date,
+    location: codes.get(record.location_id) || null,
+    units_sold: record.units_sold,
+  });
+  
+  return {
+    inserted: inserts.map(describe),
+    updated: updates.map(entry => ({ ...describe(entry), previousUnits: entry.previous.units_sold })),
+    skipped: skipped.map(({ location_id, ...entry }) => ({ ...entry, location: codes.get(location_id) || null })),
+  };
+};
+
+// Helper function to normalise a spreadsheet or JSON cell to the text a CSV file would hold
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10); // Excel dates are read as UTC midnight
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('').trim();
+    }
+    if ('result' in value) {
+      return cellText(value.result); // Formula cell
+    }
+    if ('text' in value) {
+      return cellText(value.text); // Hyperlink cell
+    }
+    return '';
+  }
+  return String(value).trim();
+};
+
+// Helper function to create the error thrown for a file that can't be read
+const invalidFileError = (message) => Object.assign(new Error(message), { code: 'INVALID_FILE' });
+
+// Helper function to read the headers and rows of a CSV file from buffer
+const readCsvRows = (buffer) => {
   return new Promise((resolve, reject) => {
-    const results = [];
-    const errors = [];
-    let rowIndex = 0;
-    
-    // Convert buffer to string and parse
-    const csvString = buffer.toString('utf8');
+    const rows = [];
+    let headers = [];
     
-    parse(csvString, {
-      columns: true,
+    parse(buffer.toString('utf8'), {
+      columns: (header) => {
+        headers = header;
+        return header;
+      },
       skip_empty_lines: true,
       trim: true,
     })
       .on('data', (row) => {
-        rowIndex++;
-        
-        try {
-          // Expected columns: date, sku, units_sold
-          const { date, sku, units_sold } = row;
-          
-          // Validate required fields
-          if (!date || !sku || !units_sold) {
-            errors.push({
-              row: rowIndex,
-              error: 'Missing required fields (date, sku, units_sold)',
-              data: row,
-            });
-            return;
-          }
-          
-          // Validate and parse date
-          const parsedDate = validateDate(date);
-          if (!parsedDate) {
-            errors.push({
-              row: rowIndex,
-              error: `Invalid date format: ${date}`,
-              data: row,
-            });
-            return;
-          }
-          
-          // Validate SKU
-          const trimmedSku = sku.trim().toUpperCase();
-          if (!trimmedSku) {
-            errors.push({
-              row: rowIndex,
-              error: 'SKU cannot be empty',
-              data: row,
-            });
-            return;
-          }
-          
-          // Validate units_sold
-          const unitsSold = parseInt(units_sold);
-          if (isNaN(unitsSold) || unitsSold < 0) {
-            errors.push({
-              row: rowIndex,
-              error: `Invalid units_sold value: ${units_sold}`,
-              data: row,
-            });
-            return;
-          }
-          
-          results.push({
-            date: format(parsedDate, 'yyyy-MM-dd'),
-            sku: trimmedSku,
-            units_sold: unitsSold,
-          });
-        } catch (error) {
-          errors.push({
-            row: rowIndex,
-            error: error.message,
-            data: row,
-          });
-        }
+        rows.push(row);
       })
       .on('error', (error) => {
         reject(error);
       })
       .on('end', () => {
-        resolve({ data: results, errors });
+        resolve({ headers, rows });
+      });
+  });
+};
+
+// Helper function to read the headers and rows of one sheet of an Excel workbook (the first
+// sheet unless one is named); the first row holds the headers and blank rows are skipped
+const readXlsxRows = async (buffer, sheetName = null) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw invalidFileError('File is not a valid Excel workbook');
+  }
+  
+  const worksheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw invalidFileError(sheetName ? `Sheet not found: ${sheetName}` : 'Workbook has no sheets');
+  }
+  
+  const headerRow = worksheet.getRow(1);
+  const headers = [];
+  for (let column = 1; column <= headerRow.cellCount; column++) {
+    headers.push(cellText(headerRow.getCell(column).value));
+  }
+  
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) {
+      return;
+    }
+    const record = {};
+    headers.forEach((header, index) => {
+      if (header) {
+        record[header] = cellText(row.getCell(index + 1).value);
+      }
+    });
+    if (Object.values(record).some(value => value !== '')) {
+      rows.push(record);
+    }
+  });
+  
+  return {
+    headers: headers.filter(Boolean),
+    rows,
+    sheets: workbook.worksheets.map(sheet => sheet.name),
+    sheet: worksheet.name,
+  };
+};
+
+// Helper function to read the headers and rows of a JSON file holding an array of records
+const readJsonRows = (buffer) => {
+  let records;
+  try {
+    records = JSON.parse(buffer.toString('utf8'));
+  } catch (error) {
+    throw invalidFileError('File is not valid JSON');
+  }
+  
+  if (!Array.isArray(records) || records.some(record => !record || typeof record !== 'object' || Array.isArray(record))) {
+    throw invalidFileError('JSON file must contain an array of sales records');
+  }
+  
+  const headers = [...new Set(records.flatMap(record => Object.keys(record)))];
+  return {
+    headers,
+    rows: records.map(record => Object.fromEntries(headers.map(header => [header, cellText(record[header])]))),
+  };
+};
+
+// Helper function to read the headers and rows of an uploaded sales file, whatever its format
+const readFileRows = (file, { sheet = null } = {}) => {
+  const type = fileType(file);
+  if (type === 'xlsx') {
+    return readXlsxRows(file.buffer, sheet);
+  }
+  if (type === 'json') {
+    return readJsonRows(file.buffer);
+  }
+  return readCsvRows(file.buffer);
+};
+
+// Helper function to validate file rows into sales records; rows without a location column
+// are tagged with the default location, if any
+const parseSalesRows = (rows, { locations = [], defaultLocation = null, mapping = DEFAULT_MAPPING } = {}) => {
+  const results = [];
+  const errors = [];
+  
+  rows.forEach((row, index) => {
+    const rowIndex = index + 1;
+    
+    try {
+      // Expected fields: date, sku, units_sold (optional: stock_on_hand, stockout, location),
+      // read from the columns they are mapped to
+      const { date, sku, units_sold, stock_on_hand, stockout, location } = mapRow(row, mapping);
+      
+      // Validate required fields
+      if (!date || !sku || !units_sold) {
+        errors.push({
+          row: rowIndex,
+          error: 'Missing required fields (date, sku, units_sold)',
+          data: row,
+        });
+        return;
+      }
+      
+      // Validate and parse date
+      const parsedDate = validateDate(date);
+      if (!parsedDate) {
+        errors.push({
+          row: rowIndex,
+          error: `Invalid date format: ${date}`,
+          data: row,
+        });
+        return;
+      }
+      
+      // Validate SKU
+      const trimmedSku = transformSku(sku, mapping.transforms);
+      if (!trimmedSku) {
+        errors.push({
+          row: rowIndex,
+          error: 'SKU cannot be empty',
+          data: row,
+        });
+        return;
+      }
+      
+      // Validate units_sold
+      const unitsSold = transformUnits(units_sold, mapping.transforms);
+      if (isNaN(unitsSold) || unitsSold < 0) {
+        errors.push({
+          row: rowIndex,
+          error: `Invalid units_sold value: ${units_sold}`,
+          data: row,
+        });
+        return;
+      }
+      
+      // Validate optional stock columns, used to correct demand on stockout days
+      const stockOnHand = stock_on_hand === undefined || stock_on_hand === '' ? null : parseInt(stock_on_hand);
+      if (stockOnHand !== null && isNaN(stockOnHand)) {
+        errors.push({
+          row: rowIndex,
+          error: `Invalid stock_on_hand value: ${stock_on_hand}`,
+          data: row,
+        });
+        return;
+      }
+      
+      const stockoutFlag = parseFlag(stockout);
+      if (stockoutFlag === undefined) {
+        errors.push({
+          row: rowIndex,
+          error: `Invalid stockout value: ${stockout} (use true/false)`,
+          data: row,
+        });
+        return;
+      }
+      
+      // Validate optional location code against the user's locations
+      const rowLocation = location ? resolveLocation(locations, location) : defaultLocation;
+      if (rowLocation === undefined) {
+        errors.push({
+          row: rowIndex,
+          error: `Unknown location: ${location}`,
+          data: row,
+        });
+        return;
+      }
+      
+      results.push({
+        row: rowIndex,
+        date: format(parsedDate, 'yyyy-MM-dd'),
+        sku: trimmedSku,
+        units_sold: unitsSold,
+        stock_on_hand: stockOnHand,
+        stockout: stockoutFlag,
+        location_id: rowLocation ? rowLocation.id : null,
+      });
+    } catch (error) {
+      errors.push({
+        row: rowIndex,
+        error: error.message,
+        data: row,
       });
+    }
   });
+  
+  return { data: results, errors };
+};
+
+// Helper function to read and validate an uploaded sales file (CSV, Excel or JSON)
+const parseSalesFile = async (file, { sheet = null, ...options } = {}) => {
+  const { headers, rows } = await readFileRows(file, { sheet });
+  return { ...parseSalesRows(rows, options), headers };
 };
 
-// Upload CSV file endpoint
+// Inspect a sales file before importing it: its headers (and sheets, for Excel), a preview of
+// the first rows, a suggested column mapping and the saved import profiles that fit its headers
+router.post('/inspect', upload.single('file'), async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'No file uploaded',
+      });
+    }
+    
+    const { headers, rows, sheets = null, sheet = null } = await readFileRows(req.file, { sheet: req.body.sheet || null });
+    const profiles = await dbHelpers.getImportProfiles(userId);
+    
+    res.json({
+      success: true,
+      data: {
+        filename: req.file.originalname,
+        sheets,
+        sheet,
+        headers,
+        preview: rows.slice(0, 10),
+        rowCount: rows.length,
+        suggestedMapping: suggestMapping(headers),
+        matchingProfiles: profiles
+          .filter(profile => missingColumns({ columns: profile.column_mapping }, headers).length === 0)
+          .map(profile => profile.id),
+      },
+    });
+  } catch (error) {
+    console.error('Error inspecting sales file:', error);
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        error: 'File Too Large',
+        message: 'File size exceeds the maximum allowed limit',
+      });
+    }
+    
+    if (error.code === 'INVALID_FILE' || (error.code && error.code.startsWith('CSV_'))) {
+      return res.status(400).json({
+        error: 'Invalid File',
+        message: error.message,
+      });
+    }
+    
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to inspect file',
+    });
+  }
+});
+
+// Upload sales file endpoint (CSV, Excel with an optional `sheet`, or JSON); with ?dryRun=true the file is validated and matched against
+// existing sales and a preview returned, without writing anything
 router.post('/csv', upload.single('file'), async (req, res) => {
   try {
     const userId = req.auth.userId;
+    const dryRun = req.query.dryRun === 'true';
     
     if (!req.file) {
       return res.status(400).json({
@@ -189,36 +517,148 @@ router.post('/csv', upload.single('file'), async (req, res) => {
       });
     }
     
-    const fileBuffer = req.file.buffer;
+    // Sales can be tagged with a location for the whole file, or per row with a location column
+    const locations = await dbHelpers.getLocations(userId);
+    const defaultLocation = resolveLocation(locations, req.body.location);
+    if (defaultLocation === undefined) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: 'Location not found',
+      });
+    }
+    
+    // Rows that already exist are skipped, overwritten or added to, depending on the merge mode
+    const mergeMode = req.body.mergeMode || 'skip';
+    if (!MERGE_MODES.includes(mergeMode)) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: `mergeMode must be one of: ${MERGE_MODES.join(', ')}`,
+      });
+    }
+    
+    // Columns are read through a saved import profile or an inline mapping when given
+    const { mapping, profile = null, error: mappingError } = await resolveMapping(userId, req.body);
+    if (mappingError) {
+      return res.status(400).json({
+        error: 'Validation Error',
+        message: mappingError,
+      });
+    }
     
     try {
-      // Parse CSV data from buffer
-      const { data: salesData, errors: parseErrors } = await parseCsvData(fileBuffer);
+      // Parse and validate the file's rows
+      const { data: salesData, errors: parseErrors, headers } = await parseSalesFile(req.file, {
+        sheet: req.body.sheet || null,
+        locations,
+        defaultLocation,
+        mapping,
+      });
+      
+      // A mapping naming columns the file doesn't have is the wrong mapping for this file
+      if (mapping !== DEFAULT_MAPPING) {
+        const missing = missingColumns(mapping, headers);
+        if (missing.length > 0) {
+          return res.status(400).json({
+            error: 'Validation Error',
+            message: `Columns not found in file: ${missing.join(', ')}`,
+            headers,
+          });
+        }
+      }
+      
+      if (dryRun) {
+        const plan = await planUpload(userId, salesData, mergeMode);
+        const { skuTotals, dateRange } = summarizeSalesRecords(salesData);
+        const inventory = await dbHelpers.getInventory(userId);
+        const knownSkus = new Set(inventory.map(item => item.sku));
+        
+        return res.json({
+          success: true,
+          dryRun: true,
+          data: {
+            totalRows: salesData.length + parseErrors.length,
+            validRows: salesData.length,
+            insertedRows: plan.inserts.length,
+            updatedRows: plan.updates.length,
+            skippedRows: plan.skipped.length,
+            errors: parseErrors.length,
+          },
+          mergeMode,
+          dateRange,
+          skuTotals: skuTotals.map(total => ({ ...total, inInventory: knownSkus.has(total.sku) })),
+          unknownSkus: skuTotals.filter(total => !knownSkus.has(total.sku)).map(total => total.sku),
+          rows: describePlan(locations, plan),
+          parseErrors: parseErrors.length > 0 ? parseErrors : undefined,
+          message: `Dry run: ${plan.inserts.length} records would be inserted, ${plan.updates.length} updated and ${plan.skipped.length} skipped`,
+        });
+      }
+      
+      // Every upload is recorded as a batch, including ones with nothing to import
+      const batchDetails = {
+        filename: req.file.originalname,
+        file_size: req.file.size,
+        merge_mode: mergeMode,
+        location_id: defaultLocation ? defaultLocation.id : null,
+        profile_id: profile ? profile.id : null,
+        total_rows: salesData.length + parseErrors.length,
+        valid_rows: salesData.length,
+        error_count: parseErrors.length,
+        errors: parseErrors,
+      };
       
       if (salesData.length === 0) {
+        const failedBatch = await dbHelpers.createUploadBatch(userId, {
+          ...batchDetails,
+          status: 'failed',
+          completed_at: new Date().toISOString(),
+        });
         return res.status(400).json({
           error: 'Validation Error',
-          message: 'No valid data found in CSV file',
+          message: 'No valid data found in file',
           errors: parseErrors,
+          batchId: failedBatch.id,
         });
       }
       
-      // Insert valid data into database with user ID
+      // Match the valid rows against sales already stored for the same SKUs and dates
+      const { inserts, updates, skipped } = await planUpload(userId, salesData, mergeMode);
+      
+      // The records about to be changed are stored on the batch first, so even a partly written upload can be rolled back
+      const batch = await dbHelpers.createUploadBatch(userId, {
+        ...batchDetails,
+        replaced_records: updates.map(entry => entry.previous),
+      });
+      
+      // Insert new records and update existing ones with user ID, tagged with the batch
       let insertedData = [];
+      let updatedData = [];
       let insertErrors = [];
       
-      if (salesData.length > 0) {
-        try {
-          insertedData = await dbHelpers.insertSalesData(userId, salesData);
-        } catch (dbError) {
-          console.error('Database insertion error:', dbError);
-          insertErrors.push({
-            error: 'Database insertion failed',
-            message: dbError.message,
-          });
+      try {
+        if (inserts.length > 0) {
+          insertedData = await dbHelpers.insertSalesData(userId, inserts.map(entry => ({ ...entry.record, batch_id: batch.id })));
         }
+        if (updates.length > 0) {
+          updatedData = await dbHelpers.updateSalesData(userId, updates.map(entry => ({ id: entry.id, ...entry.record, batch_id: batch.id })));
+        }
+      } catch (dbError) {
+        console.error('Database insertion error:', dbError);
+        insertErrors.push({
+          error: 'Database insertion failed',
+          message: dbError.message,
+        });
       }
       
+      await dbHelpers.updateUploadBatch(userId, batch.id, {
+        status: insertErrors.length > 0 ? 'failed' : 'completed',
+        inserted_rows: insertedData.length,
+        updated_rows: updatedData.length,
+        skipped_rows: skipped.length,
+        error_count: parseErrors.length + insertErrors.length,
+        errors: [...parseErrors, ...insertErrors],
+        completed_at: new Date().toISOString(),
+      });
+      
       // No file cleanup needed since we're using memory storage
       
       res.json({
@@ -227,19 +667,29 @@ router.post('/csv', upload.single('file'), async (req, res) => {
           totalRows: salesData.length + parseErrors.length,
           validRows: salesData.length,
           insertedRows: insertedData.length,
+          updatedRows: updatedData.length,
+          skippedRows: skipped.length,
           errors: parseErrors.length + insertErrors.length,
         },
+        batchId: batch.id,
+        mergeMode,
+        // Report which file rows ended up where
+        rows: describePlan(locations, {
+          inserts: insertedData.length > 0 ? inserts : [],
+          updates: updatedData.length > 0 ? updates : [],
+          skipped,
+        }),
         insertedData,
         parseErrors: parseErrors.length > 0 ? parseErrors : undefined,
         insertErrors: insertErrors.length > 0 ? insertErrors : undefined,
-        message: `Successfully processed ${insertedData.length} sales records`,
+        message: `Successfully processed ${insertedData.length + updatedData.length} sales records (${insertedData.length} inserted, ${updatedData.length} updated, ${skipped.length} skipped)`,
       });
     } catch (parseError) {
       // No file cleanup needed since we're using memory storage
       throw parseError;
     }
   } catch (error) {
-    console.error('Error processing CSV upload:', error);
+    console.error('Error processing sales upload:', error);
     
     // No file cleanup needed since we're using memory storage
     
@@ -250,16 +700,23 @@ router.post('/csv', upload.single('file'), async (req, res) => {
       });
     }
     
-    if (error.message === 'Only CSV files are allowed') {
+    if (error.message === UNSUPPORTED_FILE_MESSAGE) {
       return res.status(400).json({
         error: 'Invalid File Type',
-        message: 'Only CSV files are allowed',
+        message: UNSUPPORTED_FILE_MESSAGE,
+      });
+    }
+    
+    if (error.code === 'INVALID_FILE' || (error.code && error.code.startsWith('CSV_'))) {
+      return res.status(400).json({
+        error: 'Invalid File',
+        message: error.message,
       });
     }
     
     res.status(500).json({
       error: 'Internal Server Error',
-      message: 'Failed to process CSV file',
+      message: 'Failed to process file',
     });
   }
 });
@@ -272,7 +729,7 @@ router.get('/history', async (req, res) => {
     
     const { data, error } = await dbHelpers.supabase
       .from(dbHelpers.TABLES.SALES_DATA)
-      .select('date, sku, units_sold')
+      .select('date, sku, units_sold, stock_on_hand, stockout, location:locations(code), batch:upload_batches(id, filename)')
       .eq('user_id', userId)
       .order('date', { ascending: false })
       .range(offset, offset + limit - 1);
@@ -297,13 +754,146 @@ router.get('/history', async (req, res) => {
   }
 });
 
+// Get upload batches for the authenticated user, newest first
+router.get('/batches', async (req, res) => {
+  try {
+    const userId = req.auth.userId;
+    const { status, limit = 20, offset = 0 } = req.query;
+    
+    const batches = await dbHelpers.getUploadBatches(userId, {
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+    
+    res.json({
+      success: true,
+      data: batches,
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        count: batches.length,
+      },
+    });
+  } catch (error) {
+    console.error('Error fetching upload batches:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch upload batches',
+    });
+  }
+});
+
+// Get upload batch by ID for the authenticated user, with its errors and the sales records it wrote
+router.get('/batches/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    const { limit = 100, offset = 0 } = req.query;
+    
+    const { replaced_records: replacedRecords, ...batch } = await dbHelpers.getUploadBatch(userId, id);
+    const { records, count } = await dbHelpers.getBatchSalesData(userId, id, {
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        ...batch,
+        replacedRows: replacedRecords.length,
+        records,
+      },
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        count: records.length,
+        total: count,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Upload batch not found',
+      });
+    }
+    
+    console.error('Error fetching upload batch:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to fetch upload batch',
+    });
+  }
+});
+
+// Roll back an upload batch: records it inserted are deleted and records it overwrote
+// or added to get their previous values back
+router.post('/batches/:id/rollback', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.auth.userId;
+    
+    const batch = await dbHelpers.getUploadBatch(userId, id);
+    
+    if (batch.status === 'rolled_back') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Upload has already been rolled back',
+      });
+    }
+    
+    if (batch.status === 'processing') {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: 'Upload is still being processed',
+      });
+    }
+    
+    // Undoing this upload would discard the changes later uploads made on top of it
+    const laterBatches = await dbHelpers.getBatchesReplacing(userId, id);
+    if (laterBatches.length > 0) {
+      return res.status(409).json({
+        error: 'Conflict',
+        message: `Later uploads changed records from this upload; roll back ${laterBatches.map(later => later.filename).join(', ')} first`,
+        batches: laterBatches,
+      });
+    }
+    
+    const { batch: rolledBackBatch, deletedRows, restoredRows } = await dbHelpers.rollbackUploadBatch(userId, batch);
+    
+    res.json({
+      success: true,
+      data: {
+        batch: rolledBackBatch,
+        deletedRows,
+        restoredRows,
+      },
+      message: `Rolled back ${batch.filename}: ${deletedRows} records deleted, ${restoredRows} restored`,
+    });
+  } catch (error) {
+    if (error.code === 'PGRST116' || error.code === '22P02') {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Upload batch not found',
+      });
+    }
+    
+    console.error('Error rolling back upload batch:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Failed to roll back upload batch',
+    });
+  }
+});
+
 // Get sales data summary for the authenticated user
 router.get('/summary', async (req, res) => {
   try {
     const userId = req.auth.userId;
-    const { startDate, endDate, sku } = req.query;
+    const { startDate, endDate, sku, location } = req.query;
     
-    const salesData = await dbHelpers.getSalesData(userId, sku, startDate, endDate);
+    const salesData = await dbHelpers.getSalesData(userId, sku, startDate, endDate, location);
     
     // Calculate summary statistics
     const totalUnits = salesData.reduce((sum, record) => sum + record.units_sold, 0);
@@ -352,6 +942,14 @@ router.delete('/clear-data', async (req, res) => {
     
     if (error) throw error;
     
+    // Upload batches go too, there is nothing left for them to roll back
+    const { error: batchError } = await dbHelpers.supabase
+      .from(dbHelpers.TABLES.UPLOAD_BATCHES)
+      .delete()
+      .eq('user_id', userId);
+    
+    if (batchError) throw batchError;
+    
     res.json({
       success: true,
       message: 'All your sales data has been cleared',
@@ -10,6 +10,11 @@ import inventoryRoutes from './routes/inventory.js';
 import uploadRoutes from './routes/upload.js';
 import forecastRoutes from './routes/forecast.js';
 import authRoutes from './routes/auth.js';
+import eventRoutes from './routes/events.js';
+import supplierRoutes from './routes/suppliers.js';
+import purchaseOrderRoutes from './routes/purchaseOrders.js';
+import locationRoutes from './routes/locations.js';
+import importProfileRoutes from './routes/importProfiles.js';
 
 // Import database helpers
 import { testConnection } from './config/database.js';
@@ -66,6 +71,11 @@ app.use('/api/auth', authRoutes);
 app.use('/api/inventory', inventoryRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/forecast', forecastRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/import-profiles', importProfileRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,158 @@
+import { format, parseISO, startOfWeek } from 'date-fns';
+
+// Forecast accuracy tracking: compares saved forecasts with the actuals that arrived later
+
+const round = (value, decimals = 2) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+// Mean absolute one-step naive error of a daily series, the MASE scaling denominator
+export const naiveScale = (series) => {
+  if (series.length < 2) {
+    return null;
+  }
+
+  let total = 0;
+  for (let i = 1; i < series.length; i++) {
+    total += Math.abs(series[i] - series[i - 1]);
+  }
+
+  const scale = total / (series.length - 1);
+  return scale > 0 ? scale : null;
+};
+
+// MAPE, WAPE, bias and MASE for a set of { predicted, actual, scale } pairs
+export const errorMetrics = (pairs) => {
+  if (pairs.length === 0) {
+    return { count: 0, mape: null, wape: null, bias: null, mase: null, accuracy: null };
+  }
+
+  let totalActual = 0;
+  let totalPredicted = 0;
+  let totalAbsoluteError = 0;
+  const percentageErrors = [];
+  const scaledErrors = [];
+
+  pairs.forEach(({ predicted, actual, scale }) => {
+    const absoluteError = Math.abs(predicted - actual);
+    totalActual += actual;
+    totalPredicted += predicted;
+    totalAbsoluteError += absoluteError;
+
+    // MAPE is undefined on zero-demand days, those only count towards WAPE and MASE
+    if (actual > 0) {
+      percentageErrors.push(absoluteError / actual);
+    }
+    if (scale) {
+      scaledErrors.push(absoluteError / scale);
+    }
+  });
+
+  const wape = totalActual > 0 ? totalAbsoluteError / totalActual * 100 : null;
+
+  return {
+    count: pairs.length,
+    totalActual: round(totalActual),
+    totalPredicted: round(totalPredicted),
+    mape: percentageErrors.length > 0
+      ? round(percentageErrors.reduce((sum, value) => sum + value, 0) / percentageErrors.length * 100)
+      : null,
+    wape: wape !== null ? round(wape) : null,
+    // Positive bias means over-forecasting
+    bias: totalActual > 0 ? round((totalPredicted - totalActual) / totalActual * 100) : null,
+    mase: scaledErrors.length > 0
+      ? round(scaledErrors.reduce((sum, value) => sum + value, 0) / scaledErrors.length, 3)
+      : null,
+    accuracy: wape !== null ? round(Math.max(0, 100 - wape), 1) : null,
+  };
+};
+
+// Period key a date falls into
+const periodKey = (date, period) => {
+  const parsed = parseISO(date);
+  return period === 'month'
+    ? format(parsed, 'yyyy-MM')
+    : format(startOfWeek(parsed, { weekStartsOn: 1 }), 'yyyy-MM-dd');
+};
+
+// Group pairs by a key and compute metrics for each group
+const groupMetrics = (pairs, keyFn, keyName) => {
+  const groups = {};
+  pairs.forEach(pair => {
+    const key = keyFn(pair);
+    if (!groups[key]) {
+      groups[key] = [];
+    }
+    groups[key].push(pair);
+  });
+
+  return Object.keys(groups)
+    .sort()
+    .map(key => ({ [keyName]: key, ...errorMetrics(groups[key]) }));
+};
+
+/**
+ * Match saved forecasts to actual sales and summarize accuracy.
+ *
+ * Forecast dates after the last sales date uploaded for a SKU are skipped, since
+ * their actuals have not arrived yet. Dates before that with no sales row count as
+ * zero demand, matching how forecasting fills gaps.
+ *
+ * @param {Array} forecasts - rows from the forecasts table
+ * @param {Array} sales - rows from the sales_data table
+ * @param {Object} options
+ * @param {'week'|'month'} options.period - bucket size for the per-period breakdown
+ * @param {Object} options.scales - naive MAE per SKU for MASE, from naiveScale()
+ */
+export const evaluateAccuracy = (forecasts, sales, { period = 'week', scales = {} } = {}) => {
+  const actuals = {};
+  const lastSalesDate = {};
+
+  sales.forEach(record => {
+    const key = `${record.sku}|${record.date}`;
+    actuals[key] = (actuals[key] || 0) + record.units_sold;
+    if (!lastSalesDate[record.sku] || record.date > lastSalesDate[record.sku]) {
+      lastSalesDate[record.sku] = record.date;
+    }
+  });
+
+  const pairs = forecasts
+    .filter(row => lastSalesDate[row.sku] && row.predicted_date <= lastSalesDate[row.sku])
+    .map(row => ({
+      sku: row.sku,
+      date: row.predicted_date,
+      predicted: Number(row.predicted_demand),
+      actual: actuals[`${row.sku}|${row.predicted_date}`] || 0,
+      scale: scales[row.sku] || null,
+    }));
+
+  const daily = groupMetrics(pairs, pair => pair.date, 'date')
+    .map(({ date, totalActual, totalPredicted }) => ({ date, actual: totalActual, predicted: totalPredicted }));
+
+  return {
+    overall: errorMetrics(pairs),
+    bySku: groupMetrics(pairs, pair => pair.sku, 'sku'),
+    byPeriod: groupMetrics(pairs, pair => periodKey(pair.date, period), 'period'),
+    daily,
+    period,
+  };
+};
+
+// Change in accuracy between the two most recent periods, null until two periods have actuals
+export const accuracyTrend = (byPeriod) => {
+  const scored = byPeriod.filter(entry => entry.accuracy !== null);
+  if (scored.length < 2) {
+    return null;
+  }
+
+  const [previous, latest] = scored.slice(-2);
+  return round(latest.accuracy - previous.accuracy, 1);
+};
+
+export default {
+  naiveScale,
+  errorMetrics,
+  evaluateAccuracy,
+  accuracyTrend,
+};
@@ -0,0 +1,148 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { mean, standardDeviation } from 'simple-statistics';
+
+// ABC/XYZ portfolio classification: ABC by share of sales volume or value, XYZ by demand variability
+
+// Cumulative share (percent) of the total up to which SKUs are A, then B; the rest are C
+export const ABC_THRESHOLDS = { A: 80, B: 95 };
+
+// Coefficient of variation of weekly demand up to which SKUs are X, then Y; the rest are Z
+export const XYZ_THRESHOLDS = { X: 0.5, Y: 1.0 };
+
+// Defaults by class: important, steady SKUs get the highest service level and the most frequent review
+export const CLASS_SERVICE_LEVELS = {
+  AX: 99, AY: 98, AZ: 97,
+  BX: 97, BY: 95, BZ: 93,
+  CX: 93, CY: 90, CZ: 85,
+};
+export const CLASS_REVIEW_DAYS = { A: 7, B: 14, C: 30 };
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Weekly demand totals from startDate to endDate, weeks without sales counting as zero
+const weeklyDemand = (records, startDate, endDate) => {
+  const start = parseISO(startDate);
+  const weeks = new Array(Math.max(1, Math.ceil((differenceInCalendarDays(parseISO(endDate), start) + 1) / 7))).fill(0);
+  records.forEach(record => {
+    const week = Math.floor(differenceInCalendarDays(parseISO(record.date), start) / 7);
+    if (week >= 0 && week < weeks.length) {
+      weeks[week] += record.units_sold;
+    }
+  });
+  return weeks;
+};
+
+const abcClass = (cumulativeShare) => {
+  if (cumulativeShare <= ABC_THRESHOLDS.A) return 'A';
+  if (cumulativeShare <= ABC_THRESHOLDS.B) return 'B';
+  return 'C';
+};
+
+const xyzClass = (cv) => {
+  if (cv === null) return 'Z';
+  if (cv <= XYZ_THRESHOLDS.X) return 'X';
+  if (cv <= XYZ_THRESHOLDS.Y) return 'Y';
+  return 'Z';
+};
+
+/**
+ * Classify inventory items by ABC (contribution) and XYZ (variability).
+ *
+ * Items are ranked by sales volume, or by value (units times unit cost), and
+ * assigned A until the cumulative share reaches 80%, B up to 95% and C for the
+ * rest; the item that crosses a threshold still belongs to the higher class.
+ * Variability is the coefficient of variation of weekly demand from the first
+ * sale in the period, which smooths out day-of-week patterns. Items without sales are CZ. Value
+ * falls back to volume when no item has a unit cost.
+ *
+ * @param {Array} inventory - inventory items
+ * @param {Array} salesRecords - sales_data rows for the period
+ * @param {Object} options
+ * @param {string} options.basis - 'value' or 'volume'
+ * @param {string} options.startDate - first day of the period (yyyy-MM-dd)
+ * @param {string} options.endDate - last day of the period (yyyy-MM-dd)
+ * @returns {{ basis: string, requestedBasis: string, total: number, items: Array, matrix: Object }}
+ */
+export const classifyPortfolio = (inventory, salesRecords, { basis = 'value', startDate, endDate }) => {
+  const recordsBySku = {};
+  salesRecords.forEach(record => {
+    (recordsBySku[record.sku] = recordsBySku[record.sku] || []).push(record);
+  });
+
+  const rows = inventory.map(item => {
+    const records = recordsBySku[item.sku] || [];
+    const units = records.reduce((sum, record) => sum + record.units_sold, 0);
+    // Weeks before a SKU's first sale in the period aren't held against it
+    const firstSale = records.reduce((first, record) => (record.date < first ? record.date : first), endDate);
+    const weeks = weeklyDemand(records, firstSale > startDate ? firstSale : startDate, endDate);
+    const weeklyMean = mean(weeks);
+    const cv = weeklyMean > 0 && weeks.length > 1 ? standardDeviation(weeks) / weeklyMean : null;
+    return {
+      id: item.id,
+      sku: item.sku,
+      name: item.name,
+      units,
+      value: round(units * Number(item.unit_cost ?? 0)),
+      cv: cv === null ? null : round(cv),
+      serviceLevel: Number(item.service_level),
+    };
+  });
+
+  // Without unit costs every value is zero, so rank by volume instead
+  const sumOf = (key) => rows.reduce((sum, row) => sum + row[key], 0);
+  const metric = basis === 'value' && sumOf('value') > 0 ? 'value' : 'units';
+  const total = sumOf(metric);
+  const ranked = [...rows].sort((a, b) => b[metric] - a[metric]);
+
+  let cumulative = 0;
+  const items = ranked.map(row => {
+    // Share before this item decides its class, so the item crossing a threshold stays in the higher class
+    const shareBefore = total > 0 ? cumulative / total * 100 : 100;
+    cumulative += row[metric];
+    const abc = row[metric] > 0 ? abcClass(shareBefore) : 'C';
+    const xyz = row.units > 0 ? xyzClass(row.cv) : 'Z';
+    const itemClass = `${abc}${xyz}`;
+    return {
+      ...row,
+      share: total > 0 ? round(row[metric] / total * 100) : 0,
+      cumulativeShare: total > 0 ? round(cumulative / total * 100) : 0,
+      abc,
+      xyz,
+      class: itemClass,
+      recommendedServiceLevel: CLASS_SERVICE_LEVELS[itemClass],
+      reviewDays: CLASS_REVIEW_DAYS[abc],
+    };
+  });
+
+  const matrix = {};
+  ['A', 'B', 'C'].forEach(abc => ['X', 'Y', 'Z'].forEach(xyz => {
+    const members = items.filter(item => item.abc === abc && item.xyz === xyz);
+    matrix[`${abc}${xyz}`] = {
+      count: members.length,
+      share: round(members.reduce((sum, item) => sum + item.share, 0)),
+    };
+  }));
+
+  return {
+    basis: metric === 'value' ? 'value' : 'volume',
+    requestedBasis: basis,
+    total: round(total),
+    items,
+    matrix,
+  };
+};
+
+// Default classification period: the last year up to today
+export const defaultPeriod = (days = 365, today = new Date()) => ({
+  startDate: format(addDays(today, -(days - 1)), 'yyyy-MM-dd'),
+  endDate: format(today, 'yyyy-MM-dd'),
+});
+
+export default {
+  classifyPortfolio,
+  defaultPeriod,
+  ABC_THRESHOLDS,
+  XYZ_THRESHOLDS,
+  CLASS_SERVICE_LEVELS,
+  CLASS_REVIEW_DAYS,
+};
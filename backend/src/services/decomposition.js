@@ -0,0 +1,138 @@
+import { addDays, format, getDay, getDayOfYear, parseISO } from 'date-fns';
+import { mean, variance } from 'simple-statistics';
+
+// STL-style decomposition of a daily series into trend, weekly and yearly seasonality and remainder
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Yearly seasonality is only estimated with more than a year of history
+const YEARLY_MIN_DAYS = 366;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Centered moving average, shrinking the window at the edges
+const centeredMovingAverage = (values, window) => {
+  const half = Math.floor(window / 2);
+  return values.map((_, i) => mean(values.slice(Math.max(0, i - half), Math.min(values.length, i + half + 1))));
+};
+
+// Circular moving average, for smoothing seasonal profiles that wrap around
+const circularMovingAverage = (values, window) => {
+  const half = Math.floor(window / 2);
+  return values.map((_, i) => {
+    let sum = 0;
+    for (let offset = -half; offset <= half; offset++) {
+      sum += values[(i + offset + values.length) % values.length];
+    }
+    return sum / window;
+  });
+};
+
+// Average of values grouped by an index, centred so the effects sum to zero
+const seasonalProfile = (values, indexes, size) => {
+  const sums = Array(size).fill(0);
+  const counts = Array(size).fill(0);
+  values.forEach((value, i) => {
+    sums[indexes[i]] += value;
+    counts[indexes[i]] += 1;
+  });
+
+  const profile = sums.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : 0));
+  const offset = mean(profile.filter((_, i) => counts[i] > 0));
+  return profile.map((value, i) => (counts[i] > 0 ? value - offset : 0));
+};
+
+// Share of variation explained by a component: 1 - Var(remainder) / Var(component + remainder)
+const strength = (component, remainder) => {
+  if (component.length < 2) {
+    return 0;
+  }
+  const combined = variance(component.map((value, i) => value + remainder[i]));
+  return combined > 0 ? round(Math.max(0, 1 - variance(remainder) / combined)) : 0;
+};
+
+/**
+ * Decompose a daily demand series.
+ *
+ * Alternates between estimating the trend on the deseasonalised series and the
+ * seasonal profiles on the detrended series, like the inner loop of STL. Weekly
+ * effects are keyed by calendar weekday and yearly effects by day of year, so the
+ * profiles line up with real dates.
+ *
+ * @param {number[]} series - daily values, gaps already filled with zero
+ * @param {string} startDate - date of series[0] (yyyy-MM-dd)
+ * @param {Object} options
+ * @param {number} options.iterations - trend/seasonal refinement passes
+ */
+export const decompose = (series, startDate, { iterations = 3 } = {}) => {
+  const start = parseISO(startDate);
+  const dates = series.map((_, i) => addDays(start, i));
+  const weekdayIndexes = dates.map(date => getDay(date));
+  const dayOfYearIndexes = dates.map(date => getDayOfYear(date) - 1);
+  const hasYearly = series.length >= YEARLY_MIN_DAYS;
+
+  // With yearly seasonality the trend spans a full year, so annual swings land in the yearly component
+  const trendWindow = hasYearly ? 365 : 15;
+
+  let trend = centeredMovingAverage(series, 7);
+  let weekly = Array(series.length).fill(0);
+  let yearly = Array(series.length).fill(0);
+  let weeklyEffects = Array(7).fill(0);
+  let yearlyEffects = Array(366).fill(0);
+
+  for (let pass = 0; pass < iterations; pass++) {
+    weeklyEffects = seasonalProfile(series.map((value, i) => value - trend[i] - yearly[i]), weekdayIndexes, 7);
+    weekly = weekdayIndexes.map(index => weeklyEffects[index]);
+
+    if (hasYearly) {
+      const rawYearly = seasonalProfile(series.map((value, i) => value - trend[i] - weekly[i]), dayOfYearIndexes, 366);
+      yearlyEffects = circularMovingAverage(rawYearly, 31);
+      yearly = dayOfYearIndexes.map(index => yearlyEffects[index]);
+    }
+
+    trend = centeredMovingAverage(series.map((value, i) => value - weekly[i] - yearly[i]), trendWindow);
+  }
+
+  const remainder = series.map((value, i) => value - trend[i] - weekly[i] - yearly[i]);
+
+  // Yearly profile summarised by calendar month of a non-leap year
+  const yearlyProfile = hasYearly
+    ? MONTHS.map((month, monthIndex) => {
+        const days = [];
+        for (let day = 0; day < 365; day++) {
+          if (addDays(new Date(2023, 0, 1), day).getMonth() === monthIndex) {
+            days.push(yearlyEffects[day]);
+          }
+        }
+        return { month, effect: round(mean(days)) };
+      })
+    : null;
+
+  return {
+    hasYearly,
+    trendWindow,
+    components: series.map((value, i) => ({
+      date: format(dates[i], 'yyyy-MM-dd'),
+      observed: value,
+      trend: round(trend[i]),
+      weekly: round(weekly[i]),
+      yearly: hasYearly ? round(yearly[i]) : null,
+      remainder: round(remainder[i]),
+    })),
+    weeklyProfile: [1, 2, 3, 4, 5, 6, 0].map(index => ({
+      day: WEEKDAYS[index],
+      effect: round(weeklyEffects[index]),
+    })),
+    yearlyProfile,
+    strength: {
+      trend: strength(trend, remainder),
+      weekly: strength(weekly, remainder),
+      yearly: hasYearly ? strength(yearly, remainder) : null,
+    },
+  };
+};
+
+export default {
+  decompose,
+};
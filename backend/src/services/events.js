@@ -0,0 +1,162 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { mean } from 'simple-statistics';
+
+// Event calendar regressors: learn uplift from past event windows and apply it to future ones
+
+// Days before an event used as its "normal demand" baseline
+const BASELINE_DAYS = 28;
+const MIN_BASELINE_DAYS = 7;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Events with the same name (e.g. every "Black Friday") share a learned uplift
+const eventKey = (event) => event.name.trim().toLowerCase();
+
+// Whether an event applies to a SKU (events without a SKU apply to all)
+export const appliesToSku = (event, sku) => !event.sku || event.sku === sku;
+
+// Series positions covered by an event, clipped to the series
+const eventIndexes = (event, seriesStart, length) => {
+  const from = Math.max(0, differenceInCalendarDays(parseISO(event.start_date), seriesStart));
+  const to = Math.min(length - 1, differenceInCalendarDays(parseISO(event.end_date), seriesStart));
+  const indexes = [];
+  for (let i = from; i <= to; i++) {
+    indexes.push(i);
+  }
+  return indexes;
+};
+
+/**
+ * Measure the uplift of every event window inside the history and build a
+ * history with those windows replaced by their baseline, so forecasting methods
+ * fit normal demand rather than one-off spikes.
+ *
+ * @param {number[]} series - daily demand, gaps filled with zero
+ * @param {string} startDate - date of series[0] (yyyy-MM-dd)
+ * @param {Array} events - rows from the events table that apply to this SKU
+ * @returns {{ series: number[], windows: Array, learned: Object, adjustedDays: number }}
+ */
+export const learnEventUplift = (series, startDate, events) => {
+  const seriesStart = parseISO(startDate);
+  const eventDays = new Set();
+  events.forEach(event => {
+    eventIndexes(event, seriesStart, series.length).forEach(index => eventDays.add(index));
+  });
+
+  const cleaned = [...series];
+  const windows = [];
+  let adjustedDays = 0;
+
+  events.forEach(event => {
+    const indexes = eventIndexes(event, seriesStart, series.length);
+    if (indexes.length === 0) {
+      return;
+    }
+
+    // Baseline from the days just before the event, skipping other events
+    const baseline = [];
+    for (let i = indexes[0] - 1; i >= 0 && i >= indexes[0] - BASELINE_DAYS; i--) {
+      if (!eventDays.has(i)) {
+        baseline.push(series[i]);
+      }
+    }
+    if (baseline.length < MIN_BASELINE_DAYS) {
+      return;
+    }
+
+    const baselineMean = mean(baseline);
+    const windowMean = mean(indexes.map(index => series[index]));
+    if (baselineMean <= 0) {
+      return;
+    }
+
+    windows.push({
+      id: event.id,
+      name: event.name,
+      startDate: event.start_date,
+      endDate: event.end_date,
+      baseline: round(baselineMean),
+      observed: round(windowMean),
+      uplift: round((windowMean / baselineMean - 1) * 100),
+    });
+
+    indexes.forEach(index => {
+      cleaned[index] = round(baselineMean);
+      adjustedDays++;
+    });
+  });
+
+  // Average uplift per event name
+  const grouped = {};
+  windows.forEach(entry => {
+    const key = eventKey(entry);
+    if (!grouped[key]) {
+      grouped[key] = [];
+    }
+    grouped[key].push(entry.uplift);
+  });
+  const learned = {};
+  Object.entries(grouped).forEach(([key, uplifts]) => {
+    learned[key] = round(mean(uplifts));
+  });
+
+  return { series: cleaned, windows, learned, adjustedDays };
+};
+
+/**
+ * Scale forecast days that fall inside future events by their uplift.
+ *
+ * Fixed events use their expected uplift, "learn" events use the average uplift
+ * of past events with the same name and are skipped when there is none.
+ *
+ * @param {number[]} forecast - daily forecast values
+ * @param {string} forecastStartDate - date of forecast[0] (yyyy-MM-dd)
+ * @param {Array} events - rows from the events table that apply to this SKU
+ * @param {Object} learned - learned uplift percentages by event name
+ * @returns {{ forecast: number[], applied: Array }}
+ */
+export const applyEventUplift = (forecast, forecastStartDate, events, learned = {}) => {
+  const forecastStart = parseISO(forecastStartDate);
+  const factors = Array(forecast.length).fill(1);
+  const applied = [];
+
+  events.forEach(event => {
+    const indexes = eventIndexes(event, forecastStart, forecast.length);
+    if (indexes.length === 0) {
+      return;
+    }
+
+    const uplift = event.uplift_mode === 'learn'
+      ? learned[eventKey(event)] ?? null
+      : Number(event.expected_uplift);
+
+    applied.push({
+      id: event.id,
+      name: event.name,
+      startDate: format(addDays(forecastStart, indexes[0]), 'yyyy-MM-dd'),
+      endDate: format(addDays(forecastStart, indexes[indexes.length - 1]), 'yyyy-MM-dd'),
+      upliftMode: event.uplift_mode,
+      uplift,
+      source: event.uplift_mode === 'learn'
+        ? (uplift === null ? 'no past windows to learn from' : 'learned')
+        : 'expected',
+    });
+
+    if (uplift !== null) {
+      indexes.forEach(index => {
+        factors[index] *= 1 + uplift / 100;
+      });
+    }
+  });
+
+  return {
+    forecast: forecast.map((value, i) => (factors[i] === 1 ? value : Math.max(0, round(value * factors[i])))),
+    applied,
+  };
+};
+
+export default {
+  appliesToSku,
+  learnEventUplift,
+  applyEventUplift,
+};
@@ -0,0 +1,176 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { median } from 'simple-statistics';
+
+// Outlier detection and history cleansing: flags one-off spikes and dips before models are fitted
+
+// Scale factors turning a median / mean absolute deviation into a standard deviation estimate
+const MAD_SCALE = 1.4826;
+const MEAN_AD_SCALE = 1.2533;
+
+// Above this share of zero days only non-zero demand sizes are screened, otherwise every sale looks like a spike
+const INTERMITTENT_ZERO_SHARE = 0.3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Robust spread of residuals, falling back to mean absolute deviation when most residuals are identical
+const robustScale = (residuals) => {
+  const center = median(residuals);
+  const deviations = residuals.map(value => Math.abs(value - center));
+  const mad = median(deviations) * MAD_SCALE;
+  if (mad > 0) {
+    return mad;
+  }
+  return deviations.reduce((sum, value) => sum + value, 0) / deviations.length * MEAN_AD_SCALE;
+};
+
+/**
+ * Hampel filter on residuals.
+ *
+ * Each value is compared with the median of a centred window, the day-of-week
+ * median of those residuals is removed so regular weekend peaks are not flagged,
+ * and what is left is scored against the robust spread of all residuals.
+ *
+ * @param {number[]} values - values to screen
+ * @param {Object} options
+ * @param {number} options.window - days either side of each point in the local median
+ * @param {number} options.threshold - flag residuals above this many robust standard deviations
+ * @param {number} options.period - seasonal period removed from residuals (1 disables it)
+ * @param {'cap'|'median'} options.treatment - clip to the threshold or replace with the expected value
+ * @returns {Array} one entry per flagged value: { index, expected, score, suggested }
+ */
+export const hampelFilter = (values, { window = 7, threshold = 3, period = 7, treatment = 'cap' } = {}) => {
+  if (values.length < window * 2 + 1) {
+    return [];
+  }
+
+  const localMedians = values.map((_, i) => median(values.slice(Math.max(0, i - window), i + window + 1)));
+  const rawResiduals = values.map((value, i) => value - localMedians[i]);
+
+  const seasonal = Array.from({ length: period }, (_, offset) => {
+    const sameSeason = rawResiduals.filter((_, i) => i % period === offset);
+    return period > 1 && sameSeason.length > 0 ? median(sameSeason) : 0;
+  });
+  const residuals = rawResiduals.map((value, i) => value - seasonal[i % period]);
+
+  const scale = robustScale(residuals);
+  if (!(scale > 0)) {
+    return [];
+  }
+
+  const flagged = [];
+  residuals.forEach((residual, i) => {
+    const score = Math.abs(residual) / scale;
+    if (score <= threshold) {
+      return;
+    }
+
+    const expected = Math.max(0, localMedians[i] + seasonal[i % period]);
+    const limit = threshold * scale * Math.sign(residual);
+    flagged.push({
+      index: i,
+      expected: round(expected),
+      score: round(score),
+      suggested: round(Math.max(0, treatment === 'median' ? expected : expected + limit)),
+    });
+  });
+
+  return flagged;
+};
+
+/**
+ * Flag outliers in a daily demand series.
+ *
+ * For intermittent series only the days with demand are screened, in order, so a
+ * bulk order still stands out against normal order sizes.
+ *
+ * @param {number[]} series - daily demand, gaps filled with zero
+ * @param {Object} options - see hampelFilter
+ */
+export const detectOutliers = (series, options = {}) => {
+  const zeroShare = series.filter(value => value === 0).length / (series.length || 1);
+
+  if (zeroShare <= INTERMITTENT_ZERO_SHARE) {
+    return hampelFilter(series, options);
+  }
+
+  const demandIndexes = series
+    .map((value, index) => (value > 0 ? index : null))
+    .filter(index => index !== null);
+  return hampelFilter(demandIndexes.map(index => series[index]), { ...options, period: 1 })
+    .map(entry => ({ ...entry, index: demandIndexes[entry.index] }));
+};
+
+/**
+ * Cleanse a daily demand series, applying the user's review decisions.
+ *
+ * Flagged days without a decision are treated as accepted. 'reject' keeps the
+ * recorded sales and 'override' uses the user's value, which can also be set on
+ * days that were not flagged.
+ *
+ * @param {number[]} series - daily demand, gaps filled with zero
+ * @param {string} startDate - date of series[0] (yyyy-MM-dd)
+ * @param {Array} decisions - rows from the outlier_decisions table for this SKU
+ * @param {Object} options - see detectOutliers
+ * @returns {{ series: number[], outliers: Array, adjustedDays: number }}
+ */
+export const cleanseSeries = (series, startDate, decisions = [], options = {}) => {
+  const start = parseISO(startDate);
+  const dateAt = (index) => format(addDays(start, index), 'yyyy-MM-dd');
+  const decisionsByDate = Object.fromEntries(decisions.map(decision => [decision.date, decision]));
+
+  const entries = {};
+  detectOutliers(series, options).forEach(entry => {
+    entries[entry.index] = { ...entry, flagged: true };
+  });
+
+  // Manual overrides on days the filter did not flag
+  decisions.forEach(decision => {
+    const index = differenceInCalendarDays(parseISO(decision.date), start);
+    if (decision.decision === 'override' && index >= 0 && index < series.length && !entries[index]) {
+      entries[index] = { index, expected: null, score: null, suggested: null, flagged: false };
+    }
+  });
+
+  const cleaned = [...series];
+  let adjustedDays = 0;
+
+  const outliers = Object.values(entries)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => {
+      const date = dateAt(entry.index);
+      const decision = decisionsByDate[date];
+      const status = decision ? decision.decision : 'pending';
+
+      let value = entry.suggested;
+      if (status === 'reject') {
+        value = series[entry.index];
+      } else if (status === 'override') {
+        value = Number(decision.override_value);
+      }
+
+      if (value !== series[entry.index]) {
+        cleaned[entry.index] = value;
+        adjustedDays++;
+      }
+
+      return {
+        date,
+        original: series[entry.index],
+        expected: entry.expected,
+        suggested: entry.suggested,
+        score: entry.score,
+        flagged: entry.flagged,
+        decision: status,
+        overrideValue: decision?.override_value != null ? Number(decision.override_value) : null,
+        value,
+      };
+    });
+
+  return { series: cleaned, outliers, adjustedDays };
+};
+
+export default {
+  hampelFilter,
+  detectOutliers,
+  cleanseSeries,
+};
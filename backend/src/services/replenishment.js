@@ -0,0 +1,299 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { cumulativeStdNormalProbability, mean, probit, standardDeviation } from 'simple-statistics';
+
+// Replenishment policy: safety stock and reorder point from forecast error, lead time and service level
+
+// Defaults for SKUs created before service levels, lead times and holding costs were tracked
+export const DEFAULT_SERVICE_LEVEL = 95;
+export const DEFAULT_LEAD_TIME_DAYS = 7;
+export const DEFAULT_HOLDING_COST_RATE = 25;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Daily demand expected over the next `days` days, extending past the forecast horizon with its last week's average
+// (supplier lead times may be fractional, the last partial day counts pro rata)
+const demandOver = (forecast, days) => {
+  if (forecast.length === 0) {
+    return 0;
+  }
+
+  const tailAverage = mean(forecast.slice(-7));
+  const dayDemand = (day) => (day < forecast.length ? forecast[day] : tailAverage);
+  let total = 0;
+  for (let day = 0; day < Math.floor(days); day++) {
+    total += dayDemand(day);
+  }
+  return total + (days % 1) * dayDemand(Math.floor(days));
+};
+
+/**
+ * Safety stock and reorder point for a cycle-service-level target.
+ *
+ * Daily forecast errors are treated as independent, so the standard deviation of
+ * demand over the lead time is the daily error sigma times sqrt(lead time).
+ * The daily error sigma is the backtest RMSE of the forecasting method, or the
+ * standard deviation of history when the method couldn't be backtested. When the
+ * supplier's lead time varies, sqrt(L * sigma^2 + d^2 * sigmaL^2) also covers
+ * demand during late deliveries, d being the average daily demand over the lead time.
+ *
+ * @param {Object} params
+ * @param {number[]} params.forecast - daily forecast starting tomorrow
+ * @param {number[]} params.history - daily demand history the forecast was fitted on
+ * @param {Object|null} params.backtest - result of SimpleForecast.backtest()
+ * @param {number} params.leadTimeDays - supplier lead time in days
+ * @param {number} params.leadTimeStdDays - standard deviation of the lead time in days
+ * @param {number} params.serviceLevel - probability (percent) of not stocking out during a replenishment cycle
+ */
+export const reorderPolicy = ({
+  forecast,
+  history,
+  backtest = null,
+  leadTimeDays = DEFAULT_LEAD_TIME_DAYS,
+  leadTimeStdDays = 0,
+  serviceLevel = DEFAULT_SERVICE_LEVEL,
+}) => {
+  const errorSigma = backtest?.rmse != null
+    ? backtest.rmse
+    : history.length > 1 ? standardDeviation(history) : 0;
+  const z = probit(serviceLevel / 100);
+  const leadTimeDemand = demandOver(forecast, leadTimeDays);
+  const dailyDemand = leadTimeDays > 0 ? leadTimeDemand / leadTimeDays : demandOver(forecast, 1);
+  const demandSigma = Math.sqrt(
+    leadTimeDays * errorSigma ** 2 + dailyDemand ** 2 * leadTimeStdDays ** 2
+  );
+  const safetyStock = Math.max(0, z * demandSigma);
+
+  return {
+    serviceLevel,
+    leadTimeDays,
+    leadTimeStdDays,
+    z: round(z),
+    errorSigma: round(errorSigma),
+    errorSource: backtest?.rmse != null ? 'backtest' : 'historical variance',
+    leadTimeDemand: round(leadTimeDemand),
+    safetyStock: Math.ceil(safetyStock),
+    reorderPoint: Math.ceil(leadTimeDemand + safetyStock),
+  };
+};
+
+// Inventory position: stock on hand plus stock on order, less what is already owed to customers
+export const inventoryPosition = ({ onHand, backorders = 0, receipts = [] }) =>
+  onHand + receipts.reduce((sum, receipt) => sum + receipt.quantity, 0) - backorders;
+
+/**
+ * Project when stock runs out, adding expected receipts on their arrival dates.
+ *
+ * Stock starts at on hand less backorders; overdue receipts are assumed to arrive
+ * on the first day. Beyond the forecast horizon the last week's average demand is
+ * used, with any later receipts added up front.
+ *
+ * @param {Object} params
+ * @param {number} params.onHand - units in stock now
+ * @param {number} params.backorders - units owed to customers
+ * @param {number[]} params.forecast - daily forecast starting on startDate
+ * @param {Array} params.receipts - expected receipts: { quantity, expected_date }
+ * @param {string} params.startDate - date of forecast[0] (yyyy-MM-dd)
+ * @returns {{ daysUntilStockout: number|null, stockoutDate: string|null }} both null when
+ *   demand at the end of the forecast is zero, so stock left then never runs out
+ */
+export const projectStockout = ({ onHand, backorders = 0, forecast, receipts = [], startDate }) => {
+  const start = parseISO(startDate);
+  const arrivals = {};
+  receipts.forEach(receipt => {
+    const day = Math.max(0, differenceInCalendarDays(parseISO(receipt.expected_date), start));
+    arrivals[day] = (arrivals[day] || 0) + receipt.quantity;
+  });
+
+  const result = (days) => ({
+    daysUntilStockout: days,
+    stockoutDate: format(addDays(start, days), 'yyyy-MM-dd'),
+  });
+
+  let stock = onHand - backorders;
+  for (let day = 0; day < forecast.length; day++) {
+    stock += arrivals[day] || 0;
+    stock -= forecast[day];
+    if (stock < 0) {
+      return result(day);
+    }
+  }
+
+  const later = Object.entries(arrivals)
+    .filter(([day]) => Number(day) >= forecast.length)
+    .reduce((sum, [, quantity]) => sum + quantity, 0);
+  const tailAverage = forecast.length > 0 ? mean(forecast.slice(-7)) : 0;
+  if (tailAverage <= 0) {
+    return { daysUntilStockout: null, stockoutDate: null };
+  }
+  return result(forecast.length + Math.floor((stock + later) / tailAverage));
+};
+
+/**
+ * Simulate daily ending stock over the forecast horizon.
+ *
+ * Expected ending stock is on hand less backorders, plus receipts on their arrival
+ * dates, less cumulative forecast demand. Its uncertainty comes from cumulative
+ * demand, with daily errors treated as independent (sigma * sqrt(day)), so each
+ * day's stockout probability is P(cumulative demand > stock available by then).
+ * The horizon's stockout probability is that of the riskiest day, a lower bound
+ * on the chance of running out at some point.
+ *
+ * @param {Object} params
+ * @param {number} params.onHand - units in stock now
+ * @param {number} params.backorders - units owed to customers
+ * @param {number[]} params.forecast - daily forecast starting on startDate
+ * @param {Array[]} params.intervals - daily forecast intervals, from SimpleForecast.predictionIntervals()
+ * @param {Array} params.receipts - expected receipts: { quantity, expected_date }
+ * @param {string} params.startDate - date of forecast[0] (yyyy-MM-dd)
+ * @param {number} params.errorSigma - daily forecast error standard deviation
+ * @param {number[]} params.levels - coverage levels (percent) of the ending stock bands
+ * @returns {{ days: Array, stockoutDate: string|null, daysUntilStockout: number|null, stockoutProbability: number }}
+ */
+export const projectInventory = ({
+  onHand,
+  backorders = 0,
+  forecast,
+  intervals = [],
+  receipts = [],
+  startDate,
+  errorSigma = 0,
+  levels = [80, 95],
+}) => {
+  const start = parseISO(startDate);
+  const arrivals = {};
+  receipts.forEach(receipt => {
+    const day = Math.max(0, differenceInCalendarDays(parseISO(receipt.expected_date), start));
+    arrivals[day] = (arrivals[day] || 0) + receipt.quantity;
+  });
+
+  let stock = onHand - backorders;
+  let stockoutDay = null;
+  const days = forecast.map((demand, day) => {
+    const received = arrivals[day] || 0;
+    stock += received - demand;
+    if (stock < 0 && stockoutDay === null) {
+      stockoutDay = day;
+    }
+
+    const sigma = errorSigma * Math.sqrt(day + 1);
+    const stockoutProbability = sigma > 0
+      ? 1 - cumulativeStdNormalProbability(stock / sigma)
+      : stock < 0 ? 1 : 0;
+
+    return {
+      date: format(addDays(start, day), 'yyyy-MM-dd'),
+      demand: round(demand),
+      demandIntervals: intervals[day] || [],
+      received,
+      endingStock: round(stock),
+      stockIntervals: levels.map(level => {
+        const z = probit(0.5 + level / 200);
+        return { level, lower: round(stock - z * sigma), upper: round(stock + z * sigma) };
+      }),
+      stockoutProbability: round(stockoutProbability),
+    };
+  });
+
+  return {
+    days,
+    stockoutDate: stockoutDay !== null ? days[stockoutDay].date : null,
+    daysUntilStockout: stockoutDay,
+    stockoutProbability: days.length > 0 ? Math.max(...days.map(entry => entry.stockoutProbability)) : 0,
+  };
+};
+
+// Round a raw order quantity to what the supplier accepts: at least the MOQ, in whole case packs
+export const roundOrderQuantity = (quantity, { moq = 0, casePack = 1 } = {}) => {
+  if (!(quantity > 0)) {
+    return 0;
+  }
+
+  const pack = Math.max(1, casePack || 1);
+  return Math.ceil(Math.max(quantity, moq || 0) / pack) * pack;
+};
+
+// Annual ordering plus holding cost of ordering a fixed quantity each time
+const annualCost = (quantity, { annualDemand, orderCost, holdingCost }) => {
+  const ordersPerYear = annualDemand / quantity;
+  const ordering = ordersPerYear * orderCost;
+  const holding = quantity / 2 * holdingCost;
+  return {
+    quantity,
+    ordersPerYear: round(ordersPerYear),
+    orderIntervalDays: round(365 / ordersPerYear),
+    annualOrderingCost: round(ordering),
+    annualHoldingCost: round(holding),
+    totalAnnualCost: round(ordering + holding),
+  };
+};
+
+/**
+ * Economic order quantity from annualised forecast demand.
+ *
+ * EOQ = sqrt(2 * D * S / H), D being annual demand, S the cost of placing an
+ * order and H the annual cost of holding one unit (unit cost times the holding
+ * cost rate). The EOQ is rounded to the supplier's MOQ and case pack, and each
+ * quantity is costed on ordering plus average holding (Q / 2 * H); purchase
+ * cost is left out as it doesn't depend on the order size.
+ *
+ * @param {Object} params
+ * @param {number[]} params.forecast - daily forecast used to annualise demand
+ * @param {number} params.orderCost - fixed cost per order
+ * @param {number} params.unitCost - purchase cost per unit
+ * @param {number} params.holdingCostRate - annual holding cost as a percent of unit cost
+ * @param {number} params.moq - supplier minimum order quantity
+ * @param {number} params.casePack - supplier case pack size
+ * @param {number|null} params.compareQuantity - order quantity to cost against the EOQ, e.g. the suggested quantity
+ * @returns {Object|null} null when demand, order cost or holding cost is zero, as no finite EOQ exists
+ */
+export const economicOrderQuantity = ({
+  forecast,
+  orderCost,
+  unitCost,
+  holdingCostRate,
+  moq = 0,
+  casePack = 1,
+  compareQuantity = null,
+}) => {
+  const annualDemand = forecast.length > 0 ? mean(forecast) * 365 : 0;
+  const holdingCost = unitCost * holdingCostRate / 100;
+
+  if (!(annualDemand > 0) || !(orderCost > 0) || !(holdingCost > 0)) {
+    return null;
+  }
+
+  const costs = { annualDemand, orderCost, holdingCost };
+  const eoq = Math.sqrt(2 * annualDemand * orderCost / holdingCost);
+  const recommended = annualCost(roundOrderQuantity(Math.ceil(eoq), { moq, casePack }), costs);
+  const compared = compareQuantity > 0 ? annualCost(compareQuantity, costs) : null;
+
+  return {
+    annualDemand: round(annualDemand),
+    orderCost,
+    unitCost,
+    holdingCostRate,
+    annualHoldingCostPerUnit: round(holdingCost),
+    economicOrderQuantity: round(eoq),
+    recommendedQuantity: recommended.quantity,
+    ordersPerYear: recommended.ordersPerYear,
+    orderIntervalDays: recommended.orderIntervalDays,
+    costs: {
+      recommended,
+      suggested: compared,
+      // What ordering the recommended quantity saves a year over the suggested one
+      annualSavings: compared ? round(compared.totalAnnualCost - recommended.totalAnnualCost) : null,
+    },
+  };
+};
+
+export default {
+  DEFAULT_SERVICE_LEVEL,
+  DEFAULT_LEAD_TIME_DAYS,
+  DEFAULT_HOLDING_COST_RATE,
+  reorderPolicy,
+  inventoryPosition,
+  projectStockout,
+  projectInventory,
+  roundOrderQuantity,
+  economicOrderQuantity,
+};
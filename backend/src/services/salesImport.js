@@ -0,0 +1,232 @@
+// Mapping uploaded sales files onto sales records and merging them into existing sales history
+
+// Fields a sales file can supply; the first three are required
+export const IMPORT_FIELDS = ['date', 'sku', 'units_sold', 'stock_on_hand', 'stockout', 'location'];
+const REQUIRED_FIELDS = ['date', 'sku', 'units_sold'];
+
+// Mapping used when none is given: columns named after the fields themselves
+export const DEFAULT_MAPPING = {
+  columns: Object.fromEntries(IMPORT_FIELDS.map(field => [field, field])),
+  transforms: {},
+};
+
+// Header names commonly used for each field by POS and ERP exports, used to suggest a mapping
+const FIELD_ALIASES = {
+  date: ['date', 'transaction date', 'sale date', 'sales date', 'order date', 'day'],
+  sku: ['sku', 'item code', 'product code', 'item', 'item number', 'product id', 'article'],
+  units_sold: ['units sold', 'units', 'qty', 'quantity', 'qty sold', 'quantity sold', 'sold'],
+  stock_on_hand: ['stock on hand', 'on hand', 'closing stock', 'soh', 'stock'],
+  stockout: ['stockout', 'out of stock', 'oos'],
+  location: ['location', 'location code', 'store', 'store code', 'warehouse', 'site'],
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Suggest which file column feeds each field, by matching headers against common names.
+ *
+ * @param {string[]} headers - column headers of the file
+ * @returns {Object} field -> header, for the fields a header was found for
+ */
+export const suggestMapping = (headers) => {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  IMPORT_FIELDS.forEach(field => {
+    const alias = FIELD_ALIASES[field].find(name => normalized.includes(name));
+    if (alias) {
+      columns[field] = headers[normalized.indexOf(alias)];
+    }
+  });
+  return columns;
+};
+
+/**
+ * Validate and normalise a column mapping with its transforms.
+ *
+ * @param {Object} mapping - { columns: { field: header }, transforms: { units_multiplier, sku_strip_prefix } }
+ * @returns {{ mapping: Object } | { error: string }}
+ */
+export const validateMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || !mapping.columns || typeof mapping.columns !== 'object') {
+    return { error: 'Mapping must include the columns to read each field from' };
+  }
+
+  const columns = {};
+  for (const [field, header] of Object.entries(mapping.columns)) {
+    if (!IMPORT_FIELDS.includes(field)) {
+      return { error: `Unknown field: ${field}. Fields are: ${IMPORT_FIELDS.join(', ')}` };
+    }
+    if (header !== null && header !== undefined && header !== '') {
+      if (typeof header !== 'string') {
+        return { error: `Column for ${field} must be a header name` };
+      }
+      columns[field] = header.trim();
+    }
+  }
+
+  const unmapped = REQUIRED_FIELDS.filter(field => !columns[field]);
+  if (unmapped.length > 0) {
+    return { error: `Columns must be mapped for: ${unmapped.join(', ')}` };
+  }
+
+  const { units_multiplier: multiplier, sku_strip_prefix: prefix } = mapping.transforms || {};
+  const transforms = {};
+  if (multiplier !== undefined && multiplier !== null && multiplier !== '') {
+    const value = Number(multiplier);
+    if (!Number.isFinite(value) || value <= 0) {
+      return { error: 'Units multiplier must be a positive number' };
+    }
+    transforms.units_multiplier = value;
+  }
+  if (prefix) {
+    if (typeof prefix !== 'string') {
+      return { error: 'SKU prefix to strip must be text' };
+    }
+    transforms.sku_strip_prefix = prefix.trim();
+  }
+
+  return { mapping: { columns, transforms } };
+};
+
+// Mapped columns, required or not, that the file doesn't have
+export const missingColumns = (mapping, headers) =>
+  Object.values(mapping.columns).filter(header => !headers.includes(header));
+
+// Read the raw value of each field from a parsed row (keyed by header) through a column mapping
+export const mapRow = (row, { columns }) =>
+  Object.fromEntries(IMPORT_FIELDS.map(field => [field, columns[field] ? row[columns[field]] : undefined]));
+
+// Normalise a SKU: trimmed, without the configured prefix, upper-cased
+export const transformSku = (value, transforms = {}) => {
+  let sku = value.trim();
+  const prefix = transforms.sku_strip_prefix;
+  if (prefix && sku.toUpperCase().startsWith(prefix.toUpperCase())) {
+    sku = sku.slice(prefix.length).trim();
+  }
+  return sku.toUpperCase();
+};
+
+// Parse units sold, scaled by the configured multiplier and rounded to whole units; NaN when not numeric
+export const transformUnits = (value, transforms = {}) => {
+  if (!transforms.units_multiplier) {
+    return parseInt(value);
+  }
+  return Math.round(parseFloat(value) * transforms.units_multiplier);
+};
+
+// How an uploaded record is merged when the SKU already has sales for that date and location
+export const MERGE_MODES = ['skip', 'overwrite', 'add'];
+
+// Key of the sales_data unique constraint: one record per SKU per date per location
+export const salesKey = (record) => `${record.sku}|${record.date}|${record.location_id ?? ''}`;
+
+// Sum two records for the same key; the later stock reading wins and a stockout on either marks the day
+const addRecords = (base, addition) => ({
+  ...addition,
+  units_sold: base.units_sold + addition.units_sold,
+  stock_on_hand: addition.stock_on_hand ?? base.stock_on_hand ?? null,
+  stockout: Boolean(base.stockout || addition.stockout),
+});
+
+const describe = ({ sku, date, location_id }) => ({ sku, date, location_id: location_id ?? null });
+
+/**
+ * Plan how uploaded sales records merge into existing sales history.
+ *
+ * Records for a new SKU/date/location are inserted. Records that already exist
+ * are skipped ('skip'), replaced ('overwrite') or added to the existing units
+ * ('add'). Repeated keys within the upload are summed in 'add' mode; otherwise
+ * the first occurrence is used and later ones are skipped.
+ *
+ * @param {Array} records - parsed records, each with the `row` it came from
+ * @param {Array} existing - sales_data rows for the same SKUs and dates
+ * @param {'skip'|'overwrite'|'add'} mode
+ * @returns {{ inserts: Array, updates: Array, skipped: Array }} inserts and updates carry
+ *   the `record` to write and the `rows` it came from; updates also carry the existing `id`
+ *   and the `previous` record, kept so the upload can be rolled back
+ */
+export const planSalesMerge = (records, existing, mode = 'skip') => {
+  const existingByKey = new Map(existing.map(record => [salesKey(record), record]));
+  const planned = new Map();
+  const skipped = [];
+
+  records.forEach(({ row, ...record }) => {
+    const key = salesKey(record);
+    const entry = planned.get(key);
+
+    if (entry) {
+      if (mode === 'add') {
+        entry.rows.push(row);
+        entry.record = addRecords(entry.record, record);
+      } else {
+        skipped.push({ row, ...describe(record), reason: `Duplicate of row ${entry.rows[0]} in this file` });
+      }
+      return;
+    }
+
+    const current = existingByKey.get(key);
+    if (current && mode === 'skip') {
+      skipped.push({ row, ...describe(record), reason: 'Sales already recorded for this date' });
+      return;
+    }
+
+    planned.set(key, { rows: [row], record, current });
+  });
+
+  const inserts = [];
+  const updates = [];
+  planned.forEach(({ rows, record, current }) => {
+    if (!current) {
+      inserts.push({ rows, record });
+      return;
+    }
+    updates.push({
+      rows,
+      id: current.id,
+      previous: current,
+      record: mode === 'add' ? addRecords(current, record) : record,
+    });
+  });
+
+  return { inserts, updates, skipped };
+};
+
+/**
+ * Summarise parsed sales records per SKU, for previewing an upload.
+ *
+ * @param {Array} records - parsed records
+ * @returns {{ skuTotals: Array, dateRange: Object|null }} rows, units and dates per SKU
+ *   (sorted by SKU), and the first and last date in the file
+ */
+export const summarizeSalesRecords = (records) => {
+  const totals = new Map();
+  records.forEach(({ sku, date, units_sold }) => {
+    const total = totals.get(sku) || { sku, rows: 0, units_sold: 0, firstDate: date, lastDate: date };
+    total.rows += 1;
+    total.units_sold += units_sold;
+    total.firstDate = date < total.firstDate ? date : total.firstDate;
+    total.lastDate = date > total.lastDate ? date : total.lastDate;
+    totals.set(sku, total);
+  });
+
+  const dates = records.map(record => record.date).sort();
+  return {
+    skuTotals: [...totals.values()].sort((a, b) => a.sku.localeCompare(b.sku)),
+    dateRange: dates.length > 0 ? { start: dates[0], end: dates[dates.length - 1] } : null,
+  };
+};
+
+export default {
+  suggestMapping,
+  validateMapping,
+  missingColumns,
+  mapRow,
+  transformSku,
+  transformUnits,
+  planSalesMerge,
+  summarizeSalesRecords,
+  salesKey,
+  IMPORT_FIELDS,
+  DEFAULT_MAPPING,
+  MERGE_MODES,
+};
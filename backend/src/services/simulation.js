@@ -0,0 +1,176 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { mean, quantile } from 'simple-statistics';
+
+// Monte Carlo stockout risk: demand paths sampled from forecast residuals and supplier lead time variability
+
+export const DEFAULT_SIMULATION_RUNS = 1000;
+export const MAX_SIMULATION_RUNS = 10000;
+
+// Days simulated at most, however long the order is expected to last
+const MAX_CYCLE_DAYS = 365;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Seeded generator (mulberry32) so the same request gives the same answer
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw (Box-Muller)
+const sampleNormal = (random) => {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Stable seed from a string, e.g. the SKU
+export const seedFrom = (text) =>
+  [...String(text)].reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261) >>> 0;
+
+// Daily forecast errors (actual - predicted) from the backtest folds, or deviations from
+// the history's mean when the method couldn't be backtested
+export const forecastResiduals = (backtest, history) => {
+  if (backtest) {
+    return backtest.folds.flatMap(fold => fold.actual.map((value, i) => value - fold.predicted[i]));
+  }
+  if (history.length === 0) {
+    return [0];
+  }
+  const average = mean(history);
+  return history.map(value => value - average);
+};
+
+/**
+ * Simulate a replenishment cycle many times to estimate stockout risk.
+ *
+ * Each run draws a lead time from a normal distribution around the supplier's
+ * lead time (never below zero) and a demand path of forecast plus a residual
+ * resampled from the forecast errors, floored at zero. An order of
+ * orderQuantity placed today arrives after the drawn lead time; scheduled
+ * receipts arrive on their expected dates. The cycle runs until the order is
+ * expected to be used up, which is when the following order would arrive.
+ * Demand that can't be met from stock on the day counts as units short.
+ *
+ * @param {Object} params
+ * @param {number} params.onHand - units in stock now
+ * @param {number} params.backorders - units owed to customers
+ * @param {number[]} params.forecast - daily forecast starting on startDate
+ * @param {number[]} params.residuals - daily forecast errors to resample
+ * @param {Array} params.receipts - expected receipts: { quantity, expected_date }
+ * @param {string} params.startDate - date of forecast[0] (yyyy-MM-dd)
+ * @param {number} params.orderQuantity - units ordered today
+ * @param {number} params.leadTimeDays - supplier lead time in days
+ * @param {number} params.leadTimeStdDays - standard deviation of the lead time in days
+ * @param {number} params.runs - number of simulated cycles
+ * @param {number} params.seed - random seed
+ * @returns {Object} stockout probability before the order arrives and over the cycle, expected units short and fill rate
+ */
+export const simulateStockoutRisk = ({
+  onHand,
+  backorders = 0,
+  forecast,
+  residuals,
+  receipts = [],
+  startDate,
+  orderQuantity = 0,
+  leadTimeDays,
+  leadTimeStdDays = 0,
+  runs = DEFAULT_SIMULATION_RUNS,
+  seed = 1,
+}) => {
+  const random = createRandom(seed);
+  const start = parseISO(startDate);
+  const errors = residuals.length > 0 ? residuals : [0];
+
+  const arrivals = {};
+  receipts.forEach(receipt => {
+    const day = Math.max(0, differenceInCalendarDays(parseISO(receipt.expected_date), start));
+    arrivals[day] = (arrivals[day] || 0) + receipt.quantity;
+  });
+
+  // Beyond the forecast horizon demand continues at the last week's average
+  const tailAverage = forecast.length > 0 ? mean(forecast.slice(-7)) : 0;
+  const expectedDemand = (day) => (day < forecast.length ? forecast[day] : tailAverage);
+  const averageDemand = forecast.length > 0 ? mean(forecast) : 0;
+  const coverDays = averageDemand > 0 ? Math.ceil(orderQuantity / averageDemand) : 0;
+
+  let stockoutsBeforeArrival = 0;
+  let stockoutsInCycle = 0;
+  let totalShort = 0;
+  let totalDemand = 0;
+  const shortages = [];
+  const leadTimes = [];
+  const cycleLengths = [];
+
+  for (let run = 0; run < runs; run++) {
+    // forecast[0] is tomorrow, so an order with a lead time of L days is there on day L - 1
+    const leadTime = Math.max(0, leadTimeDays + leadTimeStdDays * sampleNormal(random));
+    const arrivalDay = Math.max(0, Math.ceil(leadTime) - 1);
+    const cycleDays = Math.min(arrivalDay + Math.max(coverDays, 1), MAX_CYCLE_DAYS);
+
+    let stock = onHand - backorders;
+    let short = 0;
+    let demand = 0;
+    let stockedOutBeforeArrival = false;
+
+    for (let day = 0; day < cycleDays; day++) {
+      stock += arrivals[day] || 0;
+      if (day === arrivalDay) {
+        stock += orderQuantity;
+      }
+
+      const dayDemand = Math.max(0, expectedDemand(day) + errors[Math.floor(random() * errors.length)]);
+      const dayShort = Math.max(0, dayDemand - Math.max(stock, 0));
+      stock -= dayDemand;
+      demand += dayDemand;
+      short += dayShort;
+
+      if (dayShort > 0 && day < arrivalDay) {
+        stockedOutBeforeArrival = true;
+      }
+    }
+
+    if (stockedOutBeforeArrival) {
+      stockoutsBeforeArrival++;
+    }
+    if (short > 0) {
+      stockoutsInCycle++;
+    }
+    totalShort += short;
+    totalDemand += demand;
+    shortages.push(short);
+    leadTimes.push(leadTime);
+    cycleLengths.push(cycleDays);
+  }
+
+  return {
+    runs,
+    orderQuantity,
+    averageLeadTimeDays: round(mean(leadTimes)),
+    averageCycleDays: round(mean(cycleLengths)),
+    expectedArrivalDate: format(addDays(start, Math.max(0, Math.ceil(leadTimeDays) - 1)), 'yyyy-MM-dd'),
+    // Probability of running out before the order placed today arrives
+    stockoutProbability: round(stockoutsBeforeArrival / runs),
+    // Probability of running out at any point before the following order would arrive
+    cycleStockoutProbability: round(stockoutsInCycle / runs),
+    expectedDemand: round(totalDemand / runs),
+    expectedUnitsShort: round(totalShort / runs),
+    unitsShortP95: round(quantile(shortages, 0.95)),
+    // Share of demand met from stock over the cycle
+    fillRate: totalDemand > 0 ? round(1 - totalShort / totalDemand) : 1,
+  };
+};
+
+export default {
+  simulateStockoutRisk,
+  forecastResiduals,
+  seedFrom,
+  DEFAULT_SIMULATION_RUNS,
+  MAX_SIMULATION_RUNS,
+};
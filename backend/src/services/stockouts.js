@@ -0,0 +1,101 @@
+import { addDays, differenceInCalendarDays, format, parseISO } from 'date-fns';
+import { median } from 'simple-statistics';
+
+// Stockout-aware demand: sales on days without stock understate demand, so those days are imputed or excluded
+
+// Days either side of a censored day whose uncensored sales estimate its demand
+const IMPUTATION_WINDOW = 14;
+const MIN_IMPUTATION_DAYS = 3;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Whether a sales record was censored: flagged as a stockout, or no stock left at the end of the day
+export const isCensored = (record) =>
+  record.stockout === true || (record.stock_on_hand !== null && record.stock_on_hand !== undefined && record.stock_on_hand <= 0);
+
+// Dates whose sales records are all censored. Rolled up across locations, a stockout at one
+// location while others still sold doesn't censor the day's total
+export const censoredDates = (salesRecords) => {
+  const byDate = new Map();
+  salesRecords.forEach(record => {
+    byDate.set(record.date, (byDate.get(record.date) ?? true) && isCensored(record));
+  });
+  return new Set([...byDate].filter(([, censored]) => censored).map(([date]) => date));
+};
+
+/**
+ * Correct censored days in a daily demand series.
+ *
+ * Each censored day is imputed with the median of nearby uncensored days on the
+ * same weekday, falling back to all nearby uncensored days, and never below what
+ * was actually sold. With 'exclude' the imputed values are still returned in
+ * `series` so the calendar stays intact for seasonal methods; `excludedIndexes`
+ * lists the days to leave out when scoring backtests.
+ *
+ * @param {number[]} series - daily sales, gaps filled with zero
+ * @param {string} startDate - date of series[0] (yyyy-MM-dd)
+ * @param {Set<string>} censored - censored dates, from censoredDates()
+ * @param {Object} options
+ * @param {'impute'|'exclude'} options.treatment - keep imputed values, or also leave the days out of backtest scoring
+ * @returns {{ series: number[], corrections: Array, censoredDays: number, correctedDays: number, excludedIndexes: number[] }}
+ */
+export const correctCensoredDemand = (series, startDate, censored, { treatment = 'impute' } = {}) => {
+  const start = parseISO(startDate);
+  const censoredIndexes = [...censored]
+    .map(date => differenceInCalendarDays(parseISO(date), start))
+    .filter(index => index >= 0 && index < series.length)
+    .sort((a, b) => a - b);
+  const censoredSet = new Set(censoredIndexes);
+
+  const corrected = [...series];
+  const corrections = [];
+
+  censoredIndexes.forEach(index => {
+    const nearby = [];
+    for (let i = Math.max(0, index - IMPUTATION_WINDOW); i <= Math.min(series.length - 1, index + IMPUTATION_WINDOW); i++) {
+      if (!censoredSet.has(i)) {
+        nearby.push(i);
+      }
+    }
+
+    const recorded = series[index];
+
+    // Too little uncensored history nearby (e.g. a long stockout) to estimate demand
+    if (nearby.length < MIN_IMPUTATION_DAYS) {
+      corrections.push({
+        date: format(addDays(start, index), 'yyyy-MM-dd'),
+        recorded,
+        corrected: null,
+        excluded: treatment === 'exclude',
+      });
+      return;
+    }
+
+    const sameWeekday = nearby.filter(i => (index - i) % 7 === 0);
+    const basis = sameWeekday.length >= 2 ? sameWeekday : nearby;
+    const estimate = Math.max(recorded, round(median(basis.map(i => series[i]))));
+    corrected[index] = estimate;
+    corrections.push({
+      date: format(addDays(start, index), 'yyyy-MM-dd'),
+      recorded,
+      corrected: estimate,
+      excluded: treatment === 'exclude',
+    });
+  });
+
+  return {
+    series: corrected,
+    corrections,
+    censoredDays: censoredIndexes.length,
+    correctedDays: treatment === 'exclude'
+      ? censoredIndexes.length
+      : corrections.filter(entry => entry.corrected !== null && entry.corrected !== entry.recorded).length,
+    excludedIndexes: treatment === 'exclude' ? censoredIndexes : [],
+  };
+};
+
+export default {
+  isCensored,
+  censoredDates,
+  correctCensoredDemand,
+};
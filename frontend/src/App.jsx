@@ -13,6 +13,9 @@ import Dashboard from './pages/Dashboard'
 import Inventory from './pages/Inventory'
 import Upload from './pages/Upload'
 import Forecast from './pages/Forecast'
+import Suppliers from './pages/Suppliers'
+import Locations from './pages/Locations'
+import PurchaseOrders from './pages/PurchaseOrders'
 import Login from './pages/Login'
 
 // API Context
@@ -53,6 +56,9 @@ function App() {
               <Route path="/inventory" element={<Inventory />} />
               <Route path="/upload" element={<Upload />} />
               <Route path="/forecast" element={<Forecast />} />
+              <Route path="/suppliers" element={<Suppliers />} />
+              <Route path="/locations" element={<Locations />} />
+              <Route path="/purchase-orders" element={<PurchaseOrders />} />
               <Route path="*" element={<Navigate to="/" replace />} />
             </Routes>
           </main>
@@ -4,7 +4,10 @@ import {
   LayoutDashboard, 
   Package, 
   Upload, 
-  TrendingUp
+  TrendingUp,
+  Truck,
+  MapPin,
+  ClipboardList
 } from 'lucide-react'
 import { useApi } from '../../context/ApiContext'
 
@@ -40,6 +43,24 @@ const Sidebar = () => {
       icon: TrendingUp,
       label: 'Forecast',
       description: 'Demand predictions'
+    },
+    {
+      path: '/suppliers',
+      icon: Truck,
+      label: 'Suppliers',
+      description: 'Lead times & order rules'
+    },
+    {
+      path: '/locations',
+      icon: MapPin,
+      label: 'Locations',
+      description: 'Warehouses & stores'
+    },
+    {
+      path: '/purchase-orders',
+      icon: ClipboardList,
+      label: 'Purchase Orders',
+      description: 'Order & receive stock'
     }
   ]
 
@@ -96,6 +96,12 @@ export const ApiProvider = ({ children }) => {
     // Get low stock items
     getLowStock: () => apiCall('GET', '/inventory/low-stock'),
     
+    // Get ABC/XYZ classification of the inventory
+    getClassification: (params = {}) => apiCall('GET', '/inventory/classification', null, { params }),
+    
+    // Set service levels from each item's class
+    applyClassification: (data = {}) => apiCall('POST', '/inventory/classification/apply', data),
+    
     // Get inventory item by ID
     getById: (id) => apiCall('GET', `/inventory/${id}`),
     
@@ -112,27 +118,86 @@ export const ApiProvider = ({ children }) => {
     delete: (id) => apiCall('DELETE', `/inventory/${id}`),
     
     // Bulk update quantities
-    bulkUpdate: (updates) => apiCall('POST', '/inventory/bulk-update', { updates }),
+    bulkUpdate: (updates, options = {}) => apiCall('POST', '/inventory/bulk-update', { updates, ...options }),
+    
+    // Get inbound shipments for an item
+    getInbound: (id) => apiCall('GET', `/inventory/${id}/inbound`),
+    
+    // Record inbound shipment for an item
+    addInbound: (id, shipment) => apiCall('POST', `/inventory/${id}/inbound`, shipment),
+    
+    // Update inbound shipment (status 'received' adds it to stock)
+    updateInbound: (id, inboundId, updates) => apiCall('PUT', `/inventory/${id}/inbound/${inboundId}`, updates),
+    
+    // Delete inbound shipment
+    deleteInbound: (id, inboundId) => apiCall('DELETE', `/inventory/${id}/inbound/${inboundId}`),
+    
+    // Get stock per location for an item
+    getLocations: (id) => apiCall('GET', `/inventory/${id}/locations`),
+    
+    // Set stock at a location (the item's totals follow)
+    setLocationLevel: (id, locationId, level) => apiCall('PUT', `/inventory/${id}/locations/${locationId}`, level),
+    
+    // Get stock movement history for an item
+    getMovements: (id, params = {}) => apiCall('GET', `/inventory/${id}/movements`, null, { params }),
   }
 
   // Upload API functions
   const uploadApi = {
-    // Upload CSV file
-    uploadCsv: async (file) => {
+    // Upload CSV file, optionally tagging its sales with a location
+    uploadCsv: async (file, { location = null, mergeMode = 'skip', profileId = null, mapping = null, sheet = null, dryRun = false } = {}) => {
       const client = await createApiClient()
       const formData = new FormData()
       formData.append('file', file)
+      formData.append('mergeMode', mergeMode)
+      if (sheet) {
+        formData.append('sheet', sheet)
+      }
+      if (location) {
+        formData.append('location', location)
+      }
+      if (profileId) {
+        formData.append('profileId', profileId)
+      } else if (mapping) {
+        formData.append('mapping', JSON.stringify(mapping))
+      }
       
       return client.post('/upload/csv', formData, {
         headers: {
           'Content-Type': 'multipart/form-data',
         },
+        params: dryRun ? { dryRun: true } : undefined,
+      }).then(response => response.data)
+    },
+    
+    // Inspect a sales file's headers (and sheets, for Excel) and first rows before mapping its columns
+    inspectFile: async (file, sheet = null) => {
+      const client = await createApiClient()
+      const formData = new FormData()
+      formData.append('file', file)
+      if (sheet) {
+        formData.append('sheet', sheet)
+      }
+      
+      return client.post('/upload/inspect', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
       }).then(response => response.data)
     },
     
     // Get upload history
     getHistory: (params = {}) => apiCall('GET', '/upload/history', null, { params }),
     
+    // Get upload batches
+    getBatches: (params = {}) => apiCall('GET', '/upload/batches', null, { params }),
+    
+    // Get an upload batch with its errors and sales records
+    getBatch: (id, params = {}) => apiCall('GET', `/upload/batches/${id}`, null, { params }),
+    
+    // Roll back an upload batch
+    rollbackBatch: (id) => apiCall('POST', `/upload/batches/${id}/rollback`),
+    
     // Get sales data summary
     getSummary: (params = {}) => apiCall('GET', '/upload/summary', null, { params }),
     
@@ -148,9 +213,39 @@ export const ApiProvider = ({ children }) => {
     // Generate forecasts for all SKUs
     generateAll: (options = {}) => apiCall('POST', '/forecast/generate-all', options),
     
+    // Backtest a method on a SKU's history
+    backtest: (sku, options = {}) => apiCall('POST', `/forecast/backtest/${sku}`, options),
+    
+    // Get trend and seasonal decomposition of a SKU's history
+    getDecomposition: (sku, params = {}) => apiCall('GET', `/forecast/decomposition/${sku}`, null, { params }),
+    
+    // Get day-by-day projected inventory for a SKU
+    getProjection: (sku, params = {}) => apiCall('GET', `/forecast/projection/${sku}`, null, { params }),
+    
+    // Simulate stockout risk of ordering a quantity today
+    simulateRisk: (sku, options = {}) => apiCall('POST', `/forecast/simulate/${sku}`, options),
+    
+    // Get outliers flagged in a SKU's history with review decisions
+    getOutliers: (sku, params = {}) => apiCall('GET', `/forecast/outliers/${sku}`, null, { params }),
+    
+    // Accept, reject or override an outlier flag
+    setOutlierDecision: (sku, date, decision) => apiCall('PUT', `/forecast/outliers/${sku}/${date}`, decision),
+    
+    // Clear an outlier decision
+    clearOutlierDecision: (sku, date) => apiCall('DELETE', `/forecast/outliers/${sku}/${date}`),
+    
     // Get saved forecasts for SKU
     getBySku: (sku, params = {}) => apiCall('GET', `/forecast/${sku}`, null, { params }),
     
+    // Get forecast accuracy against actual sales
+    getAccuracy: (params = {}) => apiCall('GET', '/forecast/accuracy', null, { params }),
+    
+    // Get recommended safety stock and reorder points for all SKUs
+    getReorderPoints: (params = {}) => apiCall('GET', '/forecast/reorder-points', null, { params }),
+    
+    // Accept a SKU's recommended reorder point as its reorder level
+    acceptReorderPoint: (sku, options = {}) => apiCall('POST', `/forecast/reorder-points/${sku}/accept`, options),
+    
     // Get dashboard summary
     getDashboardSummary: (params = {}) => apiCall('GET', '/forecast/dashboard/summary', null, { params }),
     
@@ -158,6 +253,102 @@ export const ApiProvider = ({ children }) => {
     healthCheck: () => apiCall('GET', '/forecast/health'),
   }
 
+  // Event calendar API functions
+  const eventsApi = {
+    // Get all events, optionally within a date range
+    getAll: (params = {}) => apiCall('GET', '/events', null, { params }),
+    
+    // Create new event
+    create: (event) => apiCall('POST', '/events', event),
+    
+    // Update event
+    update: (id, updates) => apiCall('PUT', `/events/${id}`, updates),
+    
+    // Delete event
+    delete: (id) => apiCall('DELETE', `/events/${id}`),
+  }
+
+  // Supplier API functions
+  const suppliersApi = {
+    // Get all suppliers
+    getAll: () => apiCall('GET', '/suppliers'),
+    
+    // Get supplier by ID
+    getById: (id) => apiCall('GET', `/suppliers/${id}`),
+    
+    // Create new supplier
+    create: (supplier) => apiCall('POST', '/suppliers', supplier),
+    
+    // Update supplier
+    update: (id, updates) => apiCall('PUT', `/suppliers/${id}`, updates),
+    
+    // Delete supplier
+    delete: (id) => apiCall('DELETE', `/suppliers/${id}`),
+  }
+
+  // Location API functions
+  const locationsApi = {
+    // Get all locations with the stock held at each
+    getAll: () => apiCall('GET', '/locations'),
+    
+    // Get location by ID with its stock levels
+    getById: (id) => apiCall('GET', `/locations/${id}`),
+    
+    // Create new location
+    create: (location) => apiCall('POST', '/locations', location),
+    
+    // Update location
+    update: (id, updates) => apiCall('PUT', `/locations/${id}`, updates),
+    
+    // Delete location
+    delete: (id) => apiCall('DELETE', `/locations/${id}`),
+  }
+
+  // Import profile API functions
+  const importProfilesApi = {
+    // Get all saved column mappings
+    getAll: () => apiCall('GET', '/import-profiles'),
+    
+    // Create new import profile
+    create: (profile) => apiCall('POST', '/import-profiles', profile),
+    
+    // Update import profile
+    update: (id, updates) => apiCall('PUT', `/import-profiles/${id}`, updates),
+    
+    // Delete import profile
+    delete: (id) => apiCall('DELETE', `/import-profiles/${id}`),
+  }
+
+  // Purchase order API functions
+  const purchaseOrdersApi = {
+    // Get all purchase orders, optionally by status
+    getAll: (params = {}) => apiCall('GET', '/purchase-orders', null, { params }),
+    
+    // Get purchase order by ID
+    getById: (id) => apiCall('GET', `/purchase-orders/${id}`),
+    
+    // Create new draft purchase order
+    create: (order) => apiCall('POST', '/purchase-orders', order),
+    
+    // Create draft purchase orders from generate-all reorder suggestions
+    createFromSuggestions: (suggestions) => apiCall('POST', '/purchase-orders/from-suggestions', { suggestions }),
+    
+    // Update draft purchase order
+    update: (id, updates) => apiCall('PUT', `/purchase-orders/${id}`, updates),
+    
+    // Mark purchase order as sent
+    send: (id, options = {}) => apiCall('POST', `/purchase-orders/${id}/send`, options),
+    
+    // Receive goods (all outstanding when no lines are given)
+    receive: (id, lines = []) => apiCall('POST', `/purchase-orders/${id}/receive`, { lines }),
+    
+    // Cancel purchase order
+    cancel: (id) => apiCall('POST', `/purchase-orders/${id}/cancel`),
+    
+    // Delete purchase order
+    delete: (id) => apiCall('DELETE', `/purchase-orders/${id}`),
+  }
+
   // Auth API functions
   const authApi = {
     // Get current user info
@@ -181,6 +372,11 @@ export const ApiProvider = ({ children }) => {
     inventoryApi,
     uploadApi,
     forecastApi,
+    eventsApi,
+    suppliersApi,
+    locationsApi,
+    importProfilesApi,
+    purchaseOrdersApi,
     authApi,
     
     // Generic functions
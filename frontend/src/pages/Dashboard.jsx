@@ -49,10 +49,10 @@ const Dashboard = () => {
         (sum, forecast) => sum + (forecast.predictedDemand || 0), 0
       ) || 0
 
-      // Get forecast accuracy and trends from real API data
-      const forecastAccuracy = forecastSummary.data?.accuracy || 0
+      // Forecast accuracy is null until saved forecasts have actuals to compare against
+      const forecastAccuracy = forecastSummary.data?.accuracy ?? null
       const demandTrend = forecastSummary.data?.demandTrend || 0
-      const accuracyTrend = forecastSummary.data?.accuracyTrend || 0
+      const accuracyTrend = forecastSummary.data?.accuracyTrend ?? null
 
       setDashboardData({
         stats: {
@@ -65,22 +65,14 @@ const Dashboard = () => {
           totalPredictedDemand,
           trendingSKUs: forecastSummary.data?.trendingSKUs || [],
           accuracy: forecastAccuracy,
+          accuracyMetrics: forecastSummary.data?.accuracyMetrics || null,
           demandTrend,
           accuracyTrend
         }
       })
 
-      // Generate sample chart data for demo (you can replace this with real data later)
-      const sampleChartData = [
-        { date: '2024-06-01', actual: 120, predicted: 115 },
-        { date: '2024-06-02', actual: 132, predicted: 128 },
-        { date: '2024-06-03', actual: 101, predicted: 105 },
-        { date: '2024-06-04', actual: 134, predicted: 131 },
-        { date: '2024-06-05', actual: 90, predicted: 95 },
-        { date: '2024-06-06', actual: 160, predicted: 155 },
-        { date: '2024-06-07', actual: 145, predicted: 148 }
-      ]
-      setChartData(sampleChartData)
+      // Saved forecasts vs the actual sales recorded for the same days
+      setChartData(forecastSummary.data?.accuracySeries || [])
 
     } catch (error) {
       console.error('Error loading dashboard data:', error)
@@ -100,9 +92,10 @@ const Dashboard = () => {
           quickForecasts: [],
           totalPredictedDemand: 0,
           trendingSKUs: [],
-          accuracy: 0,
+          accuracy: null,
+          accuracyMetrics: null,
           demandTrend: 0,
-          accuracyTrend: 0
+          accuracyTrend: null
         }
       })
     } finally {
@@ -206,13 +199,15 @@ const Dashboard = () => {
         
         <StatCard
           title="Forecast Accuracy"
-          value={`${dashboardData.forecasts.accuracy}%`}
-          subtitle="Last 30 days"
+          value={dashboardData.forecasts.accuracy !== null ? `${dashboardData.forecasts.accuracy}%` : 'N/A'}
+          subtitle={dashboardData.forecasts.accuracyMetrics?.count > 0
+            ? `Last 30 days · MAPE ${dashboardData.forecasts.accuracyMetrics.mape ?? '-'}% · Bias ${dashboardData.forecasts.accuracyMetrics.bias ?? '-'}% · MASE ${dashboardData.forecasts.accuracyMetrics.mase ?? '-'}`
+            : 'No past forecasts with actuals yet'}
           icon={DollarSign}
-          trend={{
+          trend={dashboardData.forecasts.accuracyTrend !== null ? {
             direction: dashboardData.forecasts.accuracyTrend >= 0 ? 'up' : 'down',
-            value: `${dashboardData.forecasts.accuracyTrend >= 0 ? '+' : ''}${dashboardData.forecasts.accuracyTrend}%`
-          }}
+            value: `${dashboardData.forecasts.accuracyTrend >= 0 ? '+' : ''}${dashboardData.forecasts.accuracyTrend} pts`
+          } : null}
           color="primary"
         />
       </div>
@@ -226,38 +221,46 @@ const Dashboard = () => {
             <p className="text-sm text-gray-600">Actual vs Predicted sales</p>
           </div>
           
-          <div className="h-80">
-            <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={chartData}>
-                <CartesianGrid strokeDasharray="3 3" />
-                <XAxis 
-                  dataKey="date" 
-                  tick={{ fontSize: 12 }}
-                  tickFormatter={(value) => new Date(value).toLocaleDateString()}
-                />
-                <YAxis tick={{ fontSize: 12 }} />
-                <Tooltip 
-                  labelFormatter={(value) => new Date(value).toLocaleDateString()}
-                />
-                <Legend />
-                <Line 
-                  type="monotone" 
-                  dataKey="actual" 
-                  stroke="#2563eb" 
-                  strokeWidth={2}
-                  name="Actual Sales"
-                />
-                <Line 
-                  type="monotone" 
-                  dataKey="predicted" 
-                  stroke="#dc2626" 
-                  strokeWidth={2}
-                  strokeDasharray="5 5"
-                  name="Statistical Prediction"
-                />
-              </LineChart>
-            </ResponsiveContainer>
-          </div>
+          {chartData.length === 0 ? (
+            <div className="h-80 flex items-center justify-center text-center">
+              <p className="text-gray-600">
+                Generate forecasts and upload the following days' sales to compare predictions with actuals.
+              </p>
+            </div>
+          ) : (
+            <div className="h-80">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis 
+                    dataKey="date" 
+                    tick={{ fontSize: 12 }}
+                    tickFormatter={(value) => new Date(value).toLocaleDateString()}
+                  />
+                  <YAxis tick={{ fontSize: 12 }} />
+                  <Tooltip 
+                    labelFormatter={(value) => new Date(value).toLocaleDateString()}
+                  />
+                  <Legend />
+                  <Line 
+                    type="monotone" 
+                    dataKey="actual" 
+                    stroke="#2563eb" 
+                    strokeWidth={2}
+                    name="Actual Sales"
+                  />
+                  <Line 
+                    type="monotone" 
+                    dataKey="predicted" 
+                    stroke="#dc2626" 
+                    strokeWidth={2}
+                    strokeDasharray="5 5"
+                    name="Statistical Prediction"
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
         </div>
 
         {/* Top SKUs Chart */}
@@ -10,11 +10,16 @@ import {
   Download,
   Settings,
   BarChart3,
-  LineChart as LineChartIcon
+  LineChart as LineChartIcon,
+  Plus,
+  Trash2,
+  Filter
 } from 'lucide-react'
 import { 
   LineChart, 
   Line, 
+  ComposedChart,
+  Area,
   BarChart, 
   Bar, 
   XAxis, 
@@ -22,22 +27,40 @@ import {
   CartesianGrid, 
   Tooltip, 
   Legend, 
+  ReferenceArea,
+  ReferenceLine,
   ResponsiveContainer 
 } from 'recharts'
 import { useApi } from '../context/ApiContext'
 import LoadingSpinner from '../components/UI/LoadingSpinner'
 import toast from 'react-hot-toast'
 
+// Line colours for backtest folds
+const BACKTEST_FOLD_COLORS = ['#2563eb', '#dc2626', '#d97706', '#7c3aed', '#db2777', '#0891b2']
+
+const EMPTY_EVENT = {
+  name: '',
+  sku: '',
+  start_date: '',
+  end_date: '',
+  uplift_mode: 'fixed',
+  expected_uplift: ''
+}
+
 const Forecast = () => {
-  const { forecastApi, inventoryApi, uploadApi } = useApi()
+  const { forecastApi, inventoryApi, uploadApi, eventsApi, locationsApi } = useApi()
   
   // State management
   const [loading, setLoading] = useState(true)
   const [forecasting, setForecasting] = useState(false)
   const [forecasts, setForecasts] = useState([])
   const [selectedSku, setSelectedSku] = useState('')
+  const [locations, setLocations] = useState([])
+  const [selectedLocation, setSelectedLocation] = useState('')
   const [forecastDays, setForecastDays] = useState(30)
   const [forecastMethod, setForecastMethod] = useState('combined')
+  const [seasonality, setSeasonality] = useState('additive')
+  const [selection, setSelection] = useState('best')
   const [skuForecast, setSkuForecast] = useState(null)
   const [inventory, setInventory] = useState([])
   const [chartData, setChartData] = useState([])
@@ -45,6 +68,25 @@ const Forecast = () => {
   const [showSalesData, setShowSalesData] = useState(false)
   const [salesChartData, setSalesChartData] = useState([])
   const [salesDateRange, setSalesDateRange] = useState(30) // days
+  const [backtestHorizon, setBacktestHorizon] = useState(14)
+  const [backtestFolds, setBacktestFolds] = useState(3)
+  const [backtesting, setBacktesting] = useState(false)
+  const [backtestResult, setBacktestResult] = useState(null)
+  const [decomposition, setDecomposition] = useState(null)
+  const [projection, setProjection] = useState(null)
+  const [projecting, setProjecting] = useState(false)
+  const [risk, setRisk] = useState(null)
+  const [riskQuantity, setRiskQuantity] = useState('')
+  const [simulating, setSimulating] = useState(false)
+  const [decomposing, setDecomposing] = useState(false)
+  const [events, setEvents] = useState([])
+  const [newEvent, setNewEvent] = useState(EMPTY_EVENT)
+  const [savingEvent, setSavingEvent] = useState(false)
+  const [cleanse, setCleanse] = useState(true)
+  const [stockoutTreatment, setStockoutTreatment] = useState('impute')
+  const [outlierReview, setOutlierReview] = useState(null)
+  const [reviewingOutliers, setReviewingOutliers] = useState(false)
+  const [overrideValues, setOverrideValues] = useState({})
 
   // Load initial data
   const loadData = async () => {
@@ -110,16 +152,27 @@ const Forecast = () => {
       setForecasting(true)
       const response = await forecastApi.generate(selectedSku, {
         days: forecastDays,
-        method: forecastMethod
+        method: forecastMethod,
+        ...(forecastMethod === 'holtwinters' && { seasonality }),
+        ...(forecastMethod === 'auto' && { selection }),
+        cleanse,
+        stockoutTreatment,
+        ...(selectedLocation && { location: selectedLocation })
       })
       
       setSkuForecast(response.data)
+      setRiskQuantity('')
       
       // Prepare chart data
       const chartData = response.data.forecast.map((item, index) => ({
         date: new Date(item.date).toLocaleDateString(),
         predicted: item.predicted_demand,
-        day: index + 1
+        day: index + 1,
+        // Range values render as a shaded band between lower and upper bound
+        ...Object.fromEntries((item.intervals || []).map(interval => [
+          `interval${interval.level}`,
+          [interval.lower, interval.upper]
+        ]))
       }))
       setChartData(chartData)
       
@@ -143,6 +196,207 @@ const Forecast = () => {
     }
   }
 
+  // Replay history with the selected method
+  const runBacktest = async () => {
+    if (!selectedSku) {
+      toast.error('Please select a SKU')
+      return
+    }
+
+    try {
+      setBacktesting(true)
+      const response = await forecastApi.backtest(selectedSku, {
+        method: forecastMethod,
+        horizon: backtestHorizon,
+        folds: backtestFolds,
+        ...(forecastMethod === 'holtwinters' && { seasonality }),
+        cleanse,
+        stockoutTreatment,
+        ...(selectedLocation && { location: selectedLocation })
+      })
+      setBacktestResult(response.data)
+    } catch (error) {
+      console.error('Error running backtest:', error)
+      setBacktestResult(null)
+    } finally {
+      setBacktesting(false)
+    }
+  }
+
+  // Split the selected SKU's history into trend and seasonal components
+  const loadDecomposition = async () => {
+    if (!selectedSku) {
+      toast.error('Please select a SKU')
+      return
+    }
+
+    try {
+      setDecomposing(true)
+      const response = await forecastApi.getDecomposition(selectedSku)
+      setDecomposition(response.data)
+    } catch (error) {
+      console.error('Error loading decomposition:', error)
+      setDecomposition(null)
+    } finally {
+      setDecomposing(false)
+    }
+  }
+
+  // Simulate the selected SKU's daily ending stock over the forecast horizon
+  const loadProjection = async () => {
+    if (!selectedSku) {
+      toast.error('Please select a SKU')
+      return
+    }
+
+    try {
+      setProjecting(true)
+      const response = await forecastApi.getProjection(selectedSku, {
+        days: forecastDays,
+        ...(selectedLocation && { location: selectedLocation })
+      })
+      setProjection(response.data)
+    } catch (error) {
+      console.error('Error projecting inventory:', error)
+      toast.error(error.response?.data?.message || 'Failed to project inventory')
+      setProjection(null)
+    } finally {
+      setProjecting(false)
+    }
+  }
+
+  // Simulate the chance of running out if the given quantity is ordered today
+  const runRiskSimulation = async () => {
+    const orderQuantity = riskQuantity === ''
+      ? skuForecast.reorderSuggestion.suggestedQuantity || 0
+      : parseInt(riskQuantity)
+
+    try {
+      setSimulating(true)
+      const response = await forecastApi.simulateRisk(skuForecast.sku, {
+        orderQuantity,
+        ...(skuForecast.location && { location: skuForecast.location.id })
+      })
+      setRisk(response.data)
+    } catch (error) {
+      console.error('Error simulating stockout risk:', error)
+      toast.error(error.response?.data?.message || 'Failed to simulate stockout risk')
+      setRisk(null)
+    } finally {
+      setSimulating(false)
+    }
+  }
+
+  // Load outliers flagged in the selected SKU's history
+  const loadOutliers = async () => {
+    if (!selectedSku) {
+      toast.error('Please select a SKU')
+      return
+    }
+
+    try {
+      setReviewingOutliers(true)
+      const response = await forecastApi.getOutliers(selectedSku)
+      setOutlierReview(response.data)
+      setOverrideValues({})
+    } catch (error) {
+      console.error('Error loading outliers:', error)
+      setOutlierReview(null)
+    } finally {
+      setReviewingOutliers(false)
+    }
+  }
+
+  // Accept, reject or override an outlier, or clear the decision when none is given
+  const decideOutlier = async (date, decision, value = null) => {
+    try {
+      if (decision) {
+        await forecastApi.setOutlierDecision(outlierReview.sku, date, { decision, value })
+      } else {
+        await forecastApi.clearOutlierDecision(outlierReview.sku, date)
+      }
+      await loadOutliers()
+      toast.success('Outlier decision saved, regenerate the forecast to apply it')
+    } catch (error) {
+      console.error('Error saving outlier decision:', error)
+      toast.error(error.response?.data?.message || 'Failed to save outlier decision')
+    }
+  }
+
+  // Load the event calendar
+  const loadEvents = async () => {
+    try {
+      const response = await eventsApi.getAll()
+      setEvents(response.data || [])
+    } catch (error) {
+      console.error('Error loading events:', error)
+      setEvents([])
+    }
+  }
+
+  // Add a promotion or holiday to the calendar
+  const createEvent = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSavingEvent(true)
+      await eventsApi.create({
+        ...newEvent,
+        sku: newEvent.sku || null,
+        expected_uplift: newEvent.uplift_mode === 'fixed' ? newEvent.expected_uplift : null
+      })
+      setNewEvent(EMPTY_EVENT)
+      await loadEvents()
+      toast.success('Event added')
+    } catch (error) {
+      console.error('Error creating event:', error)
+      toast.error(error.response?.data?.message || 'Failed to add event')
+    } finally {
+      setSavingEvent(false)
+    }
+  }
+
+  // Remove an event from the calendar
+  const deleteEvent = async (id) => {
+    try {
+      await eventsApi.delete(id)
+      setEvents(events.filter(event => event.id !== id))
+      toast.success('Event deleted')
+    } catch (error) {
+      console.error('Error deleting event:', error)
+      toast.error('Failed to delete event')
+    }
+  }
+
+  // One row per test date, with the actual value and each fold's prediction
+  const backtestChartData = backtestResult
+    ? backtestResult.folds.flatMap(fold => fold.series.map(point => ({
+        date: new Date(point.date).toLocaleDateString(),
+        actual: point.actual,
+        [`fold${fold.fold}`]: point.predicted
+      })))
+    : []
+
+  // Expected ending stock with its bands, one row per projected day
+  const projectionChartData = projection
+    ? projection.days.map(day => ({
+        date: new Date(day.date).toLocaleDateString(),
+        endingStock: day.endingStock,
+        received: day.received || null,
+        ...Object.fromEntries(day.stockIntervals.map(interval => [`stock${interval.level}`, [interval.lower, interval.upper]]))
+      }))
+    : []
+
+  // Recorded and cleansed history, with flagged days marked
+  const outlierChartData = outlierReview
+    ? outlierReview.series.map(point => ({
+        date: new Date(point.date).toLocaleDateString(),
+        original: point.original,
+        cleansed: point.cleansed,
+        flagged: outlierReview.outliers.some(outlier => outlier.date === point.date) ? point.original : null
+      }))
+    : []
+
   // Get priority color
   const getPriorityColor = (priority) => {
     switch (priority) {
@@ -170,12 +424,21 @@ const Forecast = () => {
       return
     }
 
+    const levels = skuForecast.uncertainty?.levels || []
     const csvData = [
-      ['Date', 'SKU', 'Predicted Demand', 'Method'],
+      [
+        'Date', 'SKU', 'Predicted Demand',
+        ...levels.flatMap(level => [`Lower ${level}%`, `Upper ${level}%`]),
+        'Method'
+      ],
       ...skuForecast.forecast.map(item => [
         item.date,
         skuForecast.sku,
         item.predicted_demand,
+        ...levels.flatMap(level => {
+          const interval = item.intervals?.find(entry => entry.level === level)
+          return [interval?.lower ?? '', interval?.upper ?? '']
+        }),
         skuForecast.method
       ])
     ]
@@ -190,8 +453,21 @@ const Forecast = () => {
     window.URL.revokeObjectURL(url)
   }
 
+  // Load locations for location-level forecasts
+  const loadLocations = async () => {
+    try {
+      const response = await locationsApi.getAll()
+      setLocations(response.data)
+    } catch (error) {
+      console.error('Error loading locations:', error)
+      setLocations([])
+    }
+  }
+
   useEffect(() => {
     loadData()
+    loadEvents()
+    loadLocations()
   }, [])
 
   if (loading) {
@@ -250,6 +526,20 @@ const Forecast = () => {
                 </option>
               ))}
             </select>
+            {locations.length > 0 && (
+              <select
+                value={selectedLocation}
+                onChange={(e) => setSelectedLocation(e.target.value)}
+                className="mt-2 w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">All locations</option>
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>
+                    {location.name} ({location.code})
+                  </option>
+                ))}
+              </select>
+            )}
           </div>
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -277,10 +567,34 @@ const Forecast = () => {
               className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
             >
                               <option value="combined">Combined Statistical Methods</option>
+              <option value="auto">Automatic Selection</option>
               <option value="linear">Linear Trend</option>
               <option value="exponential">Exponential Smoothing</option>
               <option value="seasonal">Seasonal Naive</option>
+              <option value="holtwinters">Holt-Winters</option>
+              <option value="croston">Croston (Intermittent)</option>
+              <option value="sba">Syntetos-Boylan (Intermittent)</option>
             </select>
+            {forecastMethod === 'holtwinters' && (
+              <select
+                value={seasonality}
+                onChange={(e) => setSeasonality(e.target.value)}
+                className="mt-2 w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="additive">Additive seasonality</option>
+                <option value="multiplicative">Multiplicative seasonality</option>
+              </select>
+            )}
+            {forecastMethod === 'auto' && (
+              <select
+                value={selection}
+                onChange={(e) => setSelection(e.target.value)}
+                className="mt-2 w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="best">Pick best method</option>
+                <option value="weighted">Blend by inverse error</option>
+              </select>
+            )}
           </div>
           <div className="flex items-end">
             <button
@@ -325,6 +639,33 @@ const Forecast = () => {
                 </label>
               </div>
               
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="cleanseOutliers"
+                  checked={cleanse}
+                  onChange={(e) => setCleanse(e.target.checked)}
+                  className="mr-2"
+                />
+                <label htmlFor="cleanseOutliers" className="text-sm font-medium text-gray-700">
+                  Cleanse Outliers Before Forecasting
+                </label>
+              </div>
+              
+              <div className="flex items-center gap-2">
+                <label className="text-sm font-medium text-gray-700">
+                  Stockout days
+                </label>
+                <select
+                  value={stockoutTreatment}
+                  onChange={(e) => setStockoutTreatment(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="impute">Impute demand</option>
+                  <option value="exclude">Exclude from history</option>
+                </select>
+              </div>
+              
               {showSalesData && (
                 <div className="flex items-center gap-2">
                   <label className="text-sm text-gray-600">
@@ -446,7 +787,7 @@ const Forecast = () => {
           <div className="flex items-center justify-between mb-4">
             <div>
               <h3 className="text-lg font-semibold text-gray-900">
-                Forecast: {skuForecast.sku}
+                Forecast: {skuForecast.sku}{skuForecast.location && ` at ${skuForecast.location.name}`}
               </h3>
               <p className="text-sm text-gray-600">
                 Method: {skuForecast.method} | Generated: {new Date(skuForecast.generated_at).toLocaleString()}
@@ -462,7 +803,7 @@ const Forecast = () => {
           
           <div className="h-80">
             <ResponsiveContainer width="100%" height="100%">
-              <LineChart data={chartData}>
+              <ComposedChart data={chartData}>
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis 
                   dataKey="date" 
@@ -471,6 +812,30 @@ const Forecast = () => {
                 <YAxis tick={{ fontSize: 12 }} />
                 <Tooltip />
                 <Legend />
+                {(skuForecast.events?.applied || []).map(event => (
+                  <ReferenceArea
+                    key={event.id}
+                    x1={new Date(event.startDate).toLocaleDateString()}
+                    x2={new Date(event.endDate).toLocaleDateString()}
+                    fill="#f59e0b"
+                    fillOpacity={0.15}
+                    label={{ value: event.name, position: 'insideTop', fontSize: 12 }}
+                  />
+                ))}
+                {/* Widest interval first so narrower bands are drawn on top */}
+                {[...(skuForecast.uncertainty?.levels || [])]
+                  .sort((a, b) => b - a)
+                  .map((level, index, levels) => (
+                    <Area
+                      key={level}
+                      type="monotone"
+                      dataKey={`interval${level}`}
+                      stroke="none"
+                      fill="#2563eb"
+                      fillOpacity={0.1 + 0.15 * (levels.length - 1 - index) / Math.max(levels.length - 1, 1)}
+                      name={`${level}% Interval`}
+                    />
+                  ))}
                 <Line 
                   type="monotone" 
                   dataKey="predicted" 
@@ -478,9 +843,38 @@ const Forecast = () => {
                   strokeWidth={2}
                   name="Predicted Demand"
                 />
-              </LineChart>
+              </ComposedChart>
             </ResponsiveContainer>
           </div>
+          {skuForecast.uncertainty && (
+            <p className="mt-2 text-xs text-gray-500">
+              Shaded bands show {skuForecast.uncertainty.levels.join('% / ')}% prediction intervals from {skuForecast.uncertainty.source}
+              {skuForecast.uncertainty.backtestFolds > 0 && ` (${skuForecast.uncertainty.backtestFolds} backtest folds)`}.
+            </p>
+          )}
+          {skuForecast.stockouts?.censoredDays > 0 && (
+            <p className="mt-1 text-xs text-gray-500">
+              {skuForecast.stockouts.correctedDays} of {skuForecast.stockouts.censoredDays} stockout days{' '}
+              {skuForecast.stockouts.treatment === 'exclude' ? 'filled in and excluded from backtest scoring' : 'imputed in the history'}, since sales on those days understate demand.
+            </p>
+          )}
+          {skuForecast.cleansing?.adjustedDays > 0 && (
+            <p className="mt-1 text-xs text-gray-500">
+              Fitted on cleansed history: {skuForecast.cleansing.adjustments.map(adjustment => (
+                `${new Date(adjustment.date).toLocaleDateString()} ${adjustment.original} → ${adjustment.value}`
+              )).join(', ')}.
+            </p>
+          )}
+          {skuForecast.events?.applied.length > 0 && (
+            <p className="mt-1 text-xs text-gray-500">
+              Highlighted periods are calendar events:{' '}
+              {skuForecast.events.applied.map(event => (
+                event.uplift !== null
+                  ? `${event.name} (${event.uplift > 0 ? '+' : ''}${event.uplift}%, ${event.source})`
+                  : `${event.name} (${event.source})`
+              )).join(', ')}.
+            </p>
+          )}
           
           {/* Sales vs Forecast Comparison */}
           {showSalesData && salesChartData.length > 0 && (
@@ -520,11 +914,660 @@ const Forecast = () => {
         </div>
       )}
 
+      {/* Automatic Model Selection */}
+      {skuForecast?.modelInfo?.candidates?.length > 0 && (
+        <div className="card">
+          <div className="mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              Model Selection for {skuForecast.sku}
+            </h3>
+            <p className="text-sm text-gray-600">
+              {skuForecast.modelInfo.description} (backtest horizon {skuForecast.modelInfo.backtestHorizon} days)
+            </p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Method</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MAE</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">RMSE</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">WAPE</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Folds</th>
+                  {skuForecast.modelInfo.selection === 'weighted' && (
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Weight</th>
+                  )}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {skuForecast.modelInfo.candidates.map(candidate => (
+                  <tr
+                    key={candidate.method}
+                    className={candidate.method === skuForecast.modelInfo.selectedMethod ? 'bg-primary-50' : 'hover:bg-gray-50'}
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                      {candidate.method}
+                      {candidate.method === skuForecast.modelInfo.selectedMethod && (
+                        <CheckCircle className="inline w-4 h-4 ml-2 text-primary-600" />
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{candidate.mae}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{candidate.rmse}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {candidate.wape !== null ? `${candidate.wape}%` : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{candidate.folds}</td>
+                    {skuForecast.modelInfo.selection === 'weighted' && (
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {Math.round(candidate.weight * 100)}%
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Projected Inventory */}
+      {selectedSku && (
+        <div className="card">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Projected Inventory: {selectedSku}</h3>
+              <p className="text-sm text-gray-600">
+                Daily ending stock from current quantity, forecast demand and scheduled receipts
+              </p>
+            </div>
+            <button
+              onClick={loadProjection}
+              disabled={projecting}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              {projecting ? <LoadingSpinner size="small" /> : <Calendar className="w-4 h-4" />}
+              <span>{projecting ? 'Projecting...' : 'Project Inventory'}</span>
+            </button>
+          </div>
+
+          {projection && projection.sku === selectedSku && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm mb-4">
+                <div>
+                  <p className="text-gray-600">Projected Stockout</p>
+                  <p className="font-semibold text-gray-900">
+                    {projection.stockoutDate
+                      ? new Date(projection.stockoutDate).toLocaleDateString()
+                      : `None in ${projection.horizon} days`}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Stockout Probability</p>
+                  <p className={`font-semibold ${projection.stockoutProbability >= 0.5 ? 'text-red-600' : 'text-gray-900'}`}>
+                    {Math.round(projection.stockoutProbability * 100)}%
+                  </p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Reorder Level</p>
+                  <p className="font-semibold text-gray-900">{projection.reorderLevel} units</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Safety Stock</p>
+                  <p className="font-semibold text-gray-900">{projection.safetyStock} units</p>
+                </div>
+              </div>
+
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={projectionChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                    <YAxis tick={{ fontSize: 12 }} />
+                    <Tooltip />
+                    <Legend />
+                    <Area type="monotone" dataKey="stock95" stroke="none" fill="#059669" fillOpacity={0.1} name="95% Range" />
+                    <Area type="monotone" dataKey="stock80" stroke="none" fill="#059669" fillOpacity={0.2} name="80% Range" />
+                    <Bar dataKey="received" fill="#7c3aed" name="Receipts" />
+                    <Line type="monotone" dataKey="endingStock" stroke="#059669" strokeWidth={2} dot={false} name="Expected Ending Stock" />
+                    <ReferenceLine y={projection.reorderLevel} stroke="#d97706" strokeDasharray="5 5" label={{ value: 'Reorder Level', position: 'insideTopRight', fontSize: 12 }} />
+                    <ReferenceLine y={projection.safetyStock} stroke="#dc2626" strokeDasharray="5 5" label={{ value: 'Safety Stock', position: 'insideBottomRight', fontSize: 12 }} />
+                    <ReferenceLine y={0} stroke="#6b7280" />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="mt-2 text-xs text-gray-500">
+                Stockout probability is the chance that demand to date exceeds the stock available on the riskiest day.
+                {projection.backorders > 0 && ` Starts from ${projection.currentStock} on hand less ${projection.backorders} backordered.`}
+              </p>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Outlier Review */}
+      {selectedSku && (
+        <div className="card">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Outliers: {selectedSku}</h3>
+              <p className="text-sm text-gray-600">
+                One-off spikes and dips flagged by a Hampel filter, capped before forecasting unless you keep them
+              </p>
+            </div>
+            <button
+              onClick={loadOutliers}
+              disabled={reviewingOutliers}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              {reviewingOutliers ? <LoadingSpinner size="small" /> : <Filter className="w-4 h-4" />}
+              <span>{reviewingOutliers ? 'Scanning...' : 'Review Outliers'}</span>
+            </button>
+          </div>
+
+          {outlierReview && outlierReview.sku === selectedSku && (
+            <>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={outlierChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                    <YAxis tick={{ fontSize: 12 }} />
+                    <Tooltip />
+                    <Legend />
+                    <Line type="monotone" dataKey="original" stroke="#9ca3af" strokeWidth={1} dot={false} name="Sales History" />
+                    <Line type="monotone" dataKey="cleansed" stroke="#059669" strokeWidth={2} dot={false} name="Cleansed History" />
+                    <Line
+                      dataKey="flagged"
+                      stroke="none"
+                      dot={{ r: 4, fill: '#dc2626' }}
+                      isAnimationActive={false}
+                      name="Flagged"
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              {outlierReview.outliers.length > 0 ? (
+                <div className="mt-6 overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recorded</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Score</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Used</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody className="bg-white divide-y divide-gray-200">
+                      {outlierReview.outliers.map(outlier => (
+                        <tr key={outlier.date} className="hover:bg-gray-50">
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                            {new Date(outlier.date).toLocaleDateString()}
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{outlier.original}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{outlier.expected ?? '-'}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{outlier.score ?? 'manual'}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{outlier.value}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{outlier.decision}</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm">
+                            <div className="flex items-center gap-2">
+                              {outlier.flagged && (
+                                <>
+                                  <button
+                                    onClick={() => decideOutlier(outlier.date, 'accept')}
+                                    className="text-green-600 hover:text-green-900"
+                                  >
+                                    Accept
+                                  </button>
+                                  <button
+                                    onClick={() => decideOutlier(outlier.date, 'reject')}
+                                    className="text-gray-600 hover:text-gray-900"
+                                  >
+                                    Keep
+                                  </button>
+                                </>
+                              )}
+                              <input
+                                type="number"
+                                min="0"
+                                value={overrideValues[outlier.date] ?? ''}
+                                onChange={(e) => setOverrideValues({ ...overrideValues, [outlier.date]: e.target.value })}
+                                placeholder="Value"
+                                className="w-20 px-2 py-1 border border-gray-300 rounded text-sm"
+                              />
+                              <button
+                                onClick={() => decideOutlier(outlier.date, 'override', overrideValues[outlier.date])}
+                                disabled={overrideValues[outlier.date] === undefined || overrideValues[outlier.date] === ''}
+                                className="text-primary-600 hover:text-primary-900 disabled:text-gray-300"
+                              >
+                                Override
+                              </button>
+                              {outlier.decision !== 'pending' && (
+                                <button
+                                  onClick={() => decideOutlier(outlier.date, null)}
+                                  className="text-red-600 hover:text-red-900"
+                                >
+                                  Reset
+                                </button>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              ) : (
+                <p className="mt-4 text-sm text-gray-500">No outliers found in the sales history.</p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Decomposition */}
+      {selectedSku && (
+        <div className="card">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Demand Components: {selectedSku}</h3>
+              <p className="text-sm text-gray-600">
+                Trend, day-of-week and yearly patterns behind the sales history
+              </p>
+            </div>
+            <button
+              onClick={loadDecomposition}
+              disabled={decomposing}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              {decomposing ? <LoadingSpinner size="small" /> : <LineChartIcon className="w-4 h-4" />}
+              <span>{decomposing ? 'Analyzing...' : 'Show Components'}</span>
+            </button>
+          </div>
+
+          {decomposition && decomposition.sku === selectedSku && (
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                <div className="bg-blue-50 rounded-lg p-4">
+                  <p className="text-blue-700 font-medium">Trend Strength</p>
+                  <p className="text-blue-900 text-lg font-bold">{Math.round(decomposition.strength.trend * 100)}%</p>
+                </div>
+                <div className="bg-purple-50 rounded-lg p-4">
+                  <p className="text-purple-700 font-medium">Weekly Seasonality Strength</p>
+                  <p className="text-purple-900 text-lg font-bold">{Math.round(decomposition.strength.weekly * 100)}%</p>
+                </div>
+                <div className="bg-orange-50 rounded-lg p-4">
+                  <p className="text-orange-700 font-medium">Yearly Seasonality Strength</p>
+                  <p className="text-orange-900 text-lg font-bold">
+                    {decomposition.hasYearly
+                      ? `${Math.round(decomposition.strength.yearly * 100)}%`
+                      : 'Needs 1+ year of data'}
+                  </p>
+                </div>
+              </div>
+
+              <div>
+                <h4 className="text-md font-semibold text-gray-900 mb-3">Observed vs Trend</h4>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={decomposition.components}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis
+                        dataKey="date"
+                        tick={{ fontSize: 12 }}
+                        tickFormatter={(value) => new Date(value).toLocaleDateString()}
+                      />
+                      <YAxis tick={{ fontSize: 12 }} />
+                      <Tooltip labelFormatter={(value) => new Date(value).toLocaleDateString()} />
+                      <Legend />
+                      <Line type="monotone" dataKey="observed" stroke="#9ca3af" dot={false} name="Observed" />
+                      <Line type="monotone" dataKey="trend" stroke="#2563eb" strokeWidth={2} dot={false} name="Trend" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <div>
+                  <h4 className="text-md font-semibold text-gray-900 mb-3">Day-of-Week Effect</h4>
+                  <div className="h-64">
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={decomposition.weeklyProfile}>
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis dataKey="day" tick={{ fontSize: 12 }} />
+                        <YAxis tick={{ fontSize: 12 }} />
+                        <Tooltip />
+                        <Bar dataKey="effect" fill="#7c3aed" name="Units vs trend" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>
+                </div>
+                {decomposition.hasYearly ? (
+                  <div>
+                    <h4 className="text-md font-semibold text-gray-900 mb-3">Yearly Effect by Month</h4>
+                    <div className="h-64">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart data={decomposition.yearlyProfile}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="month" tick={{ fontSize: 12 }} />
+                          <YAxis tick={{ fontSize: 12 }} />
+                          <Tooltip />
+                          <Bar dataKey="effect" fill="#d97706" name="Units vs trend" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                ) : (
+                  <div>
+                    <h4 className="text-md font-semibold text-gray-900 mb-3">Remainder</h4>
+                    <div className="h-64">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <LineChart data={decomposition.components}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis
+                            dataKey="date"
+                            tick={{ fontSize: 12 }}
+                            tickFormatter={(value) => new Date(value).toLocaleDateString()}
+                          />
+                          <YAxis tick={{ fontSize: 12 }} />
+                          <Tooltip labelFormatter={(value) => new Date(value).toLocaleDateString()} />
+                          <Line type="monotone" dataKey="remainder" stroke="#6b7280" dot={false} name="Remainder" />
+                        </LineChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Backtest */}
+      {selectedSku && (
+        <div className="card">
+          <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">Backtest: {selectedSku}</h3>
+              <p className="text-sm text-gray-600">
+                Replays history with the selected method to show how it would have performed
+              </p>
+            </div>
+            <div className="flex flex-wrap items-end gap-3">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Horizon</label>
+                <select
+                  value={backtestHorizon}
+                  onChange={(e) => setBacktestHorizon(parseInt(e.target.value))}
+                  className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value={7}>7 days</option>
+                  <option value={14}>14 days</option>
+                  <option value={30}>30 days</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Folds</label>
+                <select
+                  value={backtestFolds}
+                  onChange={(e) => setBacktestFolds(parseInt(e.target.value))}
+                  className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value={1}>1</option>
+                  <option value={3}>3</option>
+                  <option value={5}>5</option>
+                  <option value={8}>8</option>
+                </select>
+              </div>
+              <button
+                onClick={runBacktest}
+                disabled={backtesting}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                {backtesting ? <LoadingSpinner size="small" /> : <BarChart3 className="w-4 h-4" />}
+                <span>{backtesting ? 'Running...' : 'Run Backtest'}</span>
+              </button>
+            </div>
+          </div>
+
+          {backtestResult && (
+            <>
+              <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-4 text-sm">
+                <div>
+                  <p className="text-gray-600">Method</p>
+                  <p className="font-semibold text-gray-900">{backtestResult.method}</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">WAPE</p>
+                  <p className="font-semibold text-gray-900">{backtestResult.overall.wape ?? '-'}%</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">MAPE</p>
+                  <p className="font-semibold text-gray-900">{backtestResult.overall.mape ?? '-'}%</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Bias</p>
+                  <p className="font-semibold text-gray-900">{backtestResult.overall.bias ?? '-'}%</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">MASE</p>
+                  <p className="font-semibold text-gray-900">{backtestResult.overall.mase ?? '-'}</p>
+                </div>
+              </div>
+
+              <div className="h-80">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={backtestChartData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="date" tick={{ fontSize: 12 }} />
+                    <YAxis tick={{ fontSize: 12 }} />
+                    <Tooltip />
+                    <Legend />
+                    <Line
+                      type="monotone"
+                      dataKey="actual"
+                      stroke="#059669"
+                      strokeWidth={2}
+                      name="Actual Sales"
+                    />
+                    {backtestResult.folds.map((fold, index) => (
+                      <Line
+                        key={fold.fold}
+                        type="monotone"
+                        dataKey={`fold${fold.fold}`}
+                        stroke={BACKTEST_FOLD_COLORS[index % BACKTEST_FOLD_COLORS.length]}
+                        strokeWidth={2}
+                        strokeDasharray="5 5"
+                        connectNulls={false}
+                        name={`Fold ${fold.fold} Prediction`}
+                      />
+                    ))}
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="mt-6 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Fold</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Trained Through</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Test Period</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MAE</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">WAPE</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Bias</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MASE</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {backtestResult.folds.map(fold => (
+                      <tr key={fold.fold} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{fold.fold}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(fold.trainEnd).toLocaleDateString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {new Date(fold.testStart).toLocaleDateString()} - {new Date(fold.testEnd).toLocaleDateString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{fold.metrics.mae}</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{fold.metrics.wape ?? '-'}%</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{fold.metrics.bias ?? '-'}%</td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{fold.metrics.mase ?? '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      {/* Event Calendar */}
+      <div className="card">
+        <div className="mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Event Calendar</h3>
+          <p className="text-sm text-gray-600">
+            Promotions and holidays are removed from history before fitting and applied to the forecast as uplift
+          </p>
+        </div>
+
+        <form onSubmit={createEvent} className="grid grid-cols-1 md:grid-cols-8 gap-3 items-end mb-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={newEvent.name}
+              onChange={(e) => setNewEvent({ ...newEvent, name: e.target.value })}
+              placeholder="e.g. Black Friday"
+              required
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Start</label>
+            <input
+              type="date"
+              value={newEvent.start_date}
+              onChange={(e) => setNewEvent({ ...newEvent, start_date: e.target.value })}
+              required
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">End</label>
+            <input
+              type="date"
+              value={newEvent.end_date}
+              onChange={(e) => setNewEvent({ ...newEvent, end_date: e.target.value })}
+              required
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Uplift</label>
+            <select
+              value={newEvent.uplift_mode}
+              onChange={(e) => setNewEvent({ ...newEvent, uplift_mode: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="fixed">Expected %</option>
+              <option value="learn">Learn from history</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Expected %</label>
+            <input
+              type="number"
+              value={newEvent.expected_uplift}
+              onChange={(e) => setNewEvent({ ...newEvent, expected_uplift: e.target.value })}
+              placeholder={newEvent.uplift_mode === 'fixed' ? 'e.g. 40' : 'Learned'}
+              required={newEvent.uplift_mode === 'fixed'}
+              disabled={newEvent.uplift_mode === 'learn'}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent disabled:bg-gray-100"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">SKU</label>
+            <select
+              value={newEvent.sku}
+              onChange={(e) => setNewEvent({ ...newEvent, sku: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="">All SKUs</option>
+              {inventory.map(item => (
+                <option key={item.id} value={item.sku}>{item.sku}</option>
+              ))}
+            </select>
+          </div>
+          <button
+            type="submit"
+            disabled={savingEvent}
+            className="btn-primary flex items-center justify-center space-x-2"
+          >
+            {savingEvent ? <LoadingSpinner size="small" /> : <Plus className="w-4 h-4" />}
+            <span>Add</span>
+          </button>
+        </form>
+
+        {events.length > 0 ? (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Event</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dates</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKU</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Uplift</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {events.map(event => {
+                  const pastWindow = skuForecast?.events?.pastWindows.find(entry => entry.id === event.id)
+                  return (
+                    <tr key={event.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{event.name}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {new Date(event.start_date).toLocaleDateString()} - {new Date(event.end_date).toLocaleDateString()}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{event.sku || 'All'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {event.uplift_mode === 'fixed' ? `${event.expected_uplift}% expected` : 'Learned'}
+                        {pastWindow && (
+                          <span className="ml-2 text-gray-500">
+                            ({pastWindow.uplift > 0 ? '+' : ''}{pastWindow.uplift}% observed)
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm">
+                        <button
+                          onClick={() => deleteEvent(event.id)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Delete event"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">No events yet. Add promotions or holidays to improve forecasts around them.</p>
+        )}
+      </div>
+
       {/* Individual SKU Reorder Suggestion */}
       {skuForecast && skuForecast.reorderSuggestion && (
         <div className="card">
           <h3 className="text-lg font-semibold text-gray-900 mb-4">
-            Reorder Suggestion for {skuForecast.sku}
+            Reorder Suggestion for {skuForecast.sku}{skuForecast.location && ` at ${skuForecast.location.name}`}
           </h3>
           
           {skuForecast.reorderSuggestion.needed ? (
@@ -551,11 +1594,18 @@ const Forecast = () => {
                       <p className="text-red-900 text-lg font-bold">
                         {skuForecast.reorderSuggestion.suggestedQuantity} units
                       </p>
+                      {skuForecast.reorderSuggestion.supplier && skuForecast.reorderSuggestion.rawQuantity !== skuForecast.reorderSuggestion.suggestedQuantity && (
+                        <p className="text-red-700 text-xs">
+                          {skuForecast.reorderSuggestion.rawQuantity} needed, rounded to MOQ {skuForecast.reorderSuggestion.supplier.moq} / case pack {skuForecast.reorderSuggestion.supplier.casePack}
+                        </p>
+                      )}
                     </div>
                     <div>
                       <p className="text-red-700 font-medium">Days Until Stockout</p>
                       <p className="text-red-900 text-lg font-bold">
-                        {skuForecast.reorderSuggestion.daysUntilStockout} days
+                        {skuForecast.reorderSuggestion.daysUntilStockout !== null
+                          ? `${skuForecast.reorderSuggestion.daysUntilStockout} days`
+                          : 'No stockout'}
                       </p>
                     </div>
                   </div>
@@ -593,7 +1643,9 @@ const Forecast = () => {
                     <div>
                       <p className="text-green-700 font-medium">Days of Stock</p>
                       <p className="text-green-900 text-lg font-bold">
-                        {skuForecast.reorderSuggestion.daysOfStock} days
+                        {skuForecast.reorderSuggestion.daysOfStock !== null
+                          ? `${skuForecast.reorderSuggestion.daysOfStock} days`
+                          : 'No stockout'}
                       </p>
                     </div>
                   </div>
@@ -601,6 +1653,180 @@ const Forecast = () => {
               </div>
             </div>
           )}
+
+          {skuForecast.reorderSuggestion.inventoryPosition !== undefined && (
+            <div className="mt-4 text-sm text-gray-600">
+              <p>
+                On order: <span className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.onOrder} units</span>
+                {' · '}Backorders: <span className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.backorders} units</span>
+                {' · '}Inventory position: <span className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.inventoryPosition} units</span>
+                {' · '}Projected stockout: <span className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.stockoutDate
+                  ? new Date(skuForecast.reorderSuggestion.stockoutDate).toLocaleDateString()
+                  : 'none'}</span>
+              </p>
+              {skuForecast.reorderSuggestion.inbound.length > 0 && (
+                <p className="text-xs mt-1">
+                  Arriving: {skuForecast.reorderSuggestion.inbound
+                    .map(receipt => `${receipt.quantity} on ${new Date(receipt.expected_date).toLocaleDateString()}${receipt.reference ? ` (${receipt.reference})` : ''}`)
+                    .join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          {skuForecast.reorderSuggestion.policy && (
+            <div className="mt-4 grid grid-cols-2 md:grid-cols-5 gap-4 text-sm">
+              <div>
+                <p className="text-gray-600">Service Level</p>
+                <p className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.policy.serviceLevel}%</p>
+              </div>
+              <div>
+                <p className="text-gray-600">Lead Time</p>
+                <p className="font-semibold text-gray-900">
+                  {skuForecast.reorderSuggestion.policy.leadTimeDays} days
+                  {skuForecast.reorderSuggestion.policy.leadTimeStdDays > 0 && ` ± ${skuForecast.reorderSuggestion.policy.leadTimeStdDays}`}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-600">Safety Stock</p>
+                <p className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.policy.safetyStock} units</p>
+              </div>
+              <div>
+                <p className="text-gray-600">Recommended Reorder Point</p>
+                <p className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.policy.reorderPoint} units</p>
+              </div>
+              <div>
+                <p className="text-gray-600">Current Reorder Level</p>
+                <p className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.policy.currentReorderLevel} units</p>
+              </div>
+            </div>
+          )}
+
+          {skuForecast.reorderSuggestion.economicOrder ? (
+            <div className="mt-4 border-t border-gray-200 pt-4">
+              <h4 className="font-medium text-gray-900 mb-2">Economic Order Quantity</h4>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                <div>
+                  <p className="text-gray-600">Recommended Order</p>
+                  <p className="font-semibold text-gray-900">
+                    {skuForecast.reorderSuggestion.economicOrder.recommendedQuantity} units
+                  </p>
+                  <p className="text-xs text-gray-500">EOQ {skuForecast.reorderSuggestion.economicOrder.economicOrderQuantity}</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Order Frequency</p>
+                  <p className="font-semibold text-gray-900">
+                    Every {skuForecast.reorderSuggestion.economicOrder.orderIntervalDays} days
+                  </p>
+                  <p className="text-xs text-gray-500">{skuForecast.reorderSuggestion.economicOrder.ordersPerYear} orders / year</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Annual Demand</p>
+                  <p className="font-semibold text-gray-900">{skuForecast.reorderSuggestion.economicOrder.annualDemand} units</p>
+                </div>
+                <div>
+                  <p className="text-gray-600">Holding Cost / Unit / Year</p>
+                  <p className="font-semibold text-gray-900">${skuForecast.reorderSuggestion.economicOrder.annualHoldingCostPerUnit.toFixed(2)}</p>
+                </div>
+              </div>
+              <div className="mt-3 overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="pr-6 py-1 font-medium">Order Size</th>
+                      <th className="pr-6 py-1 font-medium">Orders / Year</th>
+                      <th className="pr-6 py-1 font-medium">Ordering Cost</th>
+                      <th className="pr-6 py-1 font-medium">Holding Cost</th>
+                      <th className="pr-6 py-1 font-medium">Total / Year</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ['EOQ', skuForecast.reorderSuggestion.economicOrder.costs.recommended],
+                      ['Suggested', skuForecast.reorderSuggestion.economicOrder.costs.suggested]
+                    ].filter(([, cost]) => cost).map(([label, cost]) => (
+                      <tr key={label} className="text-gray-900">
+                        <td className="pr-6 py-1">{label}: {cost.quantity} units</td>
+                        <td className="pr-6 py-1">{cost.ordersPerYear}</td>
+                        <td className="pr-6 py-1">${cost.annualOrderingCost.toFixed(2)}</td>
+                        <td className="pr-6 py-1">${cost.annualHoldingCost.toFixed(2)}</td>
+                        <td className="pr-6 py-1 font-semibold">${cost.totalAnnualCost.toFixed(2)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {skuForecast.reorderSuggestion.economicOrder.costs.annualSavings > 0 && (
+                <p className="mt-2 text-xs text-gray-500">
+                  Ordering the EOQ instead of the suggested quantity saves ${skuForecast.reorderSuggestion.economicOrder.costs.annualSavings.toFixed(2)} a year in ordering and holding costs.
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className="mt-4 text-xs text-gray-500">
+              Set a unit cost and order cost on the inventory item (or its supplier) to get an economic order quantity.
+            </p>
+          )}
+
+          <div className="mt-4 border-t border-gray-200 pt-4">
+            <div className="flex flex-wrap items-end gap-4">
+              <div>
+                <h4 className="font-medium text-gray-900">Stockout Risk Simulation</h4>
+                <p className="text-xs text-gray-500">Demand and lead time sampled from forecast errors and supplier variability</p>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-700 mb-1">Order Quantity</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={riskQuantity}
+                  placeholder={String(skuForecast.reorderSuggestion.suggestedQuantity || 0)}
+                  onChange={(e) => setRiskQuantity(e.target.value)}
+                  className="w-28 border border-gray-300 rounded-lg px-3 py-1.5 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <button
+                onClick={runRiskSimulation}
+                disabled={simulating}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                {simulating ? <LoadingSpinner size="small" /> : <Calculator className="w-4 h-4" />}
+                <span>{simulating ? 'Simulating...' : 'Simulate'}</span>
+              </button>
+            </div>
+
+            {risk && risk.sku === skuForecast.sku && (
+              <>
+                <div className="mt-4 grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <p className="text-gray-600">Stockout Before Arrival</p>
+                    <p className={`font-semibold ${risk.stockoutProbability >= 0.5 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {Math.round(risk.stockoutProbability * 100)}%
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-gray-600">Stockout Before Next Order</p>
+                    <p className="font-semibold text-gray-900">{Math.round(risk.cycleStockoutProbability * 100)}%</p>
+                  </div>
+                  <div>
+                    <p className="text-gray-600">Expected Units Short</p>
+                    <p className="font-semibold text-gray-900">
+                      {risk.expectedUnitsShort} units
+                      <span className="text-xs text-gray-500 font-normal"> (95th pct {risk.unitsShortP95})</span>
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-gray-600">Fill Rate</p>
+                    <p className="font-semibold text-gray-900">{(risk.fillRate * 100).toFixed(1)}%</p>
+                  </div>
+                </div>
+                <p className="mt-2 text-xs text-gray-500">
+                  {risk.runs} simulated cycles of {risk.averageCycleDays} days on average, ordering {risk.orderQuantity} units
+                  with a {risk.leadTimeDays}-day lead time{risk.leadTimeStdDays > 0 && ` (± ${risk.leadTimeStdDays})`}.
+                </p>
+              </>
+            )}
+          </div>
         </div>
       )}
 
@@ -633,8 +1859,20 @@ const Forecast = () => {
                 <h4 className="font-semibold text-purple-900 mb-2">Forecast Quality</h4>
                 <ul className="text-sm text-purple-800 space-y-2">
                   <li>• <strong>Method Used:</strong> {skuForecast.method}</li>
+                  {skuForecast.modelInfo?.parameters?.seasonality && (
+                    <li>• <strong>Seasonality:</strong> {skuForecast.modelInfo.parameters.seasonality} (α={skuForecast.modelInfo.parameters.alpha}, β={skuForecast.modelInfo.parameters.beta}, γ={skuForecast.modelInfo.parameters.gamma})</li>
+                  )}
                   <li>• <strong>Historical Data Points:</strong> {skuForecast.historical?.totalRecords || 0}</li>
+                  {skuForecast.historical?.demandPattern && (
+                    <li>• <strong>Demand Pattern:</strong> <span className="capitalize">{skuForecast.historical.demandPattern.pattern}</span> (ADI {skuForecast.historical.demandPattern.adi ?? '-'}, CV² {skuForecast.historical.demandPattern.cv2 ?? '-'})</li>
+                  )}
+                  {skuForecast.modelInfo?.routedTo && (
+                    <li>• <strong>Routed To:</strong> {skuForecast.modelInfo.routedTo}</li>
+                  )}
                   <li>• <strong>Forecast Period:</strong> {skuForecast.forecastPeriod?.days || 0} days</li>
+                  {skuForecast.uncertainty && (
+                    <li>• <strong>Confidence Score:</strong> {Math.round(skuForecast.uncertainty.confidenceScore * 100)}%</li>
+                  )}
                   <li>• <strong>Data Quality:</strong> {
                     skuForecast.historical?.totalRecords > 30 ? 'Excellent' :
                     skuForecast.historical?.totalRecords > 14 ? 'Good' :
@@ -692,6 +1930,12 @@ const Forecast = () => {
               Advanced statistical forecasting using multiple algorithms including linear regression, exponential smoothing, and seasonal patterns. Recommended for most use cases.
             </p>
           </div>
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h4 className="font-medium text-gray-900 mb-2">Automatic Selection</h4>
+            <p className="text-sm text-gray-600">
+              Replays recent history with every method and uses the most accurate one, or blends them by accuracy.
+            </p>
+          </div>
           <div className="border border-gray-200 rounded-lg p-4">
             <h4 className="font-medium text-gray-900 mb-2">Linear Trend</h4>
             <p className="text-sm text-gray-600">
@@ -710,6 +1954,24 @@ const Forecast = () => {
               Perfect for products with strong seasonal or cyclical patterns.
             </p>
           </div>
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h4 className="font-medium text-gray-900 mb-2">Holt-Winters</h4>
+            <p className="text-sm text-gray-600">
+              Tracks level, trend and weekly seasonality together. Best for growing or declining products with a weekly rhythm.
+            </p>
+          </div>
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h4 className="font-medium text-gray-900 mb-2">Croston</h4>
+            <p className="text-sm text-gray-600">
+              Built for products that sell only on some days. Forecasts the average demand rate from order size and time between orders.
+            </p>
+          </div>
+          <div className="border border-gray-200 rounded-lg p-4">
+            <h4 className="font-medium text-gray-900 mb-2">Syntetos-Boylan</h4>
+            <p className="text-sm text-gray-600">
+              Bias-corrected Croston, recommended for lumpy demand with irregular order sizes.
+            </p>
+          </div>
         </div>
       </div>
     </div>
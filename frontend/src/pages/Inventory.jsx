@@ -10,20 +10,64 @@ import {
   CheckCircle,
   Eye,
   Download,
-  RefreshCw
+  RefreshCw,
+  Target,
+  Truck,
+  MapPin,
+  History,
+  Grid3x3
 } from 'lucide-react'
 import { useApi } from '../context/ApiContext'
 import LoadingSpinner from '../components/UI/LoadingSpinner'
 import toast from 'react-hot-toast'
 
+// Reason codes for quantity changes, recorded in the stock movement ledger
+const MOVEMENT_REASONS = {
+  initial: 'Opening stock',
+  receipt: 'Receipt',
+  sale: 'Sale',
+  return: 'Customer return',
+  damage: 'Damage / write-off',
+  count_correction: 'Count correction',
+  transfer: 'Transfer',
+  adjustment: 'Other adjustment'
+}
+
+// Modal Component (outside the page, so its form inputs keep focus across re-renders)
+const Modal = ({ isOpen, onClose, title, children }) => {
+  if (!isOpen) return null
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">{title}</h3>
+          <button 
+            onClick={onClose}
+            className="text-gray-400 hover:text-gray-600"
+          >
+            ×
+          </button>
+        </div>
+        {children}
+      </div>
+    </div>
+  )
+}
+
 const Inventory = () => {
-  const { inventoryApi } = useApi()
+  const { inventoryApi, forecastApi, suppliersApi, locationsApi } = useApi()
   
   // State management
   const [inventory, setInventory] = useState([])
   const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
   const [filterStatus, setFilterStatus] = useState('all') // all, low-stock, in-stock
+  const [filterAbc, setFilterAbc] = useState('all')
+  const [filterXyz, setFilterXyz] = useState('all')
+  const [classification, setClassification] = useState(null)
+  const [classificationBasis, setClassificationBasis] = useState('value')
+  const [applyingClasses, setApplyingClasses] = useState(false)
   const [showAddModal, setShowAddModal] = useState(false)
   const [showEditModal, setShowEditModal] = useState(false)
   const [selectedItem, setSelectedItem] = useState(null)
@@ -31,8 +75,28 @@ const Inventory = () => {
     name: '',
     sku: '',
     quantity: '',
-    reorder_level: ''
+    reorder_level: '',
+    service_level: '95',
+    lead_time_days: '7',
+    supplier_id: '',
+    backorder_quantity: '0',
+    unit_cost: '0',
+    order_cost: '',
+    holding_cost_rate: '25'
   })
+  const [suppliers, setSuppliers] = useState([])
+  const [recommendations, setRecommendations] = useState({})
+  const [acceptingSku, setAcceptingSku] = useState(null)
+  const [inboundItem, setInboundItem] = useState(null)
+  const [inboundShipments, setInboundShipments] = useState([])
+  const [newInbound, setNewInbound] = useState({ quantity: '', expected_date: '', reference: '', location_id: '' })
+  const [locations, setLocations] = useState([])
+  const [stockItem, setStockItem] = useState(null)
+  const [stockLevels, setStockLevels] = useState(null)
+  const [levelForm, setLevelForm] = useState({ location_id: '', quantity: '', reorder_level: '' })
+  const [adjustment, setAdjustment] = useState({ reason: 'count_correction', note: '' })
+  const [movementItem, setMovementItem] = useState(null)
+  const [movements, setMovements] = useState(null)
 
   // Load inventory data
   const loadInventory = async () => {
@@ -51,11 +115,107 @@ const Inventory = () => {
     }
   }
 
+  // Load recommended reorder points (keyed by SKU), computed from each SKU's forecast
+  const loadRecommendations = async () => {
+    try {
+      const response = await forecastApi.getReorderPoints()
+      setRecommendations(Object.fromEntries(
+        response.data.recommendations.map(recommendation => [recommendation.sku, recommendation])
+      ))
+    } catch (error) {
+      console.error('Error loading reorder point recommendations:', error)
+      setRecommendations({})
+    }
+  }
+
+  // Accept the recommended reorder point into the item's reorder level
+  const acceptReorderPoint = async (sku) => {
+    try {
+      setAcceptingSku(sku)
+      const response = await forecastApi.acceptReorderPoint(sku)
+      toast.success(response.message)
+      loadInventory()
+      loadRecommendations()
+    } catch (error) {
+      console.error('Error accepting reorder point:', error)
+      toast.error(error.response?.data?.message || 'Failed to accept reorder point')
+    } finally {
+      setAcceptingSku(null)
+    }
+  }
+
+  // Load the ABC/XYZ class of every item
+  const loadClassification = async (basis = classificationBasis) => {
+    try {
+      const response = await inventoryApi.getClassification({ basis })
+      setClassification(response.data)
+    } catch (error) {
+      console.error('Error loading classification:', error)
+      setClassification(null)
+    }
+  }
+
+  // Set each item's service level to its class default
+  const applyClassServiceLevels = async () => {
+    if (!window.confirm('Set every item\'s service level to its class default?')) {
+      return
+    }
+
+    try {
+      setApplyingClasses(true)
+      const response = await inventoryApi.applyClassification({ basis: classificationBasis })
+      toast.success(response.message)
+      loadInventory()
+      loadClassification()
+      loadRecommendations()
+    } catch (error) {
+      console.error('Error applying class service levels:', error)
+      toast.error(error.response?.data?.message || 'Failed to apply class service levels')
+    } finally {
+      setApplyingClasses(false)
+    }
+  }
+
+  // Load suppliers for the primary supplier selector
+  const loadSuppliers = async () => {
+    try {
+      const response = await suppliersApi.getAll()
+      setSuppliers(response.data)
+    } catch (error) {
+      console.error('Error loading suppliers:', error)
+      setSuppliers([])
+    }
+  }
+
+  // Load locations for stock levels and inbound deliveries
+  const loadLocations = async () => {
+    try {
+      const response = await locationsApi.getAll()
+      setLocations(response.data)
+    } catch (error) {
+      console.error('Error loading locations:', error)
+      setLocations([])
+    }
+  }
+
   // Initial load
   useEffect(() => {
     loadInventory()
+    loadRecommendations()
+    loadSuppliers()
+    loadClassification()
+    loadLocations()
   }, [])
 
+  const classesBySku = Object.fromEntries((classification?.items || []).map(item => [item.sku, item]))
+
+  // Select a matrix cell as the class filter, or clear it when selected again
+  const toggleClassFilter = (abc, xyz) => {
+    const selected = filterAbc === abc && filterXyz === xyz
+    setFilterAbc(selected ? 'all' : abc)
+    setFilterXyz(selected ? 'all' : xyz)
+  }
+
   // Filter and search inventory
   const filteredInventory = inventory.filter(item => {
     const matchesSearch = item.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -65,7 +225,11 @@ const Inventory = () => {
                          (filterStatus === 'low-stock' && item.quantity <= item.reorder_level) ||
                          (filterStatus === 'in-stock' && item.quantity > item.reorder_level)
     
-    return matchesSearch && matchesFilter
+    const itemClass = classesBySku[item.sku]
+    const matchesClass = (filterAbc === 'all' || itemClass?.abc === filterAbc) &&
+                         (filterXyz === 'all' || itemClass?.xyz === filterXyz)
+    
+    return matchesSearch && matchesFilter && matchesClass
   })
 
   // Handle form submission
@@ -75,11 +239,22 @@ const Inventory = () => {
       const data = {
         ...formData,
         quantity: parseInt(formData.quantity),
-        reorder_level: parseInt(formData.reorder_level)
+        reorder_level: parseInt(formData.reorder_level),
+        service_level: parseFloat(formData.service_level),
+        lead_time_days: parseInt(formData.lead_time_days),
+        supplier_id: formData.supplier_id || null,
+        backorder_quantity: parseInt(formData.backorder_quantity || 0),
+        unit_cost: parseFloat(formData.unit_cost || 0),
+        order_cost: formData.order_cost === '' ? null : parseFloat(formData.order_cost),
+        holding_cost_rate: parseFloat(formData.holding_cost_rate)
       }
 
       if (selectedItem) {
-        await inventoryApi.update(selectedItem.id, data)
+        // A changed quantity goes into the movement ledger with the chosen reason
+        await inventoryApi.update(selectedItem.id, {
+          ...data,
+          ...(data.quantity !== selectedItem.quantity && adjustment)
+        })
         toast.success('Item updated successfully')
         setShowEditModal(false)
       } else {
@@ -89,6 +264,8 @@ const Inventory = () => {
       }
       
       loadInventory()
+      loadRecommendations()
+      loadClassification()
       resetForm()
     } catch (error) {
       console.error('Error saving item:', error)
@@ -112,7 +289,7 @@ const Inventory = () => {
 
   // Reset form
   const resetForm = () => {
-    setFormData({ name: '', sku: '', quantity: '', reorder_level: '' })
+    setFormData({ name: '', sku: '', quantity: '', reorder_level: '', service_level: '95', lead_time_days: '7', supplier_id: '', backorder_quantity: '0', unit_cost: '0', order_cost: '', holding_cost_rate: '25' })
     setSelectedItem(null)
   }
 
@@ -123,11 +300,116 @@ const Inventory = () => {
       name: item.name,
       sku: item.sku,
       quantity: item.quantity.toString(),
-      reorder_level: item.reorder_level.toString()
+      reorder_level: item.reorder_level.toString(),
+      service_level: (item.service_level ?? 95).toString(),
+      lead_time_days: (item.lead_time_days ?? 7).toString(),
+      supplier_id: item.supplier_id || '',
+      backorder_quantity: (item.backorder_quantity ?? 0).toString(),
+      unit_cost: (item.unit_cost ?? 0).toString(),
+      order_cost: item.order_cost != null ? item.order_cost.toString() : '',
+      holding_cost_rate: (item.holding_cost_rate ?? 25).toString()
     })
+    setAdjustment({ reason: 'count_correction', note: '' })
     setShowEditModal(true)
   }
 
+  // Open the stock movement history of an item
+  const openMovements = async (item) => {
+    setMovementItem(item)
+    setMovements(null)
+    try {
+      const response = await inventoryApi.getMovements(item.id)
+      setMovements(response.data)
+    } catch (error) {
+      console.error('Error loading stock movements:', error)
+      toast.error('Failed to load stock movements')
+      setMovements([])
+    }
+  }
+
+  // Open the inbound shipments of an item
+  const openInbound = async (item) => {
+    setInboundItem(item)
+    setInboundShipments([])
+    try {
+      const response = await inventoryApi.getInbound(item.id)
+      setInboundShipments(response.data)
+    } catch (error) {
+      console.error('Error loading inbound shipments:', error)
+      toast.error('Failed to load inbound shipments')
+    }
+  }
+
+  // Open the stock per location of an item
+  const openStock = async (item) => {
+    setStockItem(item)
+    setStockLevels(null)
+    setLevelForm({ location_id: '', quantity: '', reorder_level: '' })
+    try {
+      const response = await inventoryApi.getLocations(item.id)
+      setStockLevels(response)
+    } catch (error) {
+      console.error('Error loading stock levels:', error)
+      toast.error('Failed to load stock levels')
+    }
+  }
+
+  // Pick a location in the stock form, prefilled with its current level
+  const selectLevelLocation = (locationId) => {
+    const level = stockLevels?.data.find(entry => entry.location_id === locationId)
+    setLevelForm({
+      location_id: locationId,
+      quantity: level ? level.quantity.toString() : '',
+      reorder_level: level ? level.reorder_level.toString() : ''
+    })
+  }
+
+  // Set the open item's stock at a location; its total moves by the same difference
+  const saveLevel = async (e) => {
+    e.preventDefault()
+    try {
+      await inventoryApi.setLocationLevel(stockItem.id, levelForm.location_id, {
+        quantity: levelForm.quantity,
+        reorder_level: levelForm.reorder_level || 0
+      })
+      toast.success('Stock level updated')
+      openStock(stockItem)
+      loadInventory()
+    } catch (error) {
+      console.error('Error updating stock level:', error)
+      toast.error(error.response?.data?.message || 'Failed to update stock level')
+    }
+  }
+
+  // Record a new inbound shipment for the open item
+  const addInbound = async (e) => {
+    e.preventDefault()
+    try {
+      await inventoryApi.addInbound(inboundItem.id, newInbound)
+      toast.success('Inbound shipment recorded')
+      setNewInbound({ quantity: '', expected_date: '', reference: '', location_id: '' })
+      openInbound(inboundItem)
+    } catch (error) {
+      console.error('Error recording inbound shipment:', error)
+      toast.error(error.response?.data?.message || 'Failed to record inbound shipment')
+    }
+  }
+
+  // Move a shipment on (in transit, received, cancelled); receiving adds it to stock
+  const updateInboundStatus = async (shipment, status) => {
+    try {
+      const response = await inventoryApi.updateInbound(inboundItem.id, shipment.id, { status })
+      toast.success(response.message)
+      openInbound(inboundItem)
+      if (status === 'received') {
+        loadInventory()
+      }
+    } catch (error) {
+      console.error('Error updating inbound shipment:', error)
+      toast.error(error.response?.data?.message || 'Failed to update inbound shipment')
+    }
+  }
+
   // Get status badge
   const getStatusBadge = (item) => {
     if (item.quantity <= item.reorder_level) {
@@ -146,28 +428,6 @@ const Inventory = () => {
     )
   }
 
-  // Modal Component
-  const Modal = ({ isOpen, onClose, title, children }) => {
-    if (!isOpen) return null
-
-    return (
-      <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-        <div className="bg-white rounded-lg p-6 w-full max-w-md mx-4">
-          <div className="flex justify-between items-center mb-4">
-            <h3 className="text-lg font-semibold">{title}</h3>
-            <button 
-              onClick={onClose}
-              className="text-gray-400 hover:text-gray-600"
-            >
-              ×
-            </button>
-          </div>
-          {children}
-        </div>
-      </div>
-    )
-  }
-
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-[60vh]">
@@ -186,7 +446,7 @@ const Inventory = () => {
         </div>
         <div className="flex space-x-3">
           <button
-            onClick={loadInventory}
+            onClick={() => { loadInventory(); loadRecommendations(); loadClassification(); }}
             className="btn-secondary flex items-center space-x-2"
           >
             <RefreshCw className="w-4 h-4" />
@@ -226,6 +486,26 @@ const Inventory = () => {
               <option value="in-stock">In Stock</option>
               <option value="low-stock">Low Stock</option>
             </select>
+            <select
+              value={filterAbc}
+              onChange={(e) => setFilterAbc(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="all">All ABC</option>
+              <option value="A">Class A</option>
+              <option value="B">Class B</option>
+              <option value="C">Class C</option>
+            </select>
+            <select
+              value={filterXyz}
+              onChange={(e) => setFilterXyz(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="all">All XYZ</option>
+              <option value="X">Class X</option>
+              <option value="Y">Class Y</option>
+              <option value="Z">Class Z</option>
+            </select>
           </div>
         </div>
       </div>
@@ -271,6 +551,74 @@ const Inventory = () => {
         </div>
       </div>
 
+      {/* ABC/XYZ Matrix */}
+      {classification && (
+        <div className="card">
+          <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+            <div className="flex items-center space-x-2">
+              <Grid3x3 className="w-5 h-5 text-gray-500" />
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">ABC/XYZ Classification</h3>
+                <p className="text-sm text-gray-600">
+                  ABC by share of sales {classification.basis}, XYZ by weekly demand variability, since {new Date(classification.startDate).toLocaleDateString()}
+                  {classification.basis !== classification.requestedBasis && ' (no unit costs set, so ranked by volume)'}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <select
+                value={classificationBasis}
+                onChange={(e) => { setClassificationBasis(e.target.value); loadClassification(e.target.value); }}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="value">By Value</option>
+                <option value="volume">By Volume</option>
+              </select>
+              <button
+                onClick={applyClassServiceLevels}
+                disabled={applyingClasses}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                {applyingClasses ? <LoadingSpinner size="small" /> : <Target className="w-4 h-4" />}
+                <span>Apply Class Service Levels</span>
+              </button>
+            </div>
+          </div>
+          <div className="grid grid-cols-4 gap-2 text-sm max-w-2xl">
+            <div></div>
+            {['X', 'Y', 'Z'].map(xyz => (
+              <div key={xyz} className="text-center font-medium text-gray-600">
+                {xyz} <span className="text-xs font-normal">({{ X: 'steady', Y: 'variable', Z: 'erratic' }[xyz]})</span>
+              </div>
+            ))}
+            {['A', 'B', 'C'].map(abc => (
+              <React.Fragment key={abc}>
+                <div className="flex items-center font-medium text-gray-600">{abc}</div>
+                {['X', 'Y', 'Z'].map(xyz => {
+                  const cell = classification.matrix[`${abc}${xyz}`]
+                  const selected = filterAbc === abc && filterXyz === xyz
+                  return (
+                    <button
+                      key={xyz}
+                      onClick={() => toggleClassFilter(abc, xyz)}
+                      className={`rounded-lg border p-3 text-left ${
+                        selected ? 'border-primary-500 bg-primary-50' : 'border-gray-200 hover:bg-gray-50'
+                      }`}
+                    >
+                      <p className="font-semibold text-gray-900">{abc}{xyz}: {cell.count} SKUs</p>
+                      <p className="text-xs text-gray-500">{cell.share}% of {classification.basis}</p>
+                    </button>
+                  )
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+          <p className="mt-3 text-xs text-gray-500">
+            Class defaults: review A items weekly, B every two weeks and C monthly; service levels range from 99% (AX) to 85% (CZ).
+          </p>
+        </div>
+      )}
+
       {/* Inventory Table */}
       <div className="card">
         <div className="overflow-x-auto">
@@ -283,12 +631,18 @@ const Inventory = () => {
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   SKU
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Class
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Quantity
                 </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Reorder Level
                 </th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Recommended
+                </th>
                 <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                   Status
                 </th>
@@ -306,12 +660,49 @@ const Inventory = () => {
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm text-gray-900">{item.sku}</div>
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {classesBySku[item.sku] ? (
+                      <div
+                        className="text-sm font-medium text-gray-900"
+                        title={`Default ${classesBySku[item.sku].recommendedServiceLevel}% service level, review every ${classesBySku[item.sku].reviewDays} days`}
+                      >
+                        {classesBySku[item.sku].class}
+                      </div>
+                    ) : (
+                      <div className="text-sm text-gray-400">—</div>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm text-gray-900">{item.quantity}</div>
                   </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     <div className="text-sm text-gray-900">{item.reorder_level}</div>
                   </td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    {recommendations[item.sku] ? (
+                      <div className="flex items-center space-x-2">
+                        <div
+                          className="text-sm text-gray-900"
+                          title={`Lead time demand ${recommendations[item.sku].leadTimeDemand} + safety stock ${recommendations[item.sku].safetyStock} (${recommendations[item.sku].serviceLevel}% service level, ${recommendations[item.sku].leadTimeDays} day lead time)`}
+                        >
+                          {recommendations[item.sku].reorderPoint}
+                        </div>
+                        {recommendations[item.sku].reorderPoint !== item.reorder_level && (
+                          <button
+                            onClick={() => acceptReorderPoint(item.sku)}
+                            disabled={acceptingSku === item.sku}
+                            className="inline-flex items-center text-xs text-primary-600 hover:text-primary-900"
+                            title="Use as reorder level"
+                          >
+                            <Target className="w-3 h-3 mr-1" />
+                            Accept
+                          </button>
+                        )}
+                      </div>
+                    ) : (
+                      <div className="text-sm text-gray-400">-</div>
+                    )}
+                  </td>
                   <td className="px-6 py-4 whitespace-nowrap">
                     {getStatusBadge(item)}
                   </td>
@@ -323,6 +714,27 @@ const Inventory = () => {
                       >
                         <Edit className="w-4 h-4" />
                       </button>
+                      <button
+                        onClick={() => openInbound(item)}
+                        className="text-gray-600 hover:text-gray-900"
+                        title="Inbound shipments"
+                      >
+                        <Truck className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => openStock(item)}
+                        className="text-gray-600 hover:text-gray-900"
+                        title="Stock by location"
+                      >
+                        <MapPin className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => openMovements(item)}
+                        className="text-gray-600 hover:text-gray-900"
+                        title="Stock movements"
+                      >
+                        <History className="w-4 h-4" />
+                      </button>
                       <button
                         onClick={() => handleDelete(item.id)}
                         className="text-red-600 hover:text-red-900"
@@ -403,6 +815,112 @@ const Inventory = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
               />
             </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Service Level (%)
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="50"
+                  max="99.9"
+                  step="0.1"
+                  value={formData.service_level}
+                  onChange={(e) => setFormData({...formData, service_level: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Lead Time (days)
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  value={formData.lead_time_days}
+                  onChange={(e) => setFormData({...formData, lead_time_days: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Backorders
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={formData.backorder_quantity}
+                onChange={(e) => setFormData({...formData, backorder_quantity: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Unit Cost
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.unit_cost}
+                  onChange={(e) => setFormData({...formData, unit_cost: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Order Cost
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Supplier's"
+                  value={formData.order_cost}
+                  onChange={(e) => setFormData({...formData, order_cost: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Holding Cost (%/yr)
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  value={formData.holding_cost_rate}
+                  onChange={(e) => setFormData({...formData, holding_cost_rate: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Primary Supplier
+              </label>
+              <select
+                value={formData.supplier_id}
+                onChange={(e) => setFormData({...formData, supplier_id: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">No supplier</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+              {formData.supplier_id && (
+                <p className="text-xs text-gray-500 mt-1">
+                  The supplier's lead time, MOQ and case pack are used for reorder suggestions
+                </p>
+              )}
+            </div>
           </div>
           <div className="flex justify-end space-x-3 mt-6">
             <button
@@ -464,6 +982,37 @@ const Inventory = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
               />
             </div>
+            {selectedItem && parseInt(formData.quantity) !== selectedItem.quantity && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Reason for Change
+                  </label>
+                  <select
+                    value={adjustment.reason}
+                    onChange={(e) => setAdjustment({ ...adjustment, reason: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  >
+                    {Object.entries(MOVEMENT_REASONS)
+                      .filter(([reason]) => reason !== 'initial')
+                      .map(([reason, label]) => (
+                        <option key={reason} value={reason}>{label}</option>
+                      ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Note
+                  </label>
+                  <input
+                    type="text"
+                    value={adjustment.note}
+                    onChange={(e) => setAdjustment({ ...adjustment, note: e.target.value })}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  />
+                </div>
+              </div>
+            )}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
                 Reorder Level
@@ -477,6 +1026,112 @@ const Inventory = () => {
                 className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
               />
             </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Service Level (%)
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="50"
+                  max="99.9"
+                  step="0.1"
+                  value={formData.service_level}
+                  onChange={(e) => setFormData({...formData, service_level: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Lead Time (days)
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  value={formData.lead_time_days}
+                  onChange={(e) => setFormData({...formData, lead_time_days: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Backorders
+              </label>
+              <input
+                type="number"
+                min="0"
+                value={formData.backorder_quantity}
+                onChange={(e) => setFormData({...formData, backorder_quantity: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Unit Cost
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={formData.unit_cost}
+                  onChange={(e) => setFormData({...formData, unit_cost: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Order Cost
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Supplier's"
+                  value={formData.order_cost}
+                  onChange={(e) => setFormData({...formData, order_cost: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Holding Cost (%/yr)
+                </label>
+                <input
+                  type="number"
+                  required
+                  min="0"
+                  max="100"
+                  step="0.1"
+                  value={formData.holding_cost_rate}
+                  onChange={(e) => setFormData({...formData, holding_cost_rate: e.target.value})}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Primary Supplier
+              </label>
+              <select
+                value={formData.supplier_id}
+                onChange={(e) => setFormData({...formData, supplier_id: e.target.value})}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">No supplier</option>
+                {suppliers.map(supplier => (
+                  <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                ))}
+              </select>
+              {formData.supplier_id && (
+                <p className="text-xs text-gray-500 mt-1">
+                  The supplier's lead time, MOQ and case pack are used for reorder suggestions
+                </p>
+              )}
+            </div>
           </div>
           <div className="flex justify-end space-x-3 mt-6">
             <button
@@ -492,6 +1147,206 @@ const Inventory = () => {
           </div>
         </form>
       </Modal>
+
+      {/* Inbound Shipments Modal */}
+      <Modal
+        isOpen={Boolean(inboundItem)}
+        onClose={() => setInboundItem(null)}
+        title={`Inbound: ${inboundItem?.sku ?? ''}`}
+      >
+        <p className="text-sm text-gray-600 mb-3">
+          Stock on its way outside purchase orders. Pending and in-transit shipments count towards reorder decisions.
+        </p>
+        {inboundShipments.length > 0 ? (
+          <div className="space-y-2 mb-4 max-h-64 overflow-y-auto">
+            {inboundShipments.map(shipment => (
+              <div key={shipment.id} className="flex items-center justify-between border border-gray-200 rounded-lg px-3 py-2 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {shipment.quantity} units · {new Date(shipment.expected_date).toLocaleDateString()}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {shipment.status.replace('_', ' ')}{shipment.reference && ` · ${shipment.reference}`}
+                    {shipment.location_id && ` · to ${locations.find(location => location.id === shipment.location_id)?.code ?? 'location'}`}
+                  </p>
+                </div>
+                {['pending', 'in_transit'].includes(shipment.status) && (
+                  <div className="flex space-x-2 text-xs">
+                    {shipment.status === 'pending' && (
+                      <button onClick={() => updateInboundStatus(shipment, 'in_transit')} className="text-blue-600 hover:text-blue-900">
+                        In Transit
+                      </button>
+                    )}
+                    <button onClick={() => updateInboundStatus(shipment, 'received')} className="text-green-600 hover:text-green-900">
+                      Receive
+                    </button>
+                    <button onClick={() => updateInboundStatus(shipment, 'cancelled')} className="text-red-600 hover:text-red-900">
+                      Cancel
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500 mb-4">No inbound shipments recorded.</p>
+        )}
+        <form onSubmit={addInbound} className="grid grid-cols-2 gap-3">
+          <input
+            type="number"
+            required
+            min="1"
+            placeholder="Quantity"
+            value={newInbound.quantity}
+            onChange={(e) => setNewInbound({ ...newInbound, quantity: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <input
+            type="date"
+            required
+            value={newInbound.expected_date}
+            onChange={(e) => setNewInbound({ ...newInbound, expected_date: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          <input
+            type="text"
+            placeholder="Reference (optional)"
+            value={newInbound.reference}
+            onChange={(e) => setNewInbound({ ...newInbound, reference: e.target.value })}
+            className="col-span-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          />
+          {locations.length > 0 && (
+            <select
+              value={newInbound.location_id}
+              onChange={(e) => setNewInbound({ ...newInbound, location_id: e.target.value })}
+              className="col-span-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="">Deliver to: no specific location</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>Deliver to: {location.name} ({location.code})</option>
+              ))}
+            </select>
+          )}
+          <button type="submit" className="btn-primary col-span-2">
+            Record Shipment
+          </button>
+        </form>
+      </Modal>
+
+      {/* Stock by Location Modal */}
+      <Modal
+        isOpen={Boolean(stockItem)}
+        onClose={() => setStockItem(null)}
+        title={`Stock by Location: ${stockItem?.sku ?? ''}`}
+      >
+        <p className="text-sm text-gray-600 mb-3">
+          The item's quantity is the total across locations; changing a location's stock moves the total by the same amount.
+        </p>
+        {stockLevels ? (
+          <div className="space-y-2 mb-4 max-h-64 overflow-y-auto">
+            {stockLevels.data.map(level => (
+              <div key={level.id} className="flex items-center justify-between border border-gray-200 rounded-lg px-3 py-2 text-sm">
+                <div>
+                  <p className="font-medium text-gray-900">{level.location?.name} ({level.location?.code})</p>
+                  <p className="text-xs text-gray-500">
+                    Reorder at {level.reorder_level}{level.backorder_quantity > 0 && ` · ${level.backorder_quantity} backordered`}
+                  </p>
+                </div>
+                <span className="font-medium text-gray-900">{level.quantity} units</span>
+              </div>
+            ))}
+            <div className="flex items-center justify-between px-3 py-2 text-sm text-gray-600">
+              <span>Not assigned to a location</span>
+              <span>{stockLevels.unassigned} units</span>
+            </div>
+          </div>
+        ) : (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner size="small" />
+          </div>
+        )}
+        {locations.length > 0 ? (
+          <form onSubmit={saveLevel} className="grid grid-cols-2 gap-3">
+            <select
+              required
+              value={levelForm.location_id}
+              onChange={(e) => selectLevelLocation(e.target.value)}
+              className="col-span-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            >
+              <option value="">Select location</option>
+              {locations.map(location => (
+                <option key={location.id} value={location.id}>{location.name} ({location.code})</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              required
+              min="0"
+              placeholder="Quantity"
+              value={levelForm.quantity}
+              onChange={(e) => setLevelForm({ ...levelForm, quantity: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <input
+              type="number"
+              min="0"
+              placeholder="Reorder level"
+              value={levelForm.reorder_level}
+              onChange={(e) => setLevelForm({ ...levelForm, reorder_level: e.target.value })}
+              className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+            />
+            <button type="submit" className="btn-primary col-span-2">
+              Set Stock Level
+            </button>
+          </form>
+        ) : (
+          <p className="text-sm text-gray-500">Add warehouses and stores on the Locations page to track stock per location.</p>
+        )}
+      </Modal>
+
+      {/* Stock Movements Modal */}
+      <Modal
+        isOpen={Boolean(movementItem)}
+        onClose={() => setMovementItem(null)}
+        title={`Stock Movements: ${movementItem?.sku ?? ''}`}
+      >
+        <p className="text-sm text-gray-600 mb-3">
+          Every change to the item's quantity, newest first.
+        </p>
+        {movements ? (
+          movements.length > 0 ? (
+            <div className="space-y-2 max-h-96 overflow-y-auto">
+              {movements.map(movement => (
+                <div key={movement.id} className="flex items-center justify-between border border-gray-200 rounded-lg px-3 py-2 text-sm">
+                  <div>
+                    <p className="font-medium text-gray-900">
+                      {MOVEMENT_REASONS[movement.reason] ?? movement.reason}
+                      {movement.location && ` · ${movement.location.code}`}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {new Date(movement.created_at).toLocaleString()}
+                      {movement.reference && ` · ${movement.reference}`}
+                      {movement.note && ` · ${movement.note}`}
+                    </p>
+                  </div>
+                  <div className="text-right">
+                    <p className={`font-medium ${movement.quantity_change > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                      {movement.quantity_change > 0 ? '+' : ''}{movement.quantity_change}
+                    </p>
+                    <p className="text-xs text-gray-500">{movement.quantity_after} after</p>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">No stock movements recorded.</p>
+          )
+        ) : (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner size="small" />
+          </div>
+        )}
+      </Modal>
     </div>
   )
 }
@@ -0,0 +1,263 @@
+import React, { useState, useEffect } from 'react'
+import {
+  MapPin,
+  Plus,
+  Edit,
+  Trash2,
+  RefreshCw,
+  X
+} from 'lucide-react'
+import { useApi } from '../context/ApiContext'
+import LoadingSpinner from '../components/UI/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const EMPTY_LOCATION = {
+  name: '',
+  code: '',
+  type: 'warehouse',
+  address: ''
+}
+
+const Locations = () => {
+  const { locationsApi } = useApi()
+
+  // State management
+  const [locations, setLocations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_LOCATION)
+
+  // Load locations
+  const loadLocations = async () => {
+    try {
+      setLoading(true)
+      const response = await locationsApi.getAll()
+      setLocations(response.data)
+    } catch (error) {
+      console.error('Error loading locations:', error)
+      toast.error('Failed to load locations')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Initial load
+  useEffect(() => {
+    loadLocations()
+  }, [])
+
+  // Reset form
+  const resetForm = () => {
+    setFormData(EMPTY_LOCATION)
+    setEditingId(null)
+  }
+
+  // Start editing a location in the form
+  const startEdit = (location) => {
+    setEditingId(location.id)
+    setFormData({
+      name: location.name,
+      code: location.code,
+      type: location.type,
+      address: location.address || ''
+    })
+  }
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      if (editingId) {
+        await locationsApi.update(editingId, formData)
+        toast.success('Location updated successfully')
+      } else {
+        await locationsApi.create(formData)
+        toast.success('Location created successfully')
+      }
+      resetForm()
+      loadLocations()
+    } catch (error) {
+      console.error('Error saving location:', error)
+      toast.error(error.response?.data?.message || 'Failed to save location')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Handle delete
+  const handleDelete = async (id) => {
+    if (window.confirm('Delete this location? Only locations without stock or sales can be deleted.')) {
+      try {
+        await locationsApi.delete(id)
+        toast.success('Location deleted successfully')
+        if (editingId === id) {
+          resetForm()
+        }
+        loadLocations()
+      } catch (error) {
+        console.error('Error deleting location:', error)
+        toast.error(error.response?.data?.message || 'Failed to delete location')
+      }
+    }
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <LoadingSpinner size="large" text="Loading locations..." />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Locations</h1>
+          <p className="text-gray-600">Warehouses and stores that hold stock and record sales</p>
+        </div>
+        <button
+          onClick={loadLocations}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <RefreshCw className="w-4 h-4" />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {/* Location Form */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          {editingId ? 'Edit Location' : 'Add Location'}
+        </h3>
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              required
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Code</label>
+            <input
+              type="text"
+              required
+              value={formData.code}
+              onChange={(e) => setFormData({ ...formData, code: e.target.value.toUpperCase() })}
+              className={inputClass}
+              placeholder="e.g. WH1"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+            <select
+              value={formData.type}
+              onChange={(e) => setFormData({ ...formData, type: e.target.value })}
+              className={inputClass}
+            >
+              <option value="warehouse">Warehouse</option>
+              <option value="store">Store</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Address</label>
+            <input
+              type="text"
+              value={formData.address}
+              onChange={(e) => setFormData({ ...formData, address: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div className="md:col-span-4 flex justify-end space-x-3">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                <X className="w-4 h-4" />
+                <span>Cancel</span>
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex items-center space-x-2"
+            >
+              {saving ? <LoadingSpinner size="small" /> : <Plus className="w-4 h-4" />}
+              <span>{editingId ? 'Update Location' : 'Add Location'}</span>
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Locations Table */}
+      <div className="card">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Code</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">SKUs in Stock</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Units</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {locations.map((location) => (
+                <tr key={location.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{location.name}</div>
+                    {location.address && (
+                      <div className="text-xs text-gray-500">{location.address}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{location.code}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{location.type}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{location.skuCount}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{location.totalQuantity}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => startEdit(location)}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(location.id)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {locations.length === 0 && (
+          <div className="text-center py-12">
+            <MapPin className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No locations yet</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Locations
@@ -0,0 +1,515 @@
+import React, { useState, useEffect } from 'react'
+import {
+  ClipboardList,
+  Plus,
+  Send,
+  PackageCheck,
+  XCircle,
+  Trash2,
+  RefreshCw,
+  ChevronDown,
+  ChevronRight,
+  Wand2
+} from 'lucide-react'
+import { useApi } from '../context/ApiContext'
+import LoadingSpinner from '../components/UI/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  sent: 'bg-blue-100 text-blue-800',
+  partially_received: 'bg-yellow-100 text-yellow-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+}
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Sent',
+  partially_received: 'Partially Received',
+  received: 'Received',
+  cancelled: 'Cancelled'
+}
+
+const EMPTY_LINE = { sku: '', quantity: '', unit_cost: '' }
+
+const PurchaseOrders = () => {
+  const { purchaseOrdersApi, suppliersApi, inventoryApi, forecastApi, locationsApi } = useApi()
+
+  // State management
+  const [orders, setOrders] = useState([])
+  const [suppliers, setSuppliers] = useState([])
+  const [inventory, setInventory] = useState([])
+  const [locations, setLocations] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [expandedId, setExpandedId] = useState(null)
+  const [receiveQuantities, setReceiveQuantities] = useState({})
+  const [busyId, setBusyId] = useState(null)
+  const [creatingFromSuggestions, setCreatingFromSuggestions] = useState(false)
+  const [showForm, setShowForm] = useState(false)
+  const [newOrder, setNewOrder] = useState({ supplier_id: '', location_id: '', expected_date: '', notes: '', lines: [EMPTY_LINE] })
+
+  // Load purchase orders
+  const loadOrders = async (status = statusFilter) => {
+    try {
+      setLoading(true)
+      const response = await purchaseOrdersApi.getAll(status ? { status } : {})
+      setOrders(response.data)
+    } catch (error) {
+      console.error('Error loading purchase orders:', error)
+      toast.error('Failed to load purchase orders')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Load suppliers, inventory and locations for the new order form
+  const loadReferenceData = async () => {
+    try {
+      const [suppliersResponse, inventoryResponse, locationsResponse] = await Promise.all([
+        suppliersApi.getAll(),
+        inventoryApi.getAll(),
+        locationsApi.getAll()
+      ])
+      setSuppliers(suppliersResponse.data)
+      setInventory(inventoryResponse.data)
+      setLocations(locationsResponse.data)
+    } catch (error) {
+      console.error('Error loading suppliers and inventory:', error)
+    }
+  }
+
+  // Initial load
+  useEffect(() => {
+    loadOrders()
+    loadReferenceData()
+  }, [])
+
+  // Run an action on one order, then reload the list
+  const runAction = async (id, action, successMessage) => {
+    try {
+      setBusyId(id)
+      const response = await action()
+      toast.success(response.message || successMessage)
+      loadOrders()
+      return true
+    } catch (error) {
+      console.error('Error updating purchase order:', error)
+      toast.error(error.response?.data?.message || 'Failed to update purchase order')
+      return false
+    } finally {
+      setBusyId(null)
+    }
+  }
+
+  // Create draft orders from the batch forecast's reorder suggestions
+  const createFromSuggestions = async () => {
+    try {
+      setCreatingFromSuggestions(true)
+      const forecastResponse = await forecastApi.generateAll({ days: 30 })
+      const suggestions = (forecastResponse.data.forecasts || [])
+        .filter(forecast => forecast.suggestedQuantity > 0)
+        .map(forecast => ({ sku: forecast.sku, suggestedQuantity: forecast.suggestedQuantity }))
+
+      if (suggestions.length === 0) {
+        toast.success('No SKUs need reordering right now')
+        return
+      }
+
+      const response = await purchaseOrdersApi.createFromSuggestions(suggestions)
+      toast.success(response.message)
+      loadOrders()
+    } catch (error) {
+      console.error('Error creating purchase orders from suggestions:', error)
+      toast.error(error.response?.data?.message || 'Failed to create purchase orders')
+    } finally {
+      setCreatingFromSuggestions(false)
+    }
+  }
+
+  // Create a draft order from the form
+  const createOrder = async (e) => {
+    e.preventDefault()
+    try {
+      await purchaseOrdersApi.create({
+        ...newOrder,
+        lines: newOrder.lines.filter(line => line.sku)
+      })
+      toast.success('Purchase order created')
+      setNewOrder({ supplier_id: '', location_id: '', expected_date: '', notes: '', lines: [EMPTY_LINE] })
+      setShowForm(false)
+      loadOrders()
+    } catch (error) {
+      console.error('Error creating purchase order:', error)
+      toast.error(error.response?.data?.message || 'Failed to create purchase order')
+    }
+  }
+
+  const updateLine = (index, changes) => {
+    setNewOrder({
+      ...newOrder,
+      lines: newOrder.lines.map((line, i) => (i === index ? { ...line, ...changes } : line))
+    })
+  }
+
+  // Receive the quantities entered for an order, or everything outstanding when none were entered
+  const receiveOrder = async (order) => {
+    const lines = order.lines
+      .filter(line => receiveQuantities[line.id] !== undefined && receiveQuantities[line.id] !== '')
+      .map(line => ({ id: line.id, quantity: parseInt(receiveQuantities[line.id]) }))
+
+    const received = await runAction(order.id, () => purchaseOrdersApi.receive(order.id, lines), 'Goods received')
+    if (received) {
+      setReceiveQuantities({})
+    }
+  }
+
+  const deleteOrder = (order) => {
+    if (window.confirm(`Delete purchase order ${order.po_number}?`)) {
+      runAction(order.id, () => purchaseOrdersApi.delete(order.id), 'Purchase order deleted')
+    }
+  }
+
+  const totals = (order) => ({
+    ordered: order.lines.reduce((sum, line) => sum + line.quantity_ordered, 0),
+    received: order.lines.reduce((sum, line) => sum + line.quantity_received, 0)
+  })
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Purchase Orders</h1>
+          <p className="text-gray-600">Send orders to suppliers and receive them into inventory</p>
+        </div>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => loadOrders()}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Refresh</span>
+          </button>
+          <button
+            onClick={() => setShowForm(!showForm)}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>New Order</span>
+          </button>
+          <button
+            onClick={createFromSuggestions}
+            disabled={creatingFromSuggestions}
+            className="btn-primary flex items-center space-x-2"
+          >
+            {creatingFromSuggestions ? <LoadingSpinner size="small" /> : <Wand2 className="w-4 h-4" />}
+            <span>{creatingFromSuggestions ? 'Creating...' : 'Create PO from Suggestions'}</span>
+          </button>
+        </div>
+      </div>
+
+      {/* New Order Form */}
+      {showForm && (
+        <div className="card">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">New Purchase Order</h3>
+          <form onSubmit={createOrder} className="space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Supplier</label>
+                <select
+                  value={newOrder.supplier_id}
+                  onChange={(e) => setNewOrder({ ...newOrder, supplier_id: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">No supplier</option>
+                  {suppliers.map(supplier => (
+                    <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Deliver To</label>
+                <select
+                  value={newOrder.location_id}
+                  onChange={(e) => setNewOrder({ ...newOrder, location_id: e.target.value })}
+                  className={inputClass}
+                >
+                  <option value="">No specific location</option>
+                  {locations.map(location => (
+                    <option key={location.id} value={location.id}>{location.name} ({location.code})</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Expected Arrival</label>
+                <input
+                  type="date"
+                  value={newOrder.expected_date}
+                  onChange={(e) => setNewOrder({ ...newOrder, expected_date: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <input
+                  type="text"
+                  value={newOrder.notes}
+                  onChange={(e) => setNewOrder({ ...newOrder, notes: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+
+            {newOrder.lines.map((line, index) => (
+              <div key={index} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">SKU</label>
+                  <select
+                    value={line.sku}
+                    onChange={(e) => updateLine(index, { sku: e.target.value })}
+                    required={index === 0}
+                    className={inputClass}
+                  >
+                    <option value="">Select SKU</option>
+                    {inventory.map(item => (
+                      <option key={item.id} value={item.sku}>{item.sku} - {item.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Quantity</label>
+                  <input
+                    type="number"
+                    min="1"
+                    required={Boolean(line.sku)}
+                    value={line.quantity}
+                    onChange={(e) => updateLine(index, { quantity: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Unit Cost</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={line.unit_cost}
+                    onChange={(e) => updateLine(index, { unit_cost: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+            ))}
+
+            <div className="flex justify-between">
+              <button
+                type="button"
+                onClick={() => setNewOrder({ ...newOrder, lines: [...newOrder.lines, EMPTY_LINE] })}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add Line</span>
+              </button>
+              <button type="submit" className="btn-primary">
+                Create Draft
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+
+      {/* Orders */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold text-gray-900">Orders</h3>
+          <select
+            value={statusFilter}
+            onChange={(e) => { setStatusFilter(e.target.value); loadOrders(e.target.value) }}
+            className="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+          >
+            <option value="">All Statuses</option>
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <option key={status} value={status}>{label}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="large" text="Loading purchase orders..." />
+          </div>
+        ) : orders.length === 0 ? (
+          <div className="text-center py-12">
+            <ClipboardList className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No purchase orders found</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PO Number</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Ordered</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Units</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {orders.map(order => {
+                  const { ordered, received } = totals(order)
+                  const expanded = expandedId === order.id
+                  const receivable = ['sent', 'partially_received'].includes(order.status)
+
+                  return (
+                    <React.Fragment key={order.id}>
+                      <tr className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                          <button
+                            onClick={() => setExpandedId(expanded ? null : order.id)}
+                            className="flex items-center space-x-1"
+                          >
+                            {expanded ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                            <span>{order.po_number}</span>
+                          </button>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          <div>{order.supplier?.name || '-'}</div>
+                          {order.location && (
+                            <div className="text-xs text-gray-500">to {order.location.name}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[order.status]}`}>
+                            {STATUS_LABELS[order.status]}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {order.order_date ? new Date(order.order_date).toLocaleDateString() : '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {order.expected_date ? new Date(order.expected_date).toLocaleDateString() : '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                          {received} / {ordered}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex space-x-2">
+                            {order.status === 'draft' && (
+                              <button
+                                onClick={() => runAction(order.id, () => purchaseOrdersApi.send(order.id), 'Purchase order sent')}
+                                disabled={busyId === order.id}
+                                className="text-blue-600 hover:text-blue-900"
+                                title="Mark as sent"
+                              >
+                                <Send className="w-4 h-4" />
+                              </button>
+                            )}
+                            {receivable && (
+                              <button
+                                onClick={() => setExpandedId(order.id)}
+                                className="text-green-600 hover:text-green-900"
+                                title="Receive goods"
+                              >
+                                <PackageCheck className="w-4 h-4" />
+                              </button>
+                            )}
+                            {['draft', 'sent'].includes(order.status) && (
+                              <button
+                                onClick={() => runAction(order.id, () => purchaseOrdersApi.cancel(order.id), 'Purchase order cancelled')}
+                                disabled={busyId === order.id}
+                                className="text-yellow-600 hover:text-yellow-900"
+                                title="Cancel order"
+                              >
+                                <XCircle className="w-4 h-4" />
+                              </button>
+                            )}
+                            {['draft', 'cancelled'].includes(order.status) && (
+                              <button
+                                onClick={() => deleteOrder(order)}
+                                disabled={busyId === order.id}
+                                className="text-red-600 hover:text-red-900"
+                                title="Delete order"
+                              >
+                                <Trash2 className="w-4 h-4" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+
+                      {expanded && (
+                        <tr>
+                          <td colSpan={7} className="px-6 py-4 bg-gray-50">
+                            {order.notes && <p className="text-sm text-gray-600 mb-3">{order.notes}</p>}
+                            <table className="min-w-full text-sm">
+                              <thead>
+                                <tr className="text-left text-xs text-gray-500 uppercase">
+                                  <th className="py-2">SKU</th>
+                                  <th className="py-2">Ordered</th>
+                                  <th className="py-2">Received</th>
+                                  <th className="py-2">Unit Cost</th>
+                                  {receivable && <th className="py-2">Receive Now</th>}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {order.lines.map(line => (
+                                  <tr key={line.id}>
+                                    <td className="py-2 font-medium text-gray-900">{line.sku}</td>
+                                    <td className="py-2 text-gray-900">{line.quantity_ordered}</td>
+                                    <td className="py-2 text-gray-900">{line.quantity_received}</td>
+                                    <td className="py-2 text-gray-900">
+                                      {line.unit_cost != null ? `$${Number(line.unit_cost).toFixed(2)}` : '-'}
+                                    </td>
+                                    {receivable && (
+                                      <td className="py-2">
+                                        <input
+                                          type="number"
+                                          min="0"
+                                          max={line.quantity_ordered - line.quantity_received}
+                                          value={receiveQuantities[line.id] ?? ''}
+                                          onChange={(e) => setReceiveQuantities({ ...receiveQuantities, [line.id]: e.target.value })}
+                                          placeholder={String(line.quantity_ordered - line.quantity_received)}
+                                          className="w-24 px-2 py-1 border border-gray-300 rounded text-sm"
+                                        />
+                                      </td>
+                                    )}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                            {receivable && (
+                              <div className="flex items-center justify-end space-x-3 mt-3">
+                                <p className="text-xs text-gray-500">Leave quantities blank to receive everything outstanding</p>
+                                <button
+                                  onClick={() => receiveOrder(order)}
+                                  disabled={busyId === order.id}
+                                  className="btn-primary flex items-center space-x-2"
+                                >
+                                  <PackageCheck className="w-4 h-4" />
+                                  <span>Receive</span>
+                                </button>
+                              </div>
+                            )}
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PurchaseOrders
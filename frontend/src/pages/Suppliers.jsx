@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react'
+import {
+  Truck,
+  Plus,
+  Edit,
+  Trash2,
+  RefreshCw,
+  X
+} from 'lucide-react'
+import { useApi } from '../context/ApiContext'
+import LoadingSpinner from '../components/UI/LoadingSpinner'
+import toast from 'react-hot-toast'
+
+const EMPTY_SUPPLIER = {
+  name: '',
+  contact_email: '',
+  lead_time_days: '7',
+  lead_time_std_days: '0',
+  moq: '0',
+  case_pack: '1',
+  order_cost: '0'
+}
+
+const Suppliers = () => {
+  const { suppliersApi } = useApi()
+
+  // State management
+  const [suppliers, setSuppliers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [editingId, setEditingId] = useState(null)
+  const [formData, setFormData] = useState(EMPTY_SUPPLIER)
+
+  // Load suppliers
+  const loadSuppliers = async () => {
+    try {
+      setLoading(true)
+      const response = await suppliersApi.getAll()
+      setSuppliers(response.data)
+    } catch (error) {
+      console.error('Error loading suppliers:', error)
+      toast.error('Failed to load suppliers')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Initial load
+  useEffect(() => {
+    loadSuppliers()
+  }, [])
+
+  // Reset form
+  const resetForm = () => {
+    setFormData(EMPTY_SUPPLIER)
+    setEditingId(null)
+  }
+
+  // Start editing a supplier in the form
+  const startEdit = (supplier) => {
+    setEditingId(supplier.id)
+    setFormData({
+      name: supplier.name,
+      contact_email: supplier.contact_email || '',
+      lead_time_days: supplier.lead_time_days.toString(),
+      lead_time_std_days: supplier.lead_time_std_days.toString(),
+      moq: supplier.moq.toString(),
+      case_pack: supplier.case_pack.toString(),
+      order_cost: supplier.order_cost.toString()
+    })
+  }
+
+  // Handle form submission
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      setSaving(true)
+      if (editingId) {
+        await suppliersApi.update(editingId, formData)
+        toast.success('Supplier updated successfully')
+      } else {
+        await suppliersApi.create(formData)
+        toast.success('Supplier created successfully')
+      }
+      resetForm()
+      loadSuppliers()
+    } catch (error) {
+      console.error('Error saving supplier:', error)
+      toast.error(error.response?.data?.message || 'Failed to save supplier')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  // Handle delete
+  const handleDelete = async (id) => {
+    if (window.confirm('Delete this supplier? Items it supplies will be left without a supplier.')) {
+      try {
+        await suppliersApi.delete(id)
+        toast.success('Supplier deleted successfully')
+        if (editingId === id) {
+          resetForm()
+        }
+        loadSuppliers()
+      } catch (error) {
+        console.error('Error deleting supplier:', error)
+        toast.error('Failed to delete supplier')
+      }
+    }
+  }
+
+  const inputClass = 'w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-primary-500 focus:border-transparent'
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <LoadingSpinner size="large" text="Loading suppliers..." />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Suppliers</h1>
+          <p className="text-gray-600">Lead times and ordering rules used for reorder suggestions</p>
+        </div>
+        <button
+          onClick={loadSuppliers}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <RefreshCw className="w-4 h-4" />
+          <span>Refresh</span>
+        </button>
+      </div>
+
+      {/* Supplier Form */}
+      <div className="card">
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          {editingId ? 'Edit Supplier' : 'Add Supplier'}
+        </h3>
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              required
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 mb-1">Contact Email</label>
+            <input
+              type="email"
+              value={formData.contact_email}
+              onChange={(e) => setFormData({ ...formData, contact_email: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Lead Time (days)</label>
+            <input
+              type="number"
+              required
+              min="0"
+              step="0.5"
+              value={formData.lead_time_days}
+              onChange={(e) => setFormData({ ...formData, lead_time_days: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Lead Time Std Dev (days)</label>
+            <input
+              type="number"
+              required
+              min="0"
+              step="0.5"
+              value={formData.lead_time_std_days}
+              onChange={(e) => setFormData({ ...formData, lead_time_std_days: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Minimum Order Qty</label>
+            <input
+              type="number"
+              required
+              min="0"
+              value={formData.moq}
+              onChange={(e) => setFormData({ ...formData, moq: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Case Pack</label>
+            <input
+              type="number"
+              required
+              min="1"
+              value={formData.case_pack}
+              onChange={(e) => setFormData({ ...formData, case_pack: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Order Cost</label>
+            <input
+              type="number"
+              required
+              min="0"
+              step="0.01"
+              value={formData.order_cost}
+              onChange={(e) => setFormData({ ...formData, order_cost: e.target.value })}
+              className={inputClass}
+            />
+          </div>
+          <div className="md:col-span-3 flex justify-end space-x-3">
+            {editingId && (
+              <button
+                type="button"
+                onClick={resetForm}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                <X className="w-4 h-4" />
+                <span>Cancel</span>
+              </button>
+            )}
+            <button
+              type="submit"
+              disabled={saving}
+              className="btn-primary flex items-center space-x-2"
+            >
+              {saving ? <LoadingSpinner size="small" /> : <Plus className="w-4 h-4" />}
+              <span>{editingId ? 'Update Supplier' : 'Add Supplier'}</span>
+            </button>
+          </div>
+        </form>
+      </div>
+
+      {/* Suppliers Table */}
+      <div className="card">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Supplier</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Lead Time</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">MOQ</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Case Pack</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Order Cost</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {suppliers.map((supplier) => (
+                <tr key={supplier.id} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <div className="text-sm font-medium text-gray-900">{supplier.name}</div>
+                    {supplier.contact_email && (
+                      <div className="text-xs text-gray-500">{supplier.contact_email}</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                    {Number(supplier.lead_time_days)} days
+                    {Number(supplier.lead_time_std_days) > 0 && ` ± ${Number(supplier.lead_time_std_days)}`}
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{supplier.moq}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{supplier.case_pack}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">${Number(supplier.order_cost).toFixed(2)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => startEdit(supplier)}
+                        className="text-blue-600 hover:text-blue-900"
+                      >
+                        <Edit className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(supplier.id)}
+                        className="text-red-600 hover:text-red-900"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {suppliers.length === 0 && (
+          <div className="text-center py-12">
+            <Truck className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <p className="text-gray-600">No suppliers yet</p>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Suppliers
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from 'react'
+import React, { useState, useRef, useEffect } from 'react'
 import { 
   Upload as UploadIcon, 
   File, 
@@ -8,14 +8,44 @@ import {
   Download,
   History,
   RefreshCw,
-  FileText
+  FileText,
+  RotateCcw,
+  Eye,
+  ArrowLeft,
+  Save,
+  Trash2
 } from 'lucide-react'
 import { useApi } from '../context/ApiContext'
 import LoadingSpinner from '../components/UI/LoadingSpinner'
 import toast from 'react-hot-toast'
 
+const BATCH_STATUS_STYLES = {
+  processing: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  rolled_back: 'bg-gray-100 text-gray-800'
+}
+
+// Fields a file's columns can be mapped to; the first three are required
+const IMPORT_FIELDS = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'sku', label: 'SKU', required: true },
+  { key: 'units_sold', label: 'Units Sold', required: true },
+  { key: 'stock_on_hand', label: 'Stock on Hand' },
+  { key: 'stockout', label: 'Stockout' },
+  { key: 'location', label: 'Location' }
+]
+
+// Sales files accepted by the upload endpoint
+const FILE_EXTENSIONS = ['.csv', '.xlsx', '.json']
+
+const EMPTY_TRANSFORMS = {
+  units_multiplier: '',
+  sku_strip_prefix: ''
+}
+
 const Upload = () => {
-  const { uploadApi } = useApi()
+  const { uploadApi, locationsApi, importProfilesApi } = useApi()
   const fileInputRef = useRef(null)
   
   // State management
@@ -23,15 +53,159 @@ const Upload = () => {
   const [selectedFile, setSelectedFile] = useState(null)
   const [uploading, setUploading] = useState(false)
   const [uploadResult, setUploadResult] = useState(null)
+  const [preview, setPreview] = useState(null)
+  const [previewing, setPreviewing] = useState(false)
   const [showHistory, setShowHistory] = useState(false)
-  const [uploadHistory, setUploadHistory] = useState([])
+  const [uploadBatches, setUploadBatches] = useState([])
+  const [selectedBatch, setSelectedBatch] = useState(null)
+  const [rollingBackId, setRollingBackId] = useState(null)
+  const [locations, setLocations] = useState([])
+  const [uploadLocation, setUploadLocation] = useState('')
+  const [mergeMode, setMergeMode] = useState('skip')
+  const [inspection, setInspection] = useState(null)
+  const [sheet, setSheet] = useState('')
+  const [columnMapping, setColumnMapping] = useState({})
+  const [transforms, setTransforms] = useState(EMPTY_TRANSFORMS)
+  const [profiles, setProfiles] = useState([])
+  const [selectedProfileId, setSelectedProfileId] = useState('')
+  const [profileName, setProfileName] = useState('')
+
+  // Load locations sales can be tagged with
+  useEffect(() => {
+    locationsApi.getAll()
+      .then(response => setLocations(response.data))
+      .catch(error => console.error('Error loading locations:', error))
+  }, [])
+
+  // Load saved import profiles
+  const loadProfiles = async () => {
+    try {
+      const response = await importProfilesApi.getAll()
+      setProfiles(response.data)
+      return response.data
+    } catch (error) {
+      console.error('Error loading import profiles:', error)
+      return []
+    }
+  }
+
+  useEffect(() => {
+    loadProfiles()
+  }, [])
+
+  // Use a saved profile's mapping and transforms
+  const applyProfile = (profile) => {
+    setSelectedProfileId(profile.id)
+    setColumnMapping(profile.column_mapping)
+    setTransforms({
+      units_multiplier: profile.transforms.units_multiplier ?? '',
+      sku_strip_prefix: profile.transforms.sku_strip_prefix ?? ''
+    })
+  }
+
+  // Read the selected file's headers and first rows (of the chosen sheet, for Excel), and start
+  // from a profile that fits it or from the suggested mapping
+  const inspectFile = async (file, sheetName = null) => {
+    try {
+      const response = await uploadApi.inspectFile(file, sheetName)
+      setInspection(response.data)
+      setSheet(response.data.sheet || '')
+      const match = profiles.find(profile => response.data.matchingProfiles.includes(profile.id))
+      if (match) {
+        applyProfile(match)
+      } else {
+        setSelectedProfileId('')
+        setColumnMapping(response.data.suggestedMapping)
+        setTransforms(EMPTY_TRANSFORMS)
+      }
+    } catch (error) {
+      console.error('Error inspecting file:', error)
+      toast.error(error.response?.data?.message || 'Failed to read file columns')
+      setInspection(null)
+    }
+  }
+
+  // Editing the mapping detaches it from the saved profile it came from
+  const updateMapping = (field, header) => {
+    setColumnMapping({ ...columnMapping, [field]: header || null })
+    setSelectedProfileId('')
+  }
+
+  const updateTransform = (name, value) => {
+    setTransforms({ ...transforms, [name]: value })
+    setSelectedProfileId('')
+  }
+
+  // Handle profile selection
+  const handleProfileChange = (id) => {
+    const profile = profiles.find(profile => profile.id === id)
+    if (profile) {
+      applyProfile(profile)
+    } else {
+      setSelectedProfileId('')
+    }
+  }
+
+  // Save the current mapping as a named profile
+  const handleSaveProfile = async () => {
+    if (!profileName.trim()) {
+      toast.error('Enter a name for the profile')
+      return
+    }
+    try {
+      const response = await importProfilesApi.create({
+        name: profileName,
+        columns: columnMapping,
+        transforms
+      })
+      toast.success('Import profile saved')
+      setProfileName('')
+      await loadProfiles()
+      setSelectedProfileId(response.data.id)
+    } catch (error) {
+      console.error('Error saving import profile:', error)
+      toast.error(error.response?.data?.message || 'Failed to save import profile')
+    }
+  }
+
+  // Delete the selected profile
+  const handleDeleteProfile = async () => {
+    const profile = profiles.find(profile => profile.id === selectedProfileId)
+    if (!profile || !window.confirm(`Delete import profile ${profile.name}?`)) {
+      return
+    }
+    try {
+      await importProfilesApi.delete(profile.id)
+      toast.success('Import profile deleted')
+      setSelectedProfileId('')
+      loadProfiles()
+    } catch (error) {
+      console.error('Error deleting import profile:', error)
+      toast.error('Failed to delete import profile')
+    }
+  }
+
+  const unmappedFields = IMPORT_FIELDS.filter(field => field.required && !columnMapping[field.key])
+
+  // A preview only holds for the file and options it was made with
+  useEffect(() => {
+    setPreview(null)
+  }, [selectedFile, sheet, uploadLocation, mergeMode, columnMapping, transforms, selectedProfileId])
+
+  const uploadOptions = () => ({
+    sheet: sheet || null,
+    location: uploadLocation || null,
+    mergeMode,
+    profileId: selectedProfileId || null,
+    mapping: inspection ? { columns: columnMapping, transforms } : null
+  })
 
   // File validation
   const validateFile = (file) => {
     if (!file) return { valid: false, error: 'No file selected' }
     
-    if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-      return { valid: false, error: 'Please select a CSV file' }
+    if (!FILE_EXTENSIONS.some(extension => file.name.toLowerCase().endsWith(extension))) {
+      return { valid: false, error: 'Please select a CSV, Excel (.xlsx) or JSON file' }
     }
     
     if (file.size > 5 * 1024 * 1024) { // 5MB limit
@@ -50,7 +224,9 @@ const Upload = () => {
     }
     
     setSelectedFile(file)
+    setSheet('')
     setUploadResult(null)
+    inspectFile(file)
   }
 
   // Handle drag events
@@ -82,6 +258,26 @@ const Upload = () => {
     }
   }
 
+  // Validate the file without saving anything, so it can be checked before confirming
+  const handlePreview = async () => {
+    if (!selectedFile) {
+      toast.error('Please select a file first')
+      return
+    }
+
+    try {
+      setPreviewing(true)
+      setUploadResult(null)
+      const result = await uploadApi.uploadCsv(selectedFile, { ...uploadOptions(), dryRun: true })
+      setPreview(result)
+    } catch (error) {
+      console.error('Preview error:', error)
+      toast.error(error.response?.data?.message || 'Failed to validate file')
+    } finally {
+      setPreviewing(false)
+    }
+  }
+
   // Upload file
   const handleUpload = async () => {
     if (!selectedFile) {
@@ -91,12 +287,15 @@ const Upload = () => {
 
     try {
       setUploading(true)
-      const result = await uploadApi.uploadCsv(selectedFile)
+      const result = await uploadApi.uploadCsv(selectedFile, uploadOptions())
       setUploadResult(result)
       
       if (result.success) {
-        toast.success(`Successfully processed ${result.data.insertedRows} records`)
+        toast.success(`Inserted ${result.data.insertedRows}, updated ${result.data.updatedRows}, skipped ${result.data.skippedRows} records`)
         setSelectedFile(null)
+        setInspection(null)
+        setSheet('')
+        setPreview(null)
         if (fileInputRef.current) {
           fileInputRef.current.value = ''
         }
@@ -118,8 +317,9 @@ const Upload = () => {
   // Load upload history
   const loadUploadHistory = async () => {
     try {
-      const response = await uploadApi.getHistory({ limit: 10 })
-      setUploadHistory(response.data)
+      const response = await uploadApi.getBatches({ limit: 20 })
+      setUploadBatches(response.data)
+      setSelectedBatch(null)
       setShowHistory(true)
     } catch (error) {
       console.error('Error loading history:', error)
@@ -127,9 +327,40 @@ const Upload = () => {
     }
   }
 
+  // Load an upload batch with its errors and records
+  const viewBatch = async (id) => {
+    try {
+      const response = await uploadApi.getBatch(id)
+      setSelectedBatch({ ...response.data, totalRecords: response.pagination.total })
+    } catch (error) {
+      console.error('Error loading upload batch:', error)
+      toast.error('Failed to load upload details')
+    }
+  }
+
+  // Roll back an upload batch
+  const handleRollback = async (batch) => {
+    if (!window.confirm(`Roll back ${batch.filename}? Sales it added are deleted and sales it changed are restored.`)) {
+      return
+    }
+    try {
+      setRollingBackId(batch.id)
+      const response = await uploadApi.rollbackBatch(batch.id)
+      toast.success(response.message)
+      loadUploadHistory()
+    } catch (error) {
+      console.error('Error rolling back upload:', error)
+      toast.error(error.response?.data?.message || 'Failed to roll back upload')
+    } finally {
+      setRollingBackId(null)
+    }
+  }
+
   // Clear selected file
   const clearSelectedFile = () => {
     setSelectedFile(null)
+    setInspection(null)
+    setSheet('')
     setUploadResult(null)
     if (fileInputRef.current) {
       fileInputRef.current.value = ''
@@ -139,11 +370,11 @@ const Upload = () => {
   // Download sample CSV
   const downloadSampleCsv = () => {
     const sampleData = [
-      ['date', 'sku', 'units_sold'],
-      ['2024-01-01', 'WBH-001', '15'],
-      ['2024-01-01', 'USBC-002', '23'],
-      ['2024-01-02', 'WBH-001', '18'],
-      ['2024-01-02', 'SC-IPH14', '7']
+      ['date', 'sku', 'units_sold', 'stock_on_hand', 'stockout'],
+      ['2024-01-01', 'WBH-001', '15', '42', 'false'],
+      ['2024-01-01', 'USBC-002', '23', '0', 'true'],
+      ['2024-01-02', 'WBH-001', '18', '24', 'false'],
+      ['2024-01-02', 'SC-IPH14', '7', '', '']
     ]
     
     const csvContent = sampleData.map(row => row.join(',')).join('\n')
@@ -162,7 +393,7 @@ const Upload = () => {
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-3xl font-bold text-gray-900">Upload Sales Data</h1>
-          <p className="text-gray-600">Import your sales data from CSV files</p>
+          <p className="text-gray-600">Import your sales data from CSV, Excel or JSON files</p>
         </div>
         <div className="flex space-x-3">
           <button
@@ -184,18 +415,33 @@ const Upload = () => {
 
       {/* Upload Instructions */}
       <div className="card">
-        <h3 className="text-lg font-semibold text-gray-900 mb-3">CSV Format Requirements</h3>
+        <h3 className="text-lg font-semibold text-gray-900 mb-3">File Format Requirements</h3>
         <div className="bg-gray-50 rounded-lg p-4 mb-4">
-          <p className="text-sm text-gray-700 mb-2">Your CSV file must include these columns:</p>
+          <p className="text-sm text-gray-700 mb-2">Your file must include these columns:</p>
           <ul className="text-sm text-gray-600 space-y-1">
             <li><strong>date</strong> - Date in YYYY-MM-DD format (e.g., 2024-01-15)</li>
             <li><strong>sku</strong> - Product SKU code (e.g., WBH-001)</li>
             <li><strong>units_sold</strong> - Number of units sold (positive integer)</li>
           </ul>
+          <p className="text-sm text-gray-700 mt-3 mb-2">Optional columns, used to correct demand on stockout days:</p>
+          <ul className="text-sm text-gray-600 space-y-1">
+            <li><strong>stock_on_hand</strong> - Closing stock for the day (0 means sales were limited by stock)</li>
+            <li><strong>stockout</strong> - true if the item was out of stock during the day</li>
+          </ul>
+          <p className="text-sm text-gray-700 mt-3 mb-2">Optional column for multi-location sales:</p>
+          <ul className="text-sm text-gray-600 space-y-1">
+            <li><strong>location</strong> - Code of the warehouse or store that made the sale (e.g., STORE1); overrides the location selected below</li>
+          </ul>
+          <p className="text-sm text-gray-700 mt-3">
+            Files exported with other column names (e.g. "Transaction Date", "Item Code", "Qty") can be mapped to these fields after selecting them, and the mapping saved as an import profile for later uploads.
+          </p>
+          <p className="text-sm text-gray-700 mt-3">
+            Excel workbooks are read from the chosen sheet, with column names in the first row. JSON files hold an array of records keyed by column name, e.g. <code>[{'{'}"date": "2024-01-15", "sku": "WBH-001", "units_sold": 15{'}'}]</code>.
+          </p>
         </div>
         <div className="flex items-center space-x-2 text-sm text-gray-600">
           <FileText className="w-4 h-4" />
-          <span>Maximum file size: 5MB | Supported format: CSV</span>
+          <span>Maximum file size: 5MB | Supported formats: CSV, XLSX, JSON</span>
         </div>
       </div>
 
@@ -215,7 +461,7 @@ const Upload = () => {
           <input
             ref={fileInputRef}
             type="file"
-            accept=".csv"
+            accept={FILE_EXTENSIONS.join(',')}
             onChange={handleFileInputChange}
             className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
           />
@@ -224,10 +470,10 @@ const Upload = () => {
             <div>
               <UploadIcon className="w-12 h-12 text-gray-400 mx-auto mb-4" />
               <p className="text-lg font-medium text-gray-900 mb-2">
-                Drop your CSV file here, or click to browse
+                Drop your CSV, Excel or JSON file here, or click to browse
               </p>
               <p className="text-sm text-gray-600">
-                Supports CSV files up to 5MB
+                Supports .csv, .xlsx and .json files up to 5MB
               </p>
             </div>
           ) : (
@@ -249,11 +495,324 @@ const Upload = () => {
           )}
         </div>
 
+        {selectedFile && inspection && (
+          <div className="mt-6 border-t border-gray-200 pt-4 space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <div>
+                <h4 className="font-medium text-gray-900">Column Mapping</h4>
+                <p className="text-sm text-gray-600">
+                  {inspection.rowCount} rows, {inspection.headers.length} columns
+                </p>
+              </div>
+              <div className="flex items-center space-x-2">
+                {inspection.sheets?.length > 1 && (
+                  <select
+                    value={sheet}
+                    onChange={(e) => inspectFile(selectedFile, e.target.value)}
+                    className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                    title="Sheet to import"
+                  >
+                    {inspection.sheets.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                )}
+                <select
+                  value={selectedProfileId}
+                  onChange={(e) => handleProfileChange(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                >
+                  <option value="">Custom mapping</option>
+                  {profiles.map(profile => (
+                    <option key={profile.id} value={profile.id}>{profile.name}</option>
+                  ))}
+                </select>
+                {selectedProfileId && (
+                  <button
+                    onClick={handleDeleteProfile}
+                    className="text-red-600 hover:text-red-900"
+                    title="Delete profile"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                )}
+              </div>
+            </div>
+
+            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+              {IMPORT_FIELDS.map(field => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <select
+                    value={columnMapping[field.key] || ''}
+                    onChange={(e) => updateMapping(field.key, e.target.value)}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  >
+                    <option value="">Not mapped</option>
+                    {inspection.headers.map(header => (
+                      <option key={header} value={header}>{header}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Units Multiplier</label>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={transforms.units_multiplier}
+                  onChange={(e) => updateTransform('units_multiplier', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="e.g. 12 for cases of 12"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Strip SKU Prefix</label>
+                <input
+                  type="text"
+                  value={transforms.sku_strip_prefix}
+                  onChange={(e) => updateTransform('sku_strip_prefix', e.target.value)}
+                  className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="e.g. POS-"
+                />
+              </div>
+            </div>
+
+            {unmappedFields.length > 0 && (
+              <p className="text-sm text-red-600">
+                Map a column to {unmappedFields.map(field => field.label).join(', ')} before uploading
+              </p>
+            )}
+
+            {!selectedProfileId && (
+              <div className="flex items-center space-x-2">
+                <input
+                  type="text"
+                  value={profileName}
+                  onChange={(e) => setProfileName(e.target.value)}
+                  className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+                  placeholder="Profile name, e.g. POS export"
+                />
+                <button
+                  onClick={handleSaveProfile}
+                  disabled={unmappedFields.length > 0}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <Save className="w-4 h-4" />
+                  <span>Save as Profile</span>
+                </button>
+              </div>
+            )}
+
+            {inspection.preview.length > 0 && (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      {inspection.headers.map(header => {
+                        const field = IMPORT_FIELDS.find(field => columnMapping[field.key] === header)
+                        return (
+                          <th key={header} className="px-3 py-2 text-left text-xs font-medium text-gray-500">
+                            <div>{header}</div>
+                            {field && <div className="text-primary-600">→ {field.label}</div>}
+                          </th>
+                        )
+                      })}
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {inspection.preview.slice(0, 5).map((row, index) => (
+                      <tr key={index}>
+                        {inspection.headers.map(header => (
+                          <td key={header} className="px-3 py-2 whitespace-nowrap text-gray-900">{row[header]}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
         {selectedFile && (
-          <div className="mt-4 flex justify-center">
+          <div className="mt-4 flex justify-center items-center space-x-3">
+            {locations.length > 0 && (
+              <select
+                value={uploadLocation}
+                onChange={(e) => setUploadLocation(e.target.value)}
+                className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              >
+                <option value="">No location</option>
+                {locations.map(location => (
+                  <option key={location.id} value={location.id}>{location.name} ({location.code})</option>
+                ))}
+              </select>
+            )}
+            <select
+              value={mergeMode}
+              onChange={(e) => setMergeMode(e.target.value)}
+              className="border border-gray-300 rounded-lg px-3 py-2 text-sm focus:ring-2 focus:ring-primary-500 focus:border-transparent"
+              title="What to do with rows for a SKU, date and location that already has sales"
+            >
+              <option value="skip">Skip duplicates</option>
+              <option value="overwrite">Overwrite existing</option>
+              <option value="add">Add to existing units</option>
+            </select>
+            <button
+              onClick={handlePreview}
+              disabled={previewing || uploading || (inspection && unmappedFields.length > 0)}
+              className="btn-primary flex items-center space-x-2"
+            >
+              {previewing ? (
+                <>
+                  <LoadingSpinner size="small" />
+                  <span>Validating...</span>
+                </>
+              ) : (
+                <>
+                  <Eye className="w-4 h-4" />
+                  <span>Preview Upload</span>
+                </>
+              )}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Upload Preview */}
+      {preview && (
+        <div className="card space-y-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Upload Preview</h3>
+            <p className="text-sm text-gray-600">
+              Nothing has been saved yet.
+              {preview.dateRange && ` Sales from ${new Date(preview.dateRange.start).toLocaleDateString()} to ${new Date(preview.dateRange.end).toLocaleDateString()}.`}
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-6 gap-4 text-sm">
+            <div>
+              <span className="text-gray-600">Total Rows:</span>
+              <span className="ml-1 font-medium">{preview.data.totalRows}</span>
+            </div>
+            <div>
+              <span className="text-gray-600">Valid Rows:</span>
+              <span className="ml-1 font-medium text-green-600">{preview.data.validRows}</span>
+            </div>
+            <div>
+              <span className="text-gray-600">To Insert:</span>
+              <span className="ml-1 font-medium text-blue-600">{preview.data.insertedRows}</span>
+            </div>
+            <div>
+              <span className="text-gray-600">To Update:</span>
+              <span className="ml-1 font-medium text-purple-600">{preview.data.updatedRows}</span>
+            </div>
+            <div>
+              <span className="text-gray-600">To Skip:</span>
+              <span className="ml-1 font-medium text-yellow-600">{preview.data.skippedRows}</span>
+            </div>
+            <div>
+              <span className="text-gray-600">Errors:</span>
+              <span className="ml-1 font-medium text-red-600">{preview.data.errors}</span>
+            </div>
+          </div>
+
+          {preview.unknownSkus.length > 0 && (
+            <div className="bg-yellow-50 rounded-lg p-3 text-sm text-yellow-800">
+              <div className="flex items-center space-x-2 font-medium mb-1">
+                <AlertTriangle className="w-4 h-4" />
+                <span>{preview.unknownSkus.length} SKUs are not in inventory</span>
+              </div>
+              <p>
+                {preview.unknownSkus.slice(0, 10).join(', ')}
+                {preview.unknownSkus.length > 10 && ` and ${preview.unknownSkus.length - 10} more`}
+              </p>
+            </div>
+          )}
+
+          {preview.parseErrors && preview.parseErrors.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">Validation Errors:</h4>
+              <div className="bg-red-50 rounded-lg p-3 max-h-40 overflow-y-auto">
+                {preview.parseErrors.slice(0, 5).map((error, index) => (
+                  <div key={index} className="text-sm text-red-700 mb-1">
+                    Row {error.row}: {error.error}
+                  </div>
+                ))}
+                {preview.parseErrors.length > 5 && (
+                  <div className="text-sm text-red-600 font-medium">
+                    ... and {preview.parseErrors.length - 5} more errors
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {preview.rows.skipped.length > 0 && (
+            <div>
+              <h4 className="font-medium text-gray-900 mb-2">Rows to Skip:</h4>
+              <div className="bg-yellow-50 rounded-lg p-3 max-h-40 overflow-y-auto">
+                {preview.rows.skipped.slice(0, 5).map((record, index) => (
+                  <div key={index} className="text-sm text-yellow-800 mb-1">
+                    Row {record.row}: {record.sku} on {record.date}
+                    {record.location && ` at ${record.location}`} - {record.reason}
+                  </div>
+                ))}
+                {preview.rows.skipped.length > 5 && (
+                  <div className="text-sm text-yellow-700 font-medium">
+                    ... and {preview.rows.skipped.length - 5} more skipped
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {preview.skuTotals.length > 0 && (
+            <div className="overflow-x-auto max-h-64 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">SKU</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Rows</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Units Sold</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Dates</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {preview.skuTotals.map((total) => (
+                    <tr key={total.sku}>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-900">
+                        {total.sku}
+                        {!total.inInventory && (
+                          <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">not in inventory</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-900">{total.rows}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-900">{total.units_sold}</td>
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-600">
+                        {new Date(total.firstDate).toLocaleDateString()} - {new Date(total.lastDate).toLocaleDateString()}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => setPreview(null)}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
             <button
               onClick={handleUpload}
-              disabled={uploading}
+              disabled={uploading || preview.data.insertedRows + preview.data.updatedRows === 0}
               className="btn-primary flex items-center space-x-2"
             >
               {uploading ? (
@@ -264,13 +823,13 @@ const Upload = () => {
               ) : (
                 <>
                   <UploadIcon className="w-4 h-4" />
-                  <span>Upload File</span>
+                  <span>Confirm Upload</span>
                 </>
               )}
             </button>
           </div>
-        )}
-      </div>
+        </div>
+      )}
 
       {/* Upload Result */}
       {uploadResult && (
@@ -288,7 +847,7 @@ const Upload = () => {
               
               {uploadResult.success && uploadResult.data && (
                 <div className="mt-2 space-y-2">
-                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div className="grid grid-cols-2 md:grid-cols-6 gap-4 text-sm">
                     <div>
                       <span className="text-gray-600">Total Rows:</span>
                       <span className="ml-1 font-medium">{uploadResult.data.totalRows}</span>
@@ -301,12 +860,58 @@ const Upload = () => {
                       <span className="text-gray-600">Inserted:</span>
                       <span className="ml-1 font-medium text-blue-600">{uploadResult.data.insertedRows}</span>
                     </div>
+                    <div>
+                      <span className="text-gray-600">Updated:</span>
+                      <span className="ml-1 font-medium text-purple-600">{uploadResult.data.updatedRows}</span>
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Skipped:</span>
+                      <span className="ml-1 font-medium text-yellow-600">{uploadResult.data.skippedRows}</span>
+                    </div>
                     <div>
                       <span className="text-gray-600">Errors:</span>
                       <span className="ml-1 font-medium text-red-600">{uploadResult.data.errors}</span>
                     </div>
                   </div>
                   
+                  {uploadResult.rows?.updated.length > 0 && (
+                    <div className="mt-4">
+                      <h4 className="font-medium text-gray-900 mb-2">Updated Records:</h4>
+                      <div className="bg-purple-50 rounded-lg p-3 max-h-40 overflow-y-auto">
+                        {uploadResult.rows.updated.slice(0, 5).map((record, index) => (
+                          <div key={index} className="text-sm text-purple-700 mb-1">
+                            Row {record.rows.join(', ')}: {record.sku} on {record.date}
+                            {record.location && ` at ${record.location}`} - {record.previousUnits} → {record.units_sold} units
+                          </div>
+                        ))}
+                        {uploadResult.rows.updated.length > 5 && (
+                          <div className="text-sm text-purple-600 font-medium">
+                            ... and {uploadResult.rows.updated.length - 5} more updated
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                  
+                  {uploadResult.rows?.skipped.length > 0 && (
+                    <div className="mt-4">
+                      <h4 className="font-medium text-gray-900 mb-2">Skipped Rows:</h4>
+                      <div className="bg-yellow-50 rounded-lg p-3 max-h-40 overflow-y-auto">
+                        {uploadResult.rows.skipped.slice(0, 5).map((record, index) => (
+                          <div key={index} className="text-sm text-yellow-800 mb-1">
+                            Row {record.row}: {record.sku} on {record.date}
+                            {record.location && ` at ${record.location}`} - {record.reason}
+                          </div>
+                        ))}
+                        {uploadResult.rows.skipped.length > 5 && (
+                          <div className="text-sm text-yellow-700 font-medium">
+                            ... and {uploadResult.rows.skipped.length - 5} more skipped
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                  
                   {uploadResult.parseErrors && uploadResult.parseErrors.length > 0 && (
                     <div className="mt-4">
                       <h4 className="font-medium text-gray-900 mb-2">Validation Errors:</h4>
@@ -340,9 +945,21 @@ const Upload = () => {
       {/* Upload History Modal */}
       {showHistory && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
-          <div className="bg-white rounded-lg p-6 w-full max-w-4xl mx-4 max-h-[80vh] overflow-y-auto">
+          <div className="bg-white rounded-lg p-6 w-full max-w-5xl mx-4 max-h-[80vh] overflow-y-auto">
             <div className="flex justify-between items-center mb-4">
-              <h3 className="text-lg font-semibold">Recent Sales Data</h3>
+              <div className="flex items-center space-x-2">
+                {selectedBatch && (
+                  <button
+                    onClick={() => setSelectedBatch(null)}
+                    className="text-gray-400 hover:text-gray-600"
+                  >
+                    <ArrowLeft className="w-5 h-5" />
+                  </button>
+                )}
+                <h3 className="text-lg font-semibold">
+                  {selectedBatch ? selectedBatch.filename : 'Upload History'}
+                </h3>
+              </div>
               <button 
                 onClick={() => setShowHistory(false)}
                 className="text-gray-400 hover:text-gray-600"
@@ -351,27 +968,151 @@ const Upload = () => {
               </button>
             </div>
             
-            {uploadHistory.length > 0 ? (
+            {selectedBatch ? (
+              <div className="space-y-4">
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+                  <div>
+                    <span className="text-gray-600">Uploaded:</span>
+                    <span className="ml-1 font-medium">{new Date(selectedBatch.created_at).toLocaleString()}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Status:</span>
+                    <span className={`ml-1 px-2 py-0.5 rounded-full text-xs font-medium ${BATCH_STATUS_STYLES[selectedBatch.status]}`}>
+                      {selectedBatch.status.replace('_', ' ')}
+                    </span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Merge Mode:</span>
+                    <span className="ml-1 font-medium capitalize">{selectedBatch.merge_mode}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Location:</span>
+                    <span className="ml-1 font-medium">{selectedBatch.location?.code || '-'}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Import Profile:</span>
+                    <span className="ml-1 font-medium">{selectedBatch.profile?.name || '-'}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Inserted:</span>
+                    <span className="ml-1 font-medium text-blue-600">{selectedBatch.inserted_rows}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Updated:</span>
+                    <span className="ml-1 font-medium text-purple-600">{selectedBatch.updated_rows}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Skipped:</span>
+                    <span className="ml-1 font-medium text-yellow-600">{selectedBatch.skipped_rows}</span>
+                  </div>
+                  <div>
+                    <span className="text-gray-600">Errors:</span>
+                    <span className="ml-1 font-medium text-red-600">{selectedBatch.error_count}</span>
+                  </div>
+                </div>
+                
+                {selectedBatch.errors.length > 0 && (
+                  <div className="bg-red-50 rounded-lg p-3 max-h-40 overflow-y-auto">
+                    {selectedBatch.errors.map((error, index) => (
+                      <div key={index} className="text-sm text-red-700 mb-1">
+                        {error.row ? `Row ${error.row}: ${error.error}` : `${error.error}: ${error.message}`}
+                      </div>
+                    ))}
+                  </div>
+                )}
+                
+                {selectedBatch.records.length > 0 ? (
+                  <div className="overflow-x-auto">
+                    <table className="min-w-full divide-y divide-gray-200">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">SKU</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Units Sold</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Location</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {selectedBatch.records.map((record) => (
+                          <tr key={record.id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {new Date(record.date).toLocaleDateString()}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {record.sku}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {record.units_sold}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                              {record.location?.code || '-'}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {selectedBatch.totalRecords > selectedBatch.records.length && (
+                      <p className="text-sm text-gray-500 mt-2">
+                        Showing {selectedBatch.records.length} of {selectedBatch.totalRecords} records
+                      </p>
+                    )}
+                  </div>
+                ) : (
+                  <p className="text-sm text-gray-600">No sales records currently belong to this upload</p>
+                )}
+              </div>
+            ) : uploadBatches.length > 0 ? (
               <div className="overflow-x-auto">
                 <table className="min-w-full divide-y divide-gray-200">
                   <thead className="bg-gray-50">
                     <tr>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Date</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">SKU</th>
-                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Units Sold</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">File</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Uploaded</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Rows</th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
                     </tr>
                   </thead>
                   <tbody className="bg-white divide-y divide-gray-200">
-                    {uploadHistory.map((record, index) => (
-                      <tr key={index} className="hover:bg-gray-50">
+                    {uploadBatches.map((batch) => (
+                      <tr key={batch.id} className="hover:bg-gray-50">
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {new Date(record.date).toLocaleDateString()}
+                          <div className="font-medium">{batch.filename}</div>
+                          {batch.location && (
+                            <div className="text-xs text-gray-500">{batch.location.code}</div>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {record.sku}
+                          {new Date(batch.created_at).toLocaleString()}
                         </td>
-                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {record.units_sold}
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`px-2 py-1 rounded-full text-xs font-medium ${BATCH_STATUS_STYLES[batch.status]}`}>
+                            {batch.status.replace('_', ' ')}
+                          </span>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                          {batch.inserted_rows} inserted, {batch.updated_rows} updated, {batch.skipped_rows} skipped, {batch.error_count} errors
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex space-x-2">
+                            <button
+                              onClick={() => viewBatch(batch.id)}
+                              className="text-blue-600 hover:text-blue-900"
+                              title="View details"
+                            >
+                              <Eye className="w-4 h-4" />
+                            </button>
+                            {['completed', 'failed'].includes(batch.status) && (
+                              <button
+                                onClick={() => handleRollback(batch)}
+                                disabled={rollingBackId === batch.id}
+                                className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                                title="Roll back upload"
+                              >
+                                <RotateCcw className="w-4 h-4" />
+                              </button>
+                            )}
+                          </div>
                         </td>
                       </tr>
                     ))}
@@ -381,7 +1122,7 @@ const Upload = () => {
             ) : (
               <div className="text-center py-8">
                 <FileText className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                <p className="text-gray-600">No sales data found</p>
+                <p className="text-gray-600">No uploads yet</p>
               </div>
             )}
           </div>